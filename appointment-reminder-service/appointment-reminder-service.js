@@ -0,0 +1,208 @@
+/***********************************************************************
+ * Appointment-Reminder-Service (Express, MySQL, Vault, Cron)
+ *
+ * Erinnert Kunden per E-Mail (über den smtp-service) an anstehende Termine
+ * (calentian_appointments). Die Offsets kommen aus dem Termin oder aus den
+ * Termin-Einstellungen des Entries; versandte Erinnerungen werden je
+ * start_at vermerkt, damit verschobene Termine erneut erinnert werden.
+ ***********************************************************************/
+
+import * as dotenv from "dotenv";
+import initVault from "./vault-init.js";
+import express from "express";
+import axios from "axios";
+import mysql from "mysql2/promise";
+import cron from "node-cron";
+import {
+  REMINDER_MAX_OFFSET_MINUTES,
+  parseReminderOffsets,
+} from "./appointments.js";
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+
+let db;
+let running = false;
+
+const SMTP_SERVICE_URL =
+  process.env.SMTP_SERVICE_URL || "http://smtp-service:5000";
+
+// 1) DB-Verbindung initialisieren
+async function initDB() {
+  db = mysql.createPool({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    waitForConnections: true,
+    connectionLimit: 5,
+  });
+  await db.query("SELECT 1");
+  console.log("✅ Mit der MySQL-Datenbank verbunden");
+}
+
+function internalPost(path, body) {
+  return axios.post(`${SMTP_SERVICE_URL}${path}`, body, {
+    headers: { "X-Internal-Token": process.env.INTERNAL_API_TOKEN },
+  });
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("de-DE", {
+    timeZone: "Europe/Berlin",
+  });
+}
+
+function formatTime(date) {
+  return new Date(date).toLocaleTimeString("de-DE", {
+    timeZone: "Europe/Berlin",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// 2) Fällige Erinnerungen versenden
+// Ist ein Offset verpasst (z. B. Termin kurzfristig angelegt), geht nur eine
+// E-Mail raus; alle fälligen Offsets gelten danach als versandt.
+async function sendAppointmentReminders() {
+  const [appointments] = await db.query(
+    `SELECT a.id, a.calentian_entries_id, a.calentian_kundendaten_id,
+            a.calentian_event_entries_id, a.title, a.start_at, a.all_day,
+            a.reminder_offsets, s.reminder_offsets AS default_reminder_offsets,
+            l.location_name,
+            (SELECT m.email FROM calentian_kunden_emails_addresses m
+             WHERE m.calentian_kundendaten_id = a.calentian_kundendaten_id
+             ORDER BY m.is_primary DESC, m.id LIMIT 1) AS customer_email
+     FROM calentian_appointments a
+     LEFT JOIN calentian_entries_appointment_settings s
+       ON s.calentian_entries_id = a.calentian_entries_id
+     LEFT JOIN calentian_entries_location l ON a.location_id = l.id
+     WHERE a.calentian_kundendaten_id IS NOT NULL
+       AND a.start_at > NOW()
+       AND a.start_at <= DATE_ADD(NOW(), INTERVAL ? MINUTE)`,
+    [REMINDER_MAX_OFFSET_MINUTES]
+  );
+
+  let sent = 0;
+  for (const appointment of appointments) {
+    const offsets =
+      parseReminderOffsets(appointment.reminder_offsets) ??
+      parseReminderOffsets(appointment.default_reminder_offsets) ??
+      [];
+    const minutesLeft = (appointment.start_at - Date.now()) / 60000;
+    const due = offsets.filter((offset) => offset >= minutesLeft);
+    if (due.length === 0 || !appointment.customer_email) continue;
+
+    try {
+      const [done] = await db.query(
+        `SELECT offset_minutes FROM calentian_appointment_reminders
+         WHERE calentian_appointments_id = ? AND start_at = ?`,
+        [appointment.id, appointment.start_at]
+      );
+      const doneOffsets = new Set(done.map((row) => row.offset_minutes));
+      const pending = due.filter((offset) => !doneOffsets.has(offset));
+      if (pending.length === 0) continue;
+
+      const datum = formatDate(appointment.start_at);
+      const zeit = appointment.all_day
+        ? ""
+        : ` um ${formatTime(appointment.start_at)} Uhr`;
+      const ort = appointment.location_name
+        ? ` (${appointment.location_name})`
+        : "";
+      await internalPost("/smtp-service/internal/send-entry-email", {
+        entry_id: appointment.calentian_entries_id,
+        event_id: appointment.calentian_event_entries_id,
+        calentian_kundendaten_id: appointment.calentian_kundendaten_id,
+        to: appointment.customer_email,
+        subject: `Erinnerung: ${appointment.title} am ${datum}${zeit}`,
+        text:
+          `Guten Tag,\n\nwir möchten Sie an Ihren Termin „${appointment.title}“ am ${datum}${zeit}${ort} erinnern.\n` +
+          `Falls Sie den Termin nicht wahrnehmen können, melden Sie sich bitte bei uns.`,
+      });
+
+      await db.query(
+        `INSERT IGNORE INTO calentian_appointment_reminders
+           (calentian_appointments_id, offset_minutes, start_at)
+         VALUES ?`,
+        [
+          pending.map((offset) => [
+            appointment.id,
+            offset,
+            appointment.start_at,
+          ]),
+        ]
+      );
+      sent++;
+    } catch (err) {
+      console.error(
+        `❌ Erinnerung für Termin ${appointment.id} fehlgeschlagen:`,
+        err.response?.data || err.message
+      );
+    }
+  }
+
+  return sent;
+}
+
+async function runReminderJob() {
+  if (running) return null;
+  running = true;
+  try {
+    const sent = await sendAppointmentReminders();
+    console.log(`✅ Termine geprüft: ${sent} Erinnerung(en) versendet`);
+    return { sent };
+  } finally {
+    running = false;
+  }
+}
+
+// 3) HTTP-Endpoint zum manuellen Lauf
+app.post("/internal/appointment-reminders/run", async (req, res) => {
+  try {
+    const result = await runReminderJob();
+    if (!result) {
+      return res.status(409).json({ error: "Lauf bereits aktiv" });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("Fehler beim Erinnerungs-Lauf:", err);
+    res.status(500).json({ error: "Fehler beim Erinnerungs-Lauf" });
+  }
+});
+
+// 4) Bootstrap: Vault → DB → Cron
+async function bootstrap() {
+  try {
+    // Vault-Login und Secrets laden
+    await initVault();
+
+    // DB initialisieren
+    await initDB();
+
+    // Cron-Job: alle 5 Minuten
+    cron.schedule(
+      process.env.APPOINTMENT_REMINDER_CRON || "*/5 * * * *",
+      async () => {
+        try {
+          await runReminderJob();
+        } catch (err) {
+          console.error("❌ Fehler beim Erinnerungs-Lauf:", err);
+        }
+      }
+    );
+
+    // HTTP-Server starten
+    const PORT = process.env.PORT || 7000;
+    app.listen(PORT, () =>
+      console.log(`🚀 Appointment-Reminder-Service auf Port ${PORT}`)
+    );
+  } catch (err) {
+    console.error("Startup-Error:", err);
+    process.exit(1);
+  }
+}
+
+bootstrap();
@@ -0,0 +1,164 @@
+// appointments.js
+
+// Gemeinsame Validierung und Änderungsprotokoll für calentian_appointments.
+// Alle schreibenden Zugriffe (REST und CalDAV) prüfen mit validateAppointment
+// und melden jede Änderung über recordAppointmentChange, damit CalDAV-Clients
+// sie per Sync-Token abholen können.
+
+const TITLE_MAX_LENGTH = 255;
+// Erinnerungen höchstens 30 Tage vorher, höchstens 5 je Termin
+export const REMINDER_MAX_OFFSET_MINUTES = 30 * 24 * 60;
+const REMINDER_MAX_COUNT = 5;
+
+// JSON-Spalten kommen je nach mysql2-Version als String oder Objekt
+export function parseReminderOffsets(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+// [1440, 60] → sortiert, ohne Duplikate; null bei ungültigen Angaben
+export function normalizeReminderOffsets(offsets) {
+  if (!Array.isArray(offsets) || offsets.length > REMINDER_MAX_COUNT) {
+    return null;
+  }
+  const minutes = offsets.map(Number);
+  if (
+    minutes.some(
+      (offset) =>
+        !Number.isInteger(offset) ||
+        offset < 1 ||
+        offset > REMINDER_MAX_OFFSET_MINUTES
+    )
+  ) {
+    return null;
+  }
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+function toDate(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Prüft einen vollständigen Termin (bei Änderungen: bestehende Werte + Änderungen).
+// Liefert { values } mit normalisierten Spaltenwerten oder { error }.
+export async function validateAppointment(db, entriesId, data) {
+  const title = typeof data.title === "string" ? data.title.trim() : "";
+  if (!title || title.length > TITLE_MAX_LENGTH) {
+    return {
+      error: `title ist erforderlich (max. ${TITLE_MAX_LENGTH} Zeichen).`,
+    };
+  }
+
+  const startAt = toDate(data.start_at);
+  const endAt = toDate(data.end_at);
+  if (!startAt || !endAt) {
+    return { error: "start_at und end_at müssen gültige Zeitpunkte sein." };
+  }
+  if (endAt < startAt) {
+    return { error: "end_at darf nicht vor start_at liegen." };
+  }
+
+  const locationId = data.location_id || null;
+  if (locationId) {
+    const [[location]] = await db.query(
+      "SELECT id FROM calentian_entries_location WHERE id = ? AND calentian_entries_id = ?",
+      [locationId, entriesId]
+    );
+    if (!location) return { error: "Location nicht gefunden." };
+  }
+
+  const kundenId = data.calentian_kundendaten_id || null;
+  if (kundenId) {
+    const [[kunde]] = await db.query(
+      "SELECT id FROM calentian_kundendaten WHERE id = ? AND calentian_entries_id = ?",
+      [kundenId, entriesId]
+    );
+    if (!kunde) return { error: "Kunde nicht gefunden." };
+  }
+
+  const eventId = data.calentian_event_entries_id || null;
+  if (eventId) {
+    const [[event]] = await db.query(
+      "SELECT id FROM calentian_event_entries WHERE id = ? AND calentian_entries_id = ? AND deleted_at IS NULL",
+      [eventId, entriesId]
+    );
+    if (!event) return { error: "Event nicht gefunden." };
+  }
+
+  // null = Vorgabe des Entries (calentian_entries_appointment_settings)
+  let reminderOffsets = null;
+  if (data.reminder_offsets !== null && data.reminder_offsets !== undefined) {
+    reminderOffsets = normalizeReminderOffsets(
+      parseReminderOffsets(data.reminder_offsets)
+    );
+    if (!reminderOffsets) {
+      return {
+        error: `reminder_offsets muss eine Liste von Minuten (1–${REMINDER_MAX_OFFSET_MINUTES}, max. ${REMINDER_MAX_COUNT}) sein.`,
+      };
+    }
+  }
+
+  // staff_ids nur prüfen, wenn übergeben (undefined = Zuordnung unverändert)
+  let staffIds;
+  if (data.staff_ids !== undefined) {
+    if (!Array.isArray(data.staff_ids)) {
+      return { error: "staff_ids muss eine Liste von Benutzer-IDs sein." };
+    }
+    staffIds = [...new Set(data.staff_ids.map(Number))];
+    if (staffIds.length > 0) {
+      const [staff] = await db.query(
+        "SELECT id FROM calentian_benutzer WHERE id IN (?) AND calentian_entries_id = ? AND is_active = 1",
+        [staffIds, entriesId]
+      );
+      if (staff.length !== staffIds.length) {
+        return { error: "Mitarbeiter nicht gefunden." };
+      }
+    }
+  }
+
+  return {
+    values: {
+      title,
+      description: data.description ? String(data.description) : null,
+      all_day: data.all_day ? 1 : 0,
+      start_at: startAt,
+      end_at: endAt,
+      location_id: locationId,
+      calentian_kundendaten_id: kundenId,
+      calentian_event_entries_id: eventId,
+      reminder_offsets: reminderOffsets,
+      staff_ids: staffIds,
+    },
+  };
+}
+
+// Ressourcenname eines Termins in CalDAV-Kalendern
+export function appointmentResourceName(appointment) {
+  return appointment.caldav_resource || `appointment-${appointment.id}.ics`;
+}
+
+// Änderung protokollieren; before/after sind die Zeilen vor und nach der
+// Änderung (null beim Anlegen bzw. Löschen). Wechselt die Location, wird die
+// Änderung für alte und neue Location vermerkt.
+export async function recordAppointmentChange(db, before, after) {
+  const appointment = after || before;
+  const locationIds = new Set(
+    [before, after].filter(Boolean).map((row) => row.location_id ?? null)
+  );
+
+  for (const locationId of locationIds) {
+    await db.query(
+      `INSERT INTO calentian_appointment_changes
+       (calentian_entries_id, calentian_appointments_id, location_id, resource)
+       VALUES (?, ?, ?, ?)`,
+      [
+        appointment.calentian_entries_id,
+        appointment.id,
+        locationId,
+        appointmentResourceName(appointment),
+      ]
+    );
+  }
+}
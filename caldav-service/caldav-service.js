@@ -0,0 +1,856 @@
+/***********************************************************************
+ * CalDAV-Service (Express, MySQL, Vault)
+ *
+ * Stellt die Termine (calentian_appointments) eines Entries als CalDAV-
+ * Kalender bereit – ein Kalender je Location. Clients melden sich per
+ * HTTP Basic an (Benutzer = E-Mail, Passwort = persönlicher API-Key mit
+ * events:read bzw. events:write). Änderungen per PUT/DELETE durchlaufen
+ * dieselbe Validierung wie die REST-Routen (appointments.js) und werden
+ * für sync-collection protokolliert.
+ ***********************************************************************/
+
+import * as dotenv from "dotenv";
+import initVault from "./vault-init.js";
+import express from "express";
+import crypto from "crypto";
+import mysql from "mysql2/promise";
+import { API_KEY_PREFIX, verifyApiKey } from "./token-auth.js";
+import { hasPermission, requirePermission } from "./permissions.js";
+import {
+  appointmentResourceName,
+  recordAppointmentChange,
+  validateAppointment,
+} from "./appointments.js";
+import {
+  appointmentToVevent,
+  appointmentUid,
+  buildCalendarObject,
+  parseCalendarObject,
+} from "./ical.js";
+
+dotenv.config();
+
+const app = express();
+app.set("trust proxy", 1);
+// CalDAV-Clients senden XML bzw. iCalendar mit wechselnden Content-Types
+app.use(express.text({ type: () => true, limit: "1mb" }));
+
+let db;
+
+const BASE_PATH = "/caldav";
+const SYNC_TOKEN_PREFIX = "https://calentian.de/ns/sync/";
+const NS = {
+  "DAV:": "d",
+  "urn:ietf:params:xml:ns:caldav": "c",
+  "http://calendarserver.org/ns/": "cs",
+};
+
+// 1) DB-Verbindung initialisieren
+async function initDB() {
+  db = mysql.createPool({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    waitForConnections: true,
+    connectionLimit: 5,
+  });
+  await db.query("SELECT 1");
+  console.log("✅ Mit der MySQL-Datenbank verbunden");
+}
+
+// 2) XML-Hilfen
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Angefragte Properties als Liste von "namespace|name"; null = allprop
+function parseRequestedProps(xml) {
+  if (!xml || /<(?:[\w-]+:)?allprop\b/.test(xml)) return null;
+  const prop = xml.match(
+    /<(?:[\w-]+:)?prop(?:\s[^>]*)?>([\s\S]*?)<\/(?:[\w-]+:)?prop\s*>/
+  );
+  if (!prop) return null;
+
+  const namespaces = {};
+  for (const match of xml.matchAll(/xmlns(?::([\w-]+))?="([^"]*)"/g)) {
+    namespaces[match[1] || ""] = match[2];
+  }
+  const names = new Set();
+  for (const match of prop[1].matchAll(/<(?:([\w-]+):)?([\w-]+)[\s/>]/g)) {
+    names.add(`${namespaces[match[1] || ""] ?? "DAV:"}|${match[2]}`);
+  }
+  return [...names];
+}
+
+function parseHrefs(xml) {
+  return [
+    ...xml.matchAll(/<(?:[\w-]+:)?href>([^<]*)<\/(?:[\w-]+:)?href>/g),
+  ].map((match) => match[1].trim());
+}
+
+function parseElementText(xml, name) {
+  const match = xml.match(
+    new RegExp(
+      `<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([^<]*)</(?:[\\w-]+:)?${name}>`
+    )
+  );
+  return match ? match[1].trim() : null;
+}
+
+function propElement(key, content) {
+  const [namespace, name] = key.split("|");
+  const prefix = NS[namespace];
+  if (!prefix) {
+    return `<x:${name} xmlns:x="${escapeXml(namespace)}"/>`;
+  }
+  return content === ""
+    ? `<${prefix}:${name}/>`
+    : `<${prefix}:${name}>${content}</${prefix}:${name}>`;
+}
+
+// Ein <response> mit gefundenen (200) und unbekannten (404) Properties.
+// props: { "namespace|name": inneres XML }, lazy Werte als Funktion
+function propResponse(href, props, requested, { allpropExclude = [] } = {}) {
+  const keys =
+    requested ??
+    Object.keys(props).filter((key) => !allpropExclude.includes(key));
+  const found = keys.filter((key) => key in props);
+  const missing = keys.filter((key) => !(key in props));
+
+  const propstat = (list, status, render) =>
+    list.length === 0
+      ? ""
+      : `<d:propstat><d:prop>${list.map(render).join("")}</d:prop>` +
+        `<d:status>HTTP/1.1 ${status}</d:status></d:propstat>`;
+
+  return (
+    `<d:response><d:href>${escapeXml(href)}</d:href>` +
+    propstat(found, "200 OK", (key) => {
+      const value = props[key];
+      return propElement(key, typeof value === "function" ? value() : value);
+    }) +
+    propstat(missing, "404 Not Found", (key) => propElement(key, "")) +
+    "</d:response>"
+  );
+}
+
+function notFoundResponse(href) {
+  return (
+    `<d:response><d:href>${escapeXml(href)}</d:href>` +
+    "<d:status>HTTP/1.1 404 Not Found</d:status></d:response>"
+  );
+}
+
+function sendMultistatus(res, responses, extra = "") {
+  res
+    .status(207)
+    .type("application/xml; charset=utf-8")
+    .send(
+      '<?xml version="1.0" encoding="utf-8"?>' +
+        '<d:multistatus xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:cs="http://calendarserver.org/ns/">' +
+        responses.join("") +
+        extra +
+        "</d:multistatus>"
+    );
+}
+
+function sendDavError(res, status, condition) {
+  res
+    .status(status)
+    .type("application/xml; charset=utf-8")
+    .send(
+      '<?xml version="1.0" encoding="utf-8"?>' +
+        `<d:error xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">${condition}</d:error>`
+    );
+}
+
+// 3) Authentifizierung: HTTP Basic mit E-Mail und API-Key
+async function authenticateBasic(req, res, next) {
+  const challenge = () =>
+    res
+      .status(401)
+      .set("WWW-Authenticate", 'Basic realm="Calentian", charset="UTF-8"')
+      .send("Anmeldung erforderlich.");
+
+  const auth = req.headers.authorization;
+  if (!auth?.startsWith("Basic ")) return challenge();
+
+  const decoded = Buffer.from(auth.slice(6), "base64").toString("utf8");
+  const split = decoded.indexOf(":");
+  const username = decoded.slice(0, split);
+  const password = decoded.slice(split + 1);
+  if (split === -1 || !password.startsWith(API_KEY_PREFIX)) return challenge();
+
+  try {
+    const user = await verifyApiKey(password, db);
+    if (
+      user.calentian_benutzer_email?.toLowerCase() !==
+      username.trim().toLowerCase()
+    ) {
+      return challenge();
+    }
+    req.user = user;
+    next();
+  } catch {
+    challenge();
+  }
+}
+
+// 4) Daten
+const principalHref = (user) =>
+  `${BASE_PATH}/principals/${user.calentian_benutzer_id}/`;
+const homeHref = () => `${BASE_PATH}/calendars/`;
+const calendarHref = (locationId) => `${BASE_PATH}/calendars/${locationId}/`;
+const objectHref = (locationId, appointment) =>
+  calendarHref(locationId) +
+  encodeURIComponent(appointmentResourceName(appointment));
+
+// Wie requirePermission: Rolle und ggf. scopes des API-Keys
+function canWrite(user) {
+  return (
+    hasPermission(user.role, "events:write") &&
+    (!user.scopes || user.scopes.includes("events:write"))
+  );
+}
+
+async function loadLocations(entriesId) {
+  const [locations] = await db.query(
+    `SELECT id, location_name FROM calentian_entries_location
+     WHERE calentian_entries_id = ? ORDER BY id`,
+    [entriesId]
+  );
+  return locations;
+}
+
+async function loadLocation(conn, req) {
+  const [[location]] = await conn.query(
+    `SELECT id, location_name FROM calentian_entries_location
+     WHERE id = ? AND calentian_entries_id = ?`,
+    [req.params.locationId, req.user.calentian_entries_id]
+  );
+  return location;
+}
+
+// Sync-Token = höchste Änderungs-ID des Entries
+async function currentSyncId(entriesId) {
+  const [[row]] = await db.query(
+    `SELECT COALESCE(MAX(id), 0) AS sync_id
+     FROM calentian_appointment_changes WHERE calentian_entries_id = ?`,
+    [entriesId]
+  );
+  return Number(row.sync_id);
+}
+
+// Termine eines Kalenders; Termine ohne Location erscheinen in jedem Kalender,
+// Altbestand ohne start_at ist per CalDAV nicht darstellbar
+async function loadAppointments(
+  conn,
+  entriesId,
+  locationId,
+  { where = "", params = [] } = {}
+) {
+  const [appointments] = await conn.query(
+    `SELECT a.*, l.location_name
+     FROM calentian_appointments a
+     LEFT JOIN calentian_entries_location l ON a.location_id = l.id
+     WHERE a.calentian_entries_id = ? AND a.start_at IS NOT NULL
+       AND (a.location_id IS NULL OR a.location_id = ?) ${where}
+     ORDER BY a.start_at, a.id`,
+    [entriesId, locationId, ...params]
+  );
+  return appointments;
+}
+
+// Ressourcenname → Termin; "appointment-<id>.ics" für serverseitig angelegte Termine
+async function findAppointment(conn, entriesId, locationId, resource) {
+  const serverId = resource.match(/^appointment-(\d+)\.ics$/)?.[1] || 0;
+  const [appointment] = await loadAppointments(conn, entriesId, locationId, {
+    where: `AND (a.caldav_resource = ? OR (a.caldav_resource IS NULL AND a.id = ?))`,
+    params: [resource, serverId],
+  });
+  return appointment;
+}
+
+function calendarData(appointment) {
+  return buildCalendarObject(
+    appointmentToVevent(appointment, { dtstamp: appointment.updated_at })
+  );
+}
+
+function etagOf(body) {
+  return `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+}
+
+function objectProps(appointment) {
+  const body = calendarData(appointment);
+  return {
+    "DAV:|getetag": escapeXml(etagOf(body)),
+    "DAV:|getcontenttype": "text/calendar; charset=utf-8; component=VEVENT",
+    "DAV:|resourcetype": "",
+    "DAV:|getlastmodified": new Date(appointment.updated_at).toUTCString(),
+    "urn:ietf:params:xml:ns:caldav|calendar-data": () => escapeXml(body),
+  };
+}
+
+const CALENDAR_DATA_KEY = "urn:ietf:params:xml:ns:caldav|calendar-data";
+
+function calendarProps(user, location, syncId) {
+  const syncToken = `${SYNC_TOKEN_PREFIX}${syncId}`;
+  const privileges = canWrite(user)
+    ? "<d:privilege><d:read/></d:privilege><d:privilege><d:write/></d:privilege>"
+    : "<d:privilege><d:read/></d:privilege>";
+  return {
+    "DAV:|resourcetype": "<d:collection/><c:calendar/>",
+    "DAV:|displayname": escapeXml(
+      location.location_name || `Location ${location.id}`
+    ),
+    "DAV:|current-user-principal": `<d:href>${principalHref(user)}</d:href>`,
+    "DAV:|owner": `<d:href>${principalHref(user)}</d:href>`,
+    "DAV:|current-user-privilege-set": privileges,
+    "DAV:|sync-token": escapeXml(syncToken),
+    "DAV:|supported-report-set":
+      "<d:supported-report><d:report><c:calendar-query/></d:report></d:supported-report>" +
+      "<d:supported-report><d:report><c:calendar-multiget/></d:report></d:supported-report>" +
+      "<d:supported-report><d:report><d:sync-collection/></d:report></d:supported-report>",
+    "http://calendarserver.org/ns/|getctag": escapeXml(syncToken),
+    "urn:ietf:params:xml:ns:caldav|supported-calendar-component-set":
+      '<c:comp name="VEVENT"/>',
+  };
+}
+
+const depthOf = (req) => (req.headers.depth === "0" ? 0 : 1);
+
+// 5) Routen
+// OPTIONS ohne Anmeldung, damit Clients die CalDAV-Unterstützung erkennen
+app.options(`${BASE_PATH}*`, (req, res) => {
+  res
+    .set("DAV", "1, 3, calendar-access")
+    .set("Allow", "OPTIONS, GET, PUT, DELETE, PROPFIND, REPORT")
+    .sendStatus(200);
+});
+
+// Auto-Discovery (RFC 6764)
+app.all("/.well-known/caldav", (req, res) => {
+  res.redirect(301, `${BASE_PATH}/`);
+});
+
+app.use(BASE_PATH, authenticateBasic, requirePermission("events:read"));
+
+// 🔒 Einstieg und Principal: verweisen auf den Kalender-Home
+app.propfind(
+  [`${BASE_PATH}/`, `${BASE_PATH}/principals/:userId/`],
+  (req, res) => {
+    const { user } = req;
+    if (
+      req.params.userId &&
+      Number(req.params.userId) !== user.calentian_benutzer_id
+    ) {
+      return res.sendStatus(404);
+    }
+    const href = req.params.userId ? principalHref(user) : `${BASE_PATH}/`;
+    sendMultistatus(res, [
+      propResponse(
+        href,
+        {
+          "DAV:|resourcetype": req.params.userId
+            ? "<d:principal/>"
+            : "<d:collection/>",
+          "DAV:|displayname": escapeXml(user.calentian_benutzer_email),
+          "DAV:|current-user-principal": `<d:href>${principalHref(
+            user
+          )}</d:href>`,
+          "DAV:|principal-URL": `<d:href>${principalHref(user)}</d:href>`,
+          "urn:ietf:params:xml:ns:caldav|calendar-home-set": `<d:href>${homeHref()}</d:href>`,
+          "urn:ietf:params:xml:ns:caldav|calendar-user-address-set": `<d:href>mailto:${escapeXml(
+            user.calentian_benutzer_email
+          )}</d:href>`,
+        },
+        parseRequestedProps(req.body)
+      ),
+    ]);
+  }
+);
+
+// 🔒 Kalender-Home: ein Kalender je Location
+app.propfind(`${BASE_PATH}/calendars/`, async (req, res) => {
+  try {
+    const { user } = req;
+    const requested = parseRequestedProps(req.body);
+    const responses = [
+      propResponse(
+        homeHref(),
+        {
+          "DAV:|resourcetype": "<d:collection/>",
+          "DAV:|displayname": "Calentian",
+          "DAV:|current-user-principal": `<d:href>${principalHref(
+            user
+          )}</d:href>`,
+          "DAV:|owner": `<d:href>${principalHref(user)}</d:href>`,
+        },
+        requested
+      ),
+    ];
+
+    if (depthOf(req) > 0) {
+      const [locations, syncId] = await Promise.all([
+        loadLocations(user.calentian_entries_id),
+        currentSyncId(user.calentian_entries_id),
+      ]);
+      for (const location of locations) {
+        responses.push(
+          propResponse(
+            calendarHref(location.id),
+            calendarProps(user, location, syncId),
+            requested
+          )
+        );
+      }
+    }
+    sendMultistatus(res, responses);
+  } catch (err) {
+    console.error("❌ Fehler bei PROPFIND Kalender-Home:", err);
+    res.status(500).send("Fehler beim Laden der Kalender.");
+  }
+});
+
+// 🔒 Kalender einer Location (Depth 1: inkl. aller Termine)
+app.propfind(`${BASE_PATH}/calendars/:locationId/`, async (req, res) => {
+  try {
+    const { user } = req;
+    const location = await loadLocation(db, req);
+    if (!location) return res.sendStatus(404);
+
+    const requested = parseRequestedProps(req.body);
+    const syncId = await currentSyncId(user.calentian_entries_id);
+    const responses = [
+      propResponse(
+        calendarHref(location.id),
+        calendarProps(user, location, syncId),
+        requested
+      ),
+    ];
+
+    if (depthOf(req) > 0) {
+      const appointments = await loadAppointments(
+        db,
+        user.calentian_entries_id,
+        location.id
+      );
+      for (const appointment of appointments) {
+        responses.push(
+          propResponse(
+            objectHref(location.id, appointment),
+            objectProps(appointment),
+            requested,
+            { allpropExclude: [CALENDAR_DATA_KEY] }
+          )
+        );
+      }
+    }
+    sendMultistatus(res, responses);
+  } catch (err) {
+    console.error("❌ Fehler bei PROPFIND Kalender:", err);
+    res.status(500).send("Fehler beim Laden des Kalenders.");
+  }
+});
+
+// 🔒 REPORT: calendar-query, calendar-multiget und sync-collection
+app.report(`${BASE_PATH}/calendars/:locationId/`, async (req, res) => {
+  try {
+    const { user } = req;
+    const entriesId = user.calentian_entries_id;
+    const location = await loadLocation(db, req);
+    if (!location) return res.sendStatus(404);
+
+    const body = req.body || "";
+    const requested = parseRequestedProps(body);
+    const respond = (appointment) =>
+      propResponse(
+        objectHref(location.id, appointment),
+        objectProps(appointment),
+        requested,
+        { allpropExclude: [CALENDAR_DATA_KEY] }
+      );
+
+    // sync-collection (RFC 6578): Änderungen seit dem übergebenen Token
+    if (/<(?:[\w-]+:)?sync-collection\b/.test(body)) {
+      const token = parseElementText(body, "sync-token");
+      const syncId = await currentSyncId(entriesId);
+
+      if (!token) {
+        const appointments = await loadAppointments(db, entriesId, location.id);
+        return sendMultistatus(
+          res,
+          appointments.map(respond),
+          `<d:sync-token>${escapeXml(
+            SYNC_TOKEN_PREFIX + syncId
+          )}</d:sync-token>`
+        );
+      }
+
+      const since = token.startsWith(SYNC_TOKEN_PREFIX)
+        ? Number(token.slice(SYNC_TOKEN_PREFIX.length))
+        : NaN;
+      if (!Number.isInteger(since) || since < 0 || since > syncId) {
+        return sendDavError(res, 403, "<d:valid-sync-token/>");
+      }
+
+      const [changes] = await db.query(
+        `SELECT resource, calentian_appointments_id
+         FROM calentian_appointment_changes
+         WHERE calentian_entries_id = ? AND id > ? AND id <= ?
+           AND (location_id IS NULL OR location_id = ?)
+         GROUP BY resource, calentian_appointments_id`,
+        [entriesId, since, syncId, location.id]
+      );
+
+      const responses = [];
+      for (const change of changes) {
+        const [appointment] = await loadAppointments(
+          db,
+          entriesId,
+          location.id,
+          {
+            where: "AND a.id = ?",
+            params: [change.calentian_appointments_id],
+          }
+        );
+        responses.push(
+          appointment &&
+            appointmentResourceName(appointment) === change.resource
+            ? respond(appointment)
+            : notFoundResponse(
+                calendarHref(location.id) + encodeURIComponent(change.resource)
+              )
+        );
+      }
+      return sendMultistatus(
+        res,
+        responses,
+        `<d:sync-token>${escapeXml(SYNC_TOKEN_PREFIX + syncId)}</d:sync-token>`
+      );
+    }
+
+    // calendar-multiget: gezielt angefragte Ressourcen
+    if (/<(?:[\w-]+:)?calendar-multiget\b/.test(body)) {
+      const responses = [];
+      for (const href of parseHrefs(body)) {
+        const resource = decodeURIComponent(href.split("/").pop());
+        const appointment = await findAppointment(
+          db,
+          entriesId,
+          location.id,
+          resource
+        );
+        responses.push(
+          appointment ? respond(appointment) : notFoundResponse(href)
+        );
+      }
+      return sendMultistatus(res, responses);
+    }
+
+    // calendar-query: alle Termine, optional auf einen Zeitraum beschränkt
+    const range = body.match(/<(?:[\w-]+:)?time-range\b([^>]*)>/)?.[1] || "";
+    const parseUtc = (name) => {
+      const value = range.match(new RegExp(`${name}="(\\d{8}T\\d{6}Z)"`))?.[1];
+      return value
+        ? new Date(
+            value.replace(
+              /(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z/,
+              "$1-$2-$3T$4:$5:$6Z"
+            )
+          )
+        : null;
+    };
+    const where = [];
+    const params = [];
+    const rangeStart = parseUtc("start");
+    const rangeEnd = parseUtc("end");
+    if (rangeStart) {
+      where.push("AND COALESCE(a.end_at, a.start_at) > ?");
+      params.push(rangeStart);
+    }
+    if (rangeEnd) {
+      where.push("AND a.start_at < ?");
+      params.push(rangeEnd);
+    }
+    const appointments = await loadAppointments(db, entriesId, location.id, {
+      where: where.join(" "),
+      params,
+    });
+    sendMultistatus(res, appointments.map(respond));
+  } catch (err) {
+    console.error("❌ Fehler bei REPORT:", err);
+    res.status(500).send("Fehler beim Laden der Termine.");
+  }
+});
+
+// 🔒 Einzelner Termin
+app.propfind(
+  `${BASE_PATH}/calendars/:locationId/:resource`,
+  async (req, res) => {
+    try {
+      const location = await loadLocation(db, req);
+      const appointment =
+        location &&
+        (await findAppointment(
+          db,
+          req.user.calentian_entries_id,
+          location.id,
+          req.params.resource
+        ));
+      if (!appointment) return res.sendStatus(404);
+
+      sendMultistatus(res, [
+        propResponse(
+          objectHref(location.id, appointment),
+          objectProps(appointment),
+          parseRequestedProps(req.body),
+          { allpropExclude: [CALENDAR_DATA_KEY] }
+        ),
+      ]);
+    } catch (err) {
+      console.error("❌ Fehler bei PROPFIND Termin:", err);
+      res.status(500).send("Fehler beim Laden des Termins.");
+    }
+  }
+);
+
+app.get(`${BASE_PATH}/calendars/:locationId/:resource`, async (req, res) => {
+  try {
+    const location = await loadLocation(db, req);
+    const appointment =
+      location &&
+      (await findAppointment(
+        db,
+        req.user.calentian_entries_id,
+        location.id,
+        req.params.resource
+      ));
+    if (!appointment) return res.sendStatus(404);
+
+    const body = calendarData(appointment);
+    const etag = etagOf(body);
+    res.set("ETag", etag);
+    if (req.headers["if-none-match"] === etag) return res.status(304).end();
+    res.type("text/calendar; charset=utf-8").send(body);
+  } catch (err) {
+    console.error("❌ Fehler bei GET Termin:", err);
+    res.status(500).send("Fehler beim Laden des Termins.");
+  }
+});
+
+// If-Match / If-None-Match gegen den aktuellen Stand prüfen
+function preconditionFailed(req, appointment) {
+  const ifMatch = req.headers["if-match"];
+  const ifNoneMatch = req.headers["if-none-match"];
+  const etag = appointment ? etagOf(calendarData(appointment)) : null;
+  if (ifNoneMatch === "*" && appointment) return true;
+  if (ifMatch && ifMatch !== "*" && ifMatch !== etag) return true;
+  if (ifMatch === "*" && !appointment) return true;
+  return false;
+}
+
+// 🔒 Termin anlegen oder ersetzen
+app.put(
+  `${BASE_PATH}/calendars/:locationId/:resource`,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const entriesId = req.user.calentian_entries_id;
+    const { resource } = req.params;
+
+    let parsed;
+    try {
+      parsed = parseCalendarObject(req.body);
+    } catch (err) {
+      return sendDavError(
+        res,
+        400,
+        `<c:valid-calendar-data/><d:description>${escapeXml(
+          err.message
+        )}</d:description>`
+      );
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const location = await loadLocation(connection, req);
+      if (!location) {
+        await connection.rollback();
+        return res.sendStatus(404);
+      }
+      const existing = await findAppointment(
+        connection,
+        entriesId,
+        location.id,
+        resource
+      );
+      if (preconditionFailed(req, existing)) {
+        await connection.rollback();
+        return res.sendStatus(412);
+      }
+      if (!existing && /^appointment-\d+\.ics$/.test(resource)) {
+        await connection.rollback();
+        return res.status(409).send("Ressourcenname ist reserviert.");
+      }
+
+      // UID ist je Entry eindeutig und bleibt für einen Termin unveränderlich
+      if (existing) {
+        const existingUid = existing.ical_uid || appointmentUid(existing.id);
+        if (existingUid !== parsed.uid) {
+          await connection.rollback();
+          return sendDavError(res, 403, "<c:no-uid-conflict/>");
+        }
+      } else {
+        const [[uidTaken]] = await connection.query(
+          `SELECT id FROM calentian_appointments
+           WHERE calentian_entries_id = ? AND ical_uid = ?`,
+          [entriesId, parsed.uid]
+        );
+        if (uidTaken) {
+          await connection.rollback();
+          return sendDavError(res, 403, "<c:no-uid-conflict/>");
+        }
+      }
+
+      const validation = await validateAppointment(connection, entriesId, {
+        title: parsed.summary || "Termin",
+        description: parsed.description,
+        all_day: parsed.allDay,
+        start_at: parsed.start,
+        end_at: parsed.end,
+        location_id: existing ? existing.location_id : location.id,
+        calentian_kundendaten_id: existing?.calentian_kundendaten_id,
+        calentian_event_entries_id: existing?.calentian_event_entries_id,
+        reminder_offsets: existing?.reminder_offsets,
+      });
+      if (validation.error) {
+        await connection.rollback();
+        return res.status(400).send(validation.error);
+      }
+      const { title, description, all_day, start_at, end_at, location_id } =
+        validation.values;
+
+      let appointmentId = existing?.id;
+      if (existing) {
+        await connection.query(
+          `UPDATE calentian_appointments
+           SET title = ?, description = ?, all_day = ?, start_at = ?, end_at = ?
+           WHERE id = ?`,
+          [title, description, all_day, start_at, end_at, existing.id]
+        );
+      } else {
+        const [result] = await connection.query(
+          `INSERT INTO calentian_appointments
+           (calentian_entries_id, location_id, title, description, all_day,
+            start_at, end_at, ical_uid, caldav_resource)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            entriesId,
+            location_id,
+            title,
+            description,
+            all_day,
+            start_at,
+            end_at,
+            parsed.uid,
+            resource,
+          ]
+        );
+        appointmentId = result.insertId;
+      }
+
+      const [after] = await loadAppointments(
+        connection,
+        entriesId,
+        location.id,
+        { where: "AND a.id = ?", params: [appointmentId] }
+      );
+      await recordAppointmentChange(connection, existing || null, after);
+      await connection.commit();
+
+      res
+        .status(existing ? 204 : 201)
+        .set("ETag", etagOf(calendarData(after)))
+        .end();
+    } catch (err) {
+      await connection.rollback();
+      console.error("❌ Fehler bei PUT Termin:", err);
+      res.status(500).send("Fehler beim Speichern des Termins.");
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+// 🔒 Termin löschen
+app.delete(
+  `${BASE_PATH}/calendars/:locationId/:resource`,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const entriesId = req.user.calentian_entries_id;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const location = await loadLocation(connection, req);
+      const existing =
+        location &&
+        (await findAppointment(
+          connection,
+          entriesId,
+          location.id,
+          req.params.resource
+        ));
+      if (!existing) {
+        await connection.rollback();
+        return res.sendStatus(404);
+      }
+      if (preconditionFailed(req, existing)) {
+        await connection.rollback();
+        return res.sendStatus(412);
+      }
+
+      await connection.query(
+        "DELETE FROM calentian_appointments WHERE id = ?",
+        [existing.id]
+      );
+      await recordAppointmentChange(connection, existing, null);
+      await connection.commit();
+      res.sendStatus(204);
+    } catch (err) {
+      await connection.rollback();
+      console.error("❌ Fehler bei DELETE Termin:", err);
+      res.status(500).send("Fehler beim Löschen des Termins.");
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+// 6) Bootstrap: Vault → DB → HTTP
+async function bootstrap() {
+  try {
+    // Vault-Login und Secrets laden
+    await initVault();
+
+    // DB initialisieren
+    await initDB();
+
+    // HTTP-Server starten
+    const PORT = process.env.PORT || 6900;
+    app.listen(PORT, () => console.log(`🚀 CalDAV-Service auf Port ${PORT}`));
+  } catch (err) {
+    console.error("Startup-Error:", err);
+    process.exit(1);
+  }
+}
+
+bootstrap();
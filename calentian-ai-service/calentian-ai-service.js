@@ -6,7 +6,11 @@ import { v4 as uuid } from "uuid";
 import mysql from "mysql2/promise";
 import cors from "cors";
 import cookieParser from "cookie-parser";
-import jwt from "jsonwebtoken";
+import {
+  getRequestToken,
+  logImpersonatedRequest,
+  verifyAccessToken,
+} from "./token-auth.js";
 import initVault from "./vault-init.js";
 import { simpleParser } from "mailparser";
 import { htmlToText } from "html-to-text";
@@ -104,16 +108,16 @@ app.get(`${BASE}/health`, (req, res) => res.json({ ok: true }));
 
 // Auth
 function authenticateToken(req, res, next) {
-  const token = req.cookies["access_token"];
+  const token = getRequestToken(req);
   if (!token) return res.status(401).json({ message: "Nicht authentifiziert" });
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err)
-      return res
-        .status(403)
-        .json({ message: "Token ungültig oder abgelaufen" });
-    req.user = user;
-    next();
-  });
+  verifyAccessToken(token, pool).then(
+    (user) => {
+      req.user = user;
+      logImpersonatedRequest(req, user);
+      next();
+    },
+    () => res.status(403).json({ message: "Token ungültig oder abgelaufen" })
+  );
 }
 
 // Hilfsfunktion für IMAP-Verbindungen
@@ -816,7 +820,6 @@ const boot = async () => {
     "DB_USER",
     "DB_PASSWORD",
     "DB_NAME",
-    "JWT_SECRET",
     "ALLOWED_ORIGINS",
     "OLLAMA_URL", // NEU: Ollama URL
     "OLLAMA_MODEL", // NEU: Ollama Model
@@ -4,9 +4,14 @@ dotenv.config();
 import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
-import jwt from "jsonwebtoken";
 import mysql from "mysql2/promise";
 import initVault from "./vault-init.js"; // .js ist wichtig
+import {
+  getRequestToken,
+  logImpersonatedRequest,
+  verifyAccessToken,
+} from "./token-auth.js";
+import { requirePermission } from "./permissions.js";
 
 // 🔐 Vault Secrets laden (vor Express starten)
 (async () => {
@@ -42,18 +47,27 @@ import initVault from "./vault-init.js"; // .js ist wichtig
 
   // 🧠 Middleware: Token prüfen
   function authenticateToken(req, res, next) {
-    const token = req.cookies["access_token"];
+    const token = getRequestToken(req);
     if (!token)
       return res.status(401).json({ message: "Nicht authentifiziert" });
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-      if (err)
-        return res
-          .status(403)
-          .json({ message: "Token ungültig oder abgelaufen" });
-      req.user = user;
-      next();
-    });
+    initDB()
+      .then(async (conn) => {
+        try {
+          return await verifyAccessToken(token, conn);
+        } finally {
+          await conn.end();
+        }
+      })
+      .then(
+        (user) => {
+          req.user = user;
+          logImpersonatedRequest(req, user);
+          next();
+        },
+        () =>
+          res.status(403).json({ message: "Token ungültig oder abgelaufen" })
+      );
   }
 
   // 🔌 DB-Verbindung
@@ -74,64 +88,80 @@ import initVault from "./vault-init.js"; // .js ist wichtig
   });
 
   // 🔧 Routen
-  app.get("/crm-service/customers", authenticateToken, async (req, res) => {
-    const conn = await initDB();
-    const [rows] = await conn.query(
-      "SELECT * FROM calentian_kundendaten WHERE calentian_entries_id = ?",
-      [req.user.calentian_entries_id]
-    );
-    res.json(rows);
-  });
+  app.get(
+    "/crm-service/customers",
+    authenticateToken,
+    requirePermission("customers:read"),
+    async (req, res) => {
+      const conn = await initDB();
+      const [rows] = await conn.query(
+        "SELECT * FROM calentian_kundendaten WHERE calentian_entries_id = ?",
+        [req.user.calentian_entries_id]
+      );
+      res.json(rows);
+    }
+  );
 
-  app.post("/crm-service/customers", authenticateToken, async (req, res) => {
-    const { firma, vorname, nachname, strasse, plz, stadt, telefonnummer } =
-      req.body;
-    const conn = await initDB();
-    const [result] = await conn.query(
-      `INSERT INTO calentian_kundendaten 
+  app.post(
+    "/crm-service/customers",
+    authenticateToken,
+    requirePermission("customers:write"),
+    async (req, res) => {
+      const { firma, vorname, nachname, strasse, plz, stadt, telefonnummer } =
+        req.body;
+      const conn = await initDB();
+      const [result] = await conn.query(
+        `INSERT INTO calentian_kundendaten 
        (firma, vorname, nachname, strasse, plz, stadt, telefonnummer, calentian_entries_id)
        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        firma,
-        vorname,
-        nachname,
-        strasse,
-        plz,
-        stadt,
-        telefonnummer,
-        req.user.calentian_entries_id,
-      ]
-    );
-    res.json({ id: result.insertId });
-  });
+        [
+          firma,
+          vorname,
+          nachname,
+          strasse,
+          plz,
+          stadt,
+          telefonnummer,
+          req.user.calentian_entries_id,
+        ]
+      );
+      res.json({ id: result.insertId });
+    }
+  );
 
-  app.put("/crm-service/customers/:id", authenticateToken, async (req, res) => {
-    const customerId = parseInt(req.params.id);
-    const { firma, vorname, nachname, strasse, plz, stadt, telefonnummer } =
-      req.body;
-    const conn = await initDB();
-    await conn.query(
-      `UPDATE calentian_kundendaten 
+  app.put(
+    "/crm-service/customers/:id",
+    authenticateToken,
+    requirePermission("customers:write"),
+    async (req, res) => {
+      const customerId = parseInt(req.params.id);
+      const { firma, vorname, nachname, strasse, plz, stadt, telefonnummer } =
+        req.body;
+      const conn = await initDB();
+      await conn.query(
+        `UPDATE calentian_kundendaten 
        SET firma = ?, vorname = ?, nachname = ?, strasse = ?, plz = ?, stadt = ?, telefonnummer = ?
        WHERE id = ? AND calentian_entries_id = ?`,
-      [
-        firma,
-        vorname,
-        nachname,
-        strasse,
-        plz,
-        stadt,
-        telefonnummer,
-        customerId,
-        req.user.calentian_entries_id,
-      ]
-    );
-    res.json({ success: true });
-  });
+        [
+          firma,
+          vorname,
+          nachname,
+          strasse,
+          plz,
+          stadt,
+          telefonnummer,
+          customerId,
+          req.user.calentian_entries_id,
+        ]
+      );
+      res.json({ success: true });
+    }
+  );
 
   app.delete(
     "/crm-service/customers/:id",
     authenticateToken,
+    requirePermission("customers:delete"),
     async (req, res) => {
       const customerId = parseInt(req.params.id);
       const conn = await initDB();
@@ -146,6 +176,7 @@ import initVault from "./vault-init.js"; // .js ist wichtig
   app.get(
     "/crm-service/customers/:id/emails",
     authenticateToken,
+    requirePermission("customers:read"),
     async (req, res) => {
       const customerId = parseInt(req.params.id);
       const conn = await initDB();
@@ -160,6 +191,7 @@ import initVault from "./vault-init.js"; // .js ist wichtig
   app.post(
     "/crm-service/customers/:id/emails",
     authenticateToken,
+    requirePermission("customers:write"),
     async (req, res) => {
       const customerId = parseInt(req.params.id);
       const { email, is_primary } = req.body;
@@ -176,6 +208,7 @@ import initVault from "./vault-init.js"; // .js ist wichtig
   app.put(
     "/crm-service/emails/:emailId",
     authenticateToken,
+    requirePermission("customers:write"),
     async (req, res) => {
       const emailId = parseInt(req.params.emailId);
       const { email, is_primary } = req.body;
@@ -191,6 +224,7 @@ import initVault from "./vault-init.js"; // .js ist wichtig
   app.delete(
     "/crm-service/emails/:emailId",
     authenticateToken,
+    requirePermission("customers:write"),
     async (req, res) => {
       const emailId = parseInt(req.params.emailId);
       const conn = await initDB();
@@ -3,7 +3,6 @@ import express from "express";
 import dotenv from "dotenv";
 import cors from "cors";
 import multer from "multer";
-import jwt from "jsonwebtoken";
 import cookieParser from "cookie-parser";
 import stream from "stream";
 import {
@@ -13,6 +12,11 @@ import {
 } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import initVault from "./vault-init.js";
+import {
+  getRequestToken,
+  logImpersonatedRequest,
+  verifyAccessToken,
+} from "./token-auth.js";
 
 // 📄 .env laden (für Vault und Bootstrap)
 dotenv.config();
@@ -35,14 +39,18 @@ const upload = multer({
 });
 
 const authMiddleware = (req, res, next) => {
-  const token = req.cookies["access_token"];
+  const token = getRequestToken(req);
   if (!token) return res.status(401).json({ message: "Token fehlt" });
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ message: "Token ungültig" });
-    req.user = user;
-    next();
-  });
+  // Kein DB-Zugriff: den Widerruf der Session prüft der login-service
+  verifyAccessToken(token).then(
+    (user) => {
+      req.user = user;
+      logImpersonatedRequest(req, user);
+      next();
+    },
+    () => res.status(403).json({ message: "Token ungültig" })
+  );
 };
 
 (async () => {
@@ -53,7 +53,7 @@ app.get("/database-angebotsgenerator/:hash", async (req, res) => {
       FROM calentian_offer o
       LEFT JOIN calentian_event_entries e ON o.calentian_event_entries_id = e.id
       LEFT JOIN calentian_kundendaten k ON e.calentian_kundendaten_id = k.id
-      WHERE o.hash = ?
+      WHERE o.hash = ? AND (e.id IS NULL OR e.deleted_at IS NULL)
       LIMIT 1
       `,
       [hash]
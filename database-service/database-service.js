@@ -1,14 +1,34 @@
 // database-service.js (Vault-kompatibel)
+import crypto from "crypto";
 import express from "express";
 import cors from "cors";
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
 import mysql from "mysql2/promise";
-import jwt from "jsonwebtoken";
 import cookieParser from "cookie-parser";
 import initVault from "./vault-init.js"; // Vault-Init importieren
+import {
+  getRequestToken,
+  logImpersonatedRequest,
+  verifyAccessToken,
+} from "./token-auth.js";
+import { requirePermission } from "./permissions.js";
+import {
+  findEventConflicts,
+  recordConflictOverride,
+} from "./event-conflicts.js";
+import { checkStatusTransition, recordStatusChange } from "./event-status.js";
+import {
+  loadEventSnapshot,
+  recordEventChanges,
+  trackEventChanges,
+} from "./event-history.js";
+import { appointmentToVevent, buildCalendar, eventToVevent } from "./ical.js";
+import rrule from "rrule";
 import dotenv from "dotenv";
 
+const { RRule } = rrule;
+
 const vaultReady = await initVault(); // Vault Secrets laden
 if (!vaultReady) {
   console.error("❌ Vault konnte nicht initialisiert werden.");
@@ -31,21 +51,20 @@ const allowedOrigins = process.env.ALLOWED_ORIGINS
 
 // 🔐 Authentifizierungsmiddleware für geschützte Routen
 const authenticateToken = (req, res, next) => {
-  const token =
-    req.headers.authorization?.replace("Bearer ", "") ||
-    req.cookies?.access_token;
+  const token = getRequestToken(req);
 
   if (!token) {
     return res.status(403).json({ message: "Token fehlt oder ist ungültig." });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: "Token ungültig." });
-    }
-    req.user = user;
-    next();
-  });
+  verifyAccessToken(token, db).then(
+    (user) => {
+      req.user = user;
+      logImpersonatedRequest(req, user);
+      next();
+    },
+    () => res.status(403).json({ message: "Token ungültig." })
+  );
 };
 
 app.use(
@@ -125,12 +144,60 @@ const tableFilters = {
   calentian_benutzer: "calentian_entries_id = ?",
   calentian_appointments: "calentian_entries_id = ?",
   calentian_kundendaten: "calentian_entries_id = ?",
-  calentian_kunden_emails: "calentian_entries_id = ?",
+  // Events im Papierkorb samt Gästen, Angeboten und E-Mails ausblenden
+  calentian_event_entries: "calentian_entries_id = ? AND deleted_at IS NULL",
+  calentian_event_guest_count:
+    "calentian_event_entries_id IN (SELECT id FROM calentian_event_entries WHERE calentian_entries_id = ? AND deleted_at IS NULL)",
+  calentian_offer:
+    "calentian_event_entries_id IN (SELECT id FROM calentian_event_entries WHERE calentian_entries_id = ? AND deleted_at IS NULL)",
+  calentian_kunden_emails:
+    "calentian_entries_id = ? AND (calentian_event_entries_id IS NULL OR calentian_event_entries_id NOT IN (SELECT id FROM calentian_event_entries WHERE deleted_at IS NOT NULL))",
   calentian_calendar_settings: "calentian_entries_id = ?",
   calentian_closure_days: "calentian_entries_id = ?",
   calentian_guest_group_template: "calentian_entries_id = ?",
 };
 
+// Tabellen, die API-Keys über die generischen Routen nicht lesen dürfen
+const apiKeyBlockedTables = ["calentian_benutzer"];
+
+function isBlockedForApiKey(req, table) {
+  return Boolean(req.user.api_key_id) && apiKeyBlockedTables.includes(table);
+}
+
+// Spalten-Whitelist für Tabellen mit sensiblen Daten (Passwort-Hash,
+// TOTP-Secret, Support-Flag): nur diese Spalten werden ausgeliefert und
+// dürfen in Filtern und Sortierung vorkommen.
+const tableColumns = {
+  calentian_benutzer: [
+    "id",
+    "benutzername",
+    "email",
+    "calentian_entries_id",
+    "role",
+    "is_active",
+    "deactivated_at",
+    "totp_enabled",
+  ],
+};
+
+function selectColumns(table) {
+  const columns = tableColumns[table];
+  return columns ? columns.map((column) => `\`${column}\``).join(", ") : "*";
+}
+
+function isAllowedColumn(table, column) {
+  return !tableColumns[table] || tableColumns[table].includes(column);
+}
+
+// "spalte" oder "spalte ASC|DESC" – nur für Tabellen mit Whitelist geprüft
+function isAllowedSort(table, sort) {
+  if (!tableColumns[table]) return true;
+  const match = String(sort)
+    .trim()
+    .match(/^(\w+)(\s+(ASC|DESC))?$/i);
+  return Boolean(match) && isAllowedColumn(table, match[1]);
+}
+
 function buildWhereClause(where) {
   const mapping = {
     benutzer_id: "calentian_benutzer_id",
@@ -139,10 +206,12 @@ function buildWhereClause(where) {
 
   const clauses = [];
   const values = [];
+  const columns = [];
 
   for (const key in where) {
     const column = mapping[key] || key;
     const condition = where[key];
+    columns.push(column);
 
     if (typeof condition === "object" && condition !== null) {
       for (const op in condition) {
@@ -179,6 +248,7 @@ function buildWhereClause(where) {
   return {
     clause: clauses.join(" AND "),
     values,
+    columns,
   };
 }
 
@@ -227,211 +297,267 @@ function parseSimpleFilter(str) {
   return {
     clause,
     values: Array.isArray(val) ? val : [val],
+    column: columnSafe,
   };
 }
 
 // Datenbankroute für Abruf einer Tabelle
-app.get("/database", authenticateToken, async (req, res) => {
-  const { table, filter, limit, eventId, sort } = req.query;
-  if (!table || !allowedTables.includes(table)) {
-    return res.status(400).json({ message: "Ungültiger Tabellenname." });
-  }
+app.get(
+  "/database",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const { table, filter, limit, eventId, sort } = req.query;
+    if (!table || !allowedTables.includes(table)) {
+      return res.status(400).json({ message: "Ungültiger Tabellenname." });
+    }
+    if (isBlockedForApiKey(req, table)) {
+      return res
+        .status(403)
+        .json({ message: "Diese Tabelle ist für API-Keys nicht freigegeben." });
+    }
 
-  let query = `SELECT * FROM \`${table}\``;
-  const params = [];
-  const where = [];
+    let query = `SELECT ${selectColumns(table)} FROM \`${table}\``;
+    const params = [];
+    const where = [];
 
-  if (tableFilters[table]) {
-    where.push(tableFilters[table]);
-    params.push(req.user.calentian_entries_id);
-  }
-  if (eventId) {
-    where.push("calentian_event_entries_id = ?");
-    params.push(eventId);
-  }
-  if (filter) {
-    const parsed = parseSimpleFilter(filter);
-    if (!parsed)
-      return res.status(400).json({ message: "Ungültiger Filterausdruck." });
-    where.push(parsed.clause);
-    params.push(...parsed.values);
-  }
-  if (where.length) query += " WHERE " + where.join(" AND ");
-  if (sort) query += ` ORDER BY ${sort}`;
-  if (limit) {
-    query += " LIMIT ?";
-    params.push(parseInt(limit, 10));
-  }
+    if (tableFilters[table]) {
+      where.push(tableFilters[table]);
+      params.push(req.user.calentian_entries_id);
+    }
+    if (eventId) {
+      where.push("calentian_event_entries_id = ?");
+      params.push(eventId);
+    }
+    if (filter) {
+      const parsed = parseSimpleFilter(filter);
+      if (!parsed || !isAllowedColumn(table, parsed.column))
+        return res.status(400).json({ message: "Ungültiger Filterausdruck." });
+      where.push(parsed.clause);
+      params.push(...parsed.values);
+    }
+    if (sort && !isAllowedSort(table, sort)) {
+      return res.status(400).json({ message: "Ungültige Sortierung." });
+    }
+    if (where.length) query += " WHERE " + where.join(" AND ");
+    if (sort) query += ` ORDER BY ${sort}`;
+    if (limit) {
+      query += " LIMIT ?";
+      params.push(parseInt(limit, 10));
+    }
 
-  console.log("📤 SQL:", query, params);
-  try {
-    const [rows] = await db.query(query, params);
-    return res.json(rows);
-  } catch (err) {
-    console.error("❌ DB-Fehler:", err);
-    return res.status(500).json({ message: "Fehler beim Abrufen der Daten." });
+    console.log("📤 SQL:", query, params);
+    try {
+      const [rows] = await db.query(query, params);
+      return res.json(rows);
+    } catch (err) {
+      console.error("❌ DB-Fehler:", err);
+      return res
+        .status(500)
+        .json({ message: "Fehler beim Abrufen der Daten." });
+    }
   }
-});
+);
 
 // Datenbankroute für den Abruf mehrerer Tabellen
-app.get("/database/multi-request", authenticateToken, async (req, res) => {
-  const { requests } = req.body;
-  if (!Array.isArray(requests) || requests.length === 0) {
-    return res
-      .status(400)
-      .json({ message: "Keine gültigen Anfragen angegeben." });
-  }
+app.get(
+  "/database/multi-request",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const { requests } = req.body;
+    if (!Array.isArray(requests) || requests.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "Keine gültigen Anfragen angegeben." });
+    }
 
-  const results = {};
+    const results = {};
 
-  await Promise.all(
-    requests.map(async (r) => {
-      const table = r.table;
-      if (!allowedTables.includes(table)) {
-        results[table] = { error: "Ungültiger Tabellenname." };
-        return;
-      }
+    await Promise.all(
+      requests.map(async (r) => {
+        const table = r.table;
+        if (!allowedTables.includes(table)) {
+          results[table] = { error: "Ungültiger Tabellenname." };
+          return;
+        }
+        if (isBlockedForApiKey(req, table)) {
+          results[table] = {
+            error: "Diese Tabelle ist für API-Keys nicht freigegeben.",
+          };
+          return;
+        }
 
-      // Basis-Query
-      let sql = "SELECT * FROM ??";
-      const params = [table];
+        // Basis-Query
+        let sql = `SELECT ${selectColumns(table)} FROM ??`;
+        const params = [table];
 
-      // Standard-Filter
-      const filter = tableFilters[table];
-      if (filter) {
-        sql += " WHERE " + filter;
-        params.push(req.user.calentian_entries_id);
-      }
+        // Standard-Filter
+        const filter = tableFilters[table];
+        if (filter) {
+          sql += " WHERE " + filter;
+          params.push(req.user.calentian_entries_id);
+        }
 
-      // zusätzliche WHERE-Bedingungen
-      if (r.where) {
-        const { clause, values } = buildWhereClause(r.where);
-        if (clause) {
-          sql += filter ? " AND " + clause : " WHERE " + clause;
-          params.push(...values);
+        // zusätzliche WHERE-Bedingungen
+        if (r.where) {
+          const { clause, values, columns } = buildWhereClause(r.where);
+          if (!columns.every((column) => isAllowedColumn(table, column))) {
+            results[table] = { error: "Ungültige Filterspalte." };
+            return;
+          }
+          if (clause) {
+            sql += filter ? " AND " + clause : " WHERE " + clause;
+            params.push(...values);
+          }
         }
-      }
 
-      try {
-        const [rows] = await db.query(sql, params);
-        results[table] = rows;
-      } catch (err) {
-        results[table] = { error: "Fehler beim Abrufen: " + err.message };
-      }
-    })
-  );
+        try {
+          const [rows] = await db.query(sql, params);
+          results[table] = rows;
+        } catch (err) {
+          results[table] = { error: "Fehler beim Abrufen: " + err.message };
+        }
+      })
+    );
 
-  res.json(results);
-});
+    res.json(results);
+  }
+);
 
-app.post("/database/multi-request", authenticateToken, async (req, res) => {
-  const { requests } = req.body;
+app.post(
+  "/database/multi-request",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const { requests } = req.body;
 
-  console.log("🔐 Authentifizierter Benutzer:", req.user);
-  console.log("📥 Eingehende Multi-Request:", requests);
+    console.log("🔐 Authentifizierter Benutzer:", req.user);
+    console.log("📥 Eingehende Multi-Request:", requests);
 
-  if (!Array.isArray(requests) || requests.length === 0) {
-    return res
-      .status(400)
-      .json({ message: "Keine gültigen Anfragen angegeben." });
-  }
+    if (!Array.isArray(requests) || requests.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "Keine gültigen Anfragen angegeben." });
+    }
 
-  const results = {};
+    const results = {};
 
-  await Promise.all(
-    requests.map(async (r) => {
-      const table = r.table;
-      if (!allowedTables.includes(table)) {
-        console.warn(`⚠️ Ungültiger Tabellenname: ${table}`);
-        results[table] = { error: "Ungültiger Tabellenname." };
-        return;
-      }
+    await Promise.all(
+      requests.map(async (r) => {
+        const table = r.table;
+        if (!allowedTables.includes(table)) {
+          console.warn(`⚠️ Ungültiger Tabellenname: ${table}`);
+          results[table] = { error: "Ungültiger Tabellenname." };
+          return;
+        }
+        if (isBlockedForApiKey(req, table)) {
+          results[table] = {
+            error: "Diese Tabelle ist für API-Keys nicht freigegeben.",
+          };
+          return;
+        }
 
-      // Basis-Query
-      let sql = "SELECT * FROM ??";
-      const params = [table];
+        // Basis-Query
+        let sql = `SELECT ${selectColumns(table)} FROM ??`;
+        const params = [table];
 
-      // Standard-Filter
-      const filter = tableFilters[table];
-      if (filter) {
-        sql += " WHERE " + filter;
-        params.push(req.user.calentian_entries_id);
-      }
+        // Standard-Filter
+        const filter = tableFilters[table];
+        if (filter) {
+          sql += " WHERE " + filter;
+          params.push(req.user.calentian_entries_id);
+        }
 
-      // Zusätzliche WHERE-Bedingungen
-      if (r.where) {
-        const { clause, values } = buildWhereClause(r.where);
-        if (clause) {
-          sql += filter ? " AND " + clause : " WHERE " + clause;
-          params.push(...values);
+        // Zusätzliche WHERE-Bedingungen
+        if (r.where) {
+          const { clause, values, columns } = buildWhereClause(r.where);
+          if (!columns.every((column) => isAllowedColumn(table, column))) {
+            results[table] = { error: "Ungültige Filterspalte." };
+            return;
+          }
+          if (clause) {
+            sql += filter ? " AND " + clause : " WHERE " + clause;
+            params.push(...values);
+          }
         }
-      }
 
-      console.log(`📤 SQL-Query für Tabelle '${table}':`, sql);
-      console.log("📤 SQL-Parameter:", params);
+        console.log(`📤 SQL-Query für Tabelle '${table}':`, sql);
+        console.log("📤 SQL-Parameter:", params);
 
-      try {
-        const [rows] = await db.query(sql, params);
-        console.log(`✅ Ergebnisse für Tabelle '${table}':`, rows.length);
-        results[table] = rows;
-      } catch (err) {
-        console.error(`❌ Fehler beim Abrufen von '${table}':`, err.message);
-        results[table] = { error: "Fehler beim Abrufen: " + err.message };
-      }
-    })
-  );
+        try {
+          const [rows] = await db.query(sql, params);
+          console.log(`✅ Ergebnisse für Tabelle '${table}':`, rows.length);
+          results[table] = rows;
+        } catch (err) {
+          console.error(`❌ Fehler beim Abrufen von '${table}':`, err.message);
+          results[table] = { error: "Fehler beim Abrufen: " + err.message };
+        }
+      })
+    );
 
-  console.log("✅ Alle Multi-Requests abgeschlossen");
-  res.json(results);
-});
+    console.log("✅ Alle Multi-Requests abgeschlossen");
+    res.json(results);
+  }
+);
 
 // Neuer Endpunkt für gefilterte Feiertage
-app.post("/database/holidays", authenticateToken, async (req, res) => {
-  const { year, month, laender, bundeslaender } = req.body;
-
-  if (!year || !month) {
-    return res.status(400).json({ message: "Jahr und Monat erforderlich." });
-  }
+app.post(
+  "/database/holidays",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const { year, month, laender, bundeslaender } = req.body;
+
+    if (!year || !month) {
+      return res.status(400).json({ message: "Jahr und Monat erforderlich." });
+    }
 
-  // Basis-Query
-  let sql = `
+    // Basis-Query
+    let sql = `
     SELECT * 
     FROM calentian_holidays
     WHERE datum LIKE ?
       AND land IN (?)
   `;
-  const params = [`${year}-${month}-%`, laender];
+    const params = [`${year}-${month}-%`, laender];
 
-  // Bundesländer-Filter ergänzen
-  if (Array.isArray(bundeslaender) && bundeslaender.length > 0) {
-    sql += ` AND (bundesland IN (?) OR bundesland IS NULL)`;
-    params.push(bundeslaender);
-  }
+    // Bundesländer-Filter ergänzen
+    if (Array.isArray(bundeslaender) && bundeslaender.length > 0) {
+      sql += ` AND (bundesland IN (?) OR bundesland IS NULL)`;
+      params.push(bundeslaender);
+    }
 
-  try {
-    const [rows] = await db.query(sql, params);
-    console.log(
-      `Gefilterte Feiertage: ${rows.length} Einträge für ${year}-${month}`
-    );
-    return res.json({ holidays: rows });
-  } catch (err) {
-    console.error("❌ Fehler bei Feiertage-Abfrage:", err);
-    return res
-      .status(500)
-      .json({ error: "Fehler beim Abrufen der Feiertage." });
+    try {
+      const [rows] = await db.query(sql, params);
+      console.log(
+        `Gefilterte Feiertage: ${rows.length} Einträge für ${year}-${month}`
+      );
+      return res.json({ holidays: rows });
+    } catch (err) {
+      console.error("❌ Fehler bei Feiertage-Abfrage:", err);
+      return res
+        .status(500)
+        .json({ error: "Fehler beim Abrufen der Feiertage." });
+    }
   }
-});
+);
 
 // Route zum Abrufen von mehreren Events - ANGEPASST für neue Struktur
-app.get("/database/events", authenticateToken, async (req, res) => {
-  const locationId = req.user.calentian_entries_id;
-  if (!locationId) {
-    return res
-      .status(400)
-      .json({ message: "calentian_entries_id fehlt im Token." });
-  }
+// Archivierte Events nur mit ?include_archived=1
+app.get(
+  "/database/events",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const locationId = req.user.calentian_entries_id;
+    if (!locationId) {
+      return res
+        .status(400)
+        .json({ message: "calentian_entries_id fehlt im Token." });
+    }
 
-  const sql = `
+    const sql = `
     SELECT 
       e.*, 
       k.vorname, 
@@ -460,28 +586,232 @@ app.get("/database/events", authenticateToken, async (req, res) => {
     LEFT JOIN calentian_event_entries_veranstaltungsart va ON e.calentian_event_entries_veranstaltungsart_id = va.id
     LEFT JOIN calentian_event_guest_count egc ON e.id = egc.calentian_event_entries_id
     LEFT JOIN calentian_guest_group_template ggt ON egc.guest_group_template_id = ggt.id
-    WHERE e.calentian_entries_id = ?
+    WHERE e.calentian_entries_id = ? AND e.deleted_at IS NULL
+      ${req.query.include_archived === "1" ? "" : "AND e.archived_at IS NULL"}
     GROUP BY 
       e.id, k.vorname, k.nachname, k.firma, l.location_name, 
       s.label, s.css_class, va.name, va.icon_class, e.event_name
   `;
 
-  console.log("📤 SQL-Query /database/events:", sql, [locationId]);
-  try {
-    const [rows] = await db.query(sql, [locationId]);
-    console.log(`✅ Gefundene Events: ${rows.length}`);
-    res.json(rows);
-  } catch (err) {
-    console.error("❌ Fehler beim Abrufen der Events:", err);
-    res.status(500).json({ message: "Fehler beim Abrufen der Events." });
+    console.log("📤 SQL-Query /database/events:", sql, [locationId]);
+    try {
+      const [rows] = await db.query(sql, [locationId]);
+      console.log(`✅ Gefundene Events: ${rows.length}`);
+      res.json(rows);
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen der Events:", err);
+      res.status(500).json({ message: "Fehler beim Abrufen der Events." });
+    }
   }
-});
+);
 
-// Route zum Abrufen eines einzelnen Events - ANGEPASST für neue Struktur
-app.get("/database/event/:id", authenticateToken, async (req, res) => {
-  const eventId = req.params.id;
+// ---- Eventsuche ----
+const SEARCH_MAX_LIMIT = 100;
+// Sortierfelder → Spalte (Tiebreaker ist immer e.id). Events ohne Namen
+// sortieren als "", sonst bricht der Keyset-Vergleich mit NULL ab.
+const SEARCH_SORT_COLUMNS = {
+  datum: "e.datum",
+  event_name: "COALESCE(e.event_name, '')",
+  id: "e.id",
+};
+
+// "1,2,3" → [1, 2, 3]; ungültige Werte werden verworfen
+function parseIdList(value) {
+  if (!value) return [];
+  return String(value)
+    .split(",")
+    .map((v) => parseInt(v, 10))
+    .filter((v) => Number.isInteger(v));
+}
+
+// Cursor = base64url-JSON [Sortwert, id] des letzten Treffers
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  const values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  if (!Array.isArray(values) || values.length !== 2) {
+    throw new Error("Ungültiger Cursor");
+  }
+  return values;
+}
+
+// Freitext als boolesche Volltextsuche (Präfix je Begriff). Begriffe unterhalb
+// der InnoDB-Mindestlänge (3 Zeichen) werden per LIKE gesucht.
+function buildTextFilter(q) {
+  const terms = String(q)
+    .split(/\s+/)
+    .map((t) => t.replace(/[^\p{L}\p{N}@._-]/gu, ""))
+    .filter(Boolean);
+  const clauses = [];
+  const values = [];
+  for (const term of terms) {
+    if (term.length >= 3 && /^[\p{L}\p{N}]+$/u.test(term)) {
+      clauses.push(
+        "(MATCH(e.event_name) AGAINST (? IN BOOLEAN MODE) OR MATCH(k.vorname, k.nachname, k.firma) AGAINST (? IN BOOLEAN MODE))"
+      );
+      values.push(`${term}*`, `${term}*`);
+    } else {
+      clauses.push(
+        "(e.event_name LIKE ? OR k.vorname LIKE ? OR k.nachname LIKE ? OR k.firma LIKE ?)"
+      );
+      const like = `%${term.replace(/[%_\\]/g, "\\$&")}%`;
+      values.push(like, like, like, like);
+    }
+  }
+  return { clauses, values };
+}
+
+// 🔒 API-Route: Events suchen, filtern und seitenweise laden
+// Query: from, to (Überschneidung mit datum..bis_datum), status, location_id,
+// veranstaltungsart (je kommagetrennt), customer_id, q (Freitext),
+// include_archived=1, sort (datum|event_name|id), order (asc|desc),
+// limit (max. 100), cursor (next_cursor der vorherigen Seite)
+app.get(
+  "/database/events/search",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const {
+      from,
+      to,
+      status,
+      location_id,
+      veranstaltungsart,
+      customer_id,
+      q,
+      include_archived,
+      sort = "datum",
+      order = "asc",
+      cursor,
+    } = req.query;
+    const limit = Math.min(
+      parseInt(req.query.limit, 10) || 50,
+      SEARCH_MAX_LIMIT
+    );
+    const sortColumn = SEARCH_SORT_COLUMNS[sort];
+    if (!sortColumn || !["asc", "desc"].includes(order)) {
+      return res.status(400).json({ message: "Ungültige Sortierung." });
+    }
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ message: "Ungültiger Zeitraum." });
+    }
+
+    const where = ["e.calentian_entries_id = ?", "e.deleted_at IS NULL"];
+    const params = [req.user.calentian_entries_id];
+    if (include_archived !== "1") where.push("e.archived_at IS NULL");
+    if (from) {
+      where.push("COALESCE(e.bis_datum, e.datum) >= ?");
+      params.push(from);
+    }
+    if (to) {
+      where.push("e.datum <= ?");
+      params.push(to);
+    }
+    for (const [column, value] of [
+      ["e.calentian_event_entries_status_id", status],
+      ["e.location_id", location_id],
+      ["e.calentian_event_entries_veranstaltungsart_id", veranstaltungsart],
+    ]) {
+      const ids = parseIdList(value);
+      if (ids.length > 0) {
+        where.push(`${column} IN (?)`);
+        params.push(ids);
+      }
+    }
+    if (customer_id) {
+      where.push("e.calentian_kundendaten_id = ?");
+      params.push(customer_id);
+    }
+    if (q?.trim()) {
+      const text = buildTextFilter(q);
+      where.push(...text.clauses);
+      params.push(...text.values);
+    }
+
+    // Keyset-Pagination: nach dem letzten Treffer der vorherigen Seite weiterlesen
+    const pageWhere = [...where];
+    const pageParams = [...params];
+    if (cursor) {
+      let values;
+      try {
+        values = decodeCursor(cursor);
+      } catch {
+        return res.status(400).json({ message: "Ungültiger Cursor." });
+      }
+      const op = order === "asc" ? ">" : "<";
+      pageWhere.push(
+        `(${sortColumn} ${op} ? OR (${sortColumn} = ? AND e.id ${op} ?))`
+      );
+      pageParams.push(values[0], values[0], values[1]);
+    }
+
+    const baseFrom = `
+    FROM calentian_event_entries e
+    LEFT JOIN calentian_kundendaten k ON e.calentian_kundendaten_id = k.id`;
+
+    try {
+      const [[{ total }]] = await db.query(
+        `SELECT COUNT(*) AS total ${baseFrom} WHERE ${where.join(" AND ")}`,
+        params
+      );
+      const [rows] = await db.query(
+        `SELECT
+          e.id, e.event_name, e.datum, e.bis_datum, e.start_time,
+          e.location_id, l.location_name,
+          e.calentian_kundendaten_id, k.vorname, k.nachname, k.firma,
+          e.calentian_event_entries_status_id, s.label AS event_status_label,
+          s.css_class AS event_status_css,
+          e.calentian_event_entries_veranstaltungsart_id,
+          va.name AS veranstaltungsart_label, va.icon_class AS veranstaltungsart_icon,
+          e.option_until, e.archived_at, e.series_id,
+          (SELECT COALESCE(SUM(egc.guest_count), 0)
+           FROM calentian_event_guest_count egc
+           WHERE egc.calentian_event_entries_id = e.id) AS anzahl_personen_gesamt
+        ${baseFrom}
+        LEFT JOIN calentian_entries_location l ON e.location_id = l.id
+        LEFT JOIN calentian_event_entries_status s ON e.calentian_event_entries_status_id = s.id
+        LEFT JOIN calentian_event_entries_veranstaltungsart va ON e.calentian_event_entries_veranstaltungsart_id = va.id
+        WHERE ${pageWhere.join(" AND ")}
+        ORDER BY ${sortColumn} ${order}, e.id ${order}
+        LIMIT ?`,
+        [...pageParams, limit + 1]
+      );
+
+      const hasMore = rows.length > limit;
+      const items = hasMore ? rows.slice(0, limit) : rows;
+      const last = items[items.length - 1];
+      // Cursor enthält denselben Wert, nach dem sortiert wird
+      const sortValue = (row) => {
+        const value = row[sort];
+        if (sort === "event_name") return value ?? "";
+        return value instanceof Date ? isoDate(value) : value;
+      };
+
+      res.json({
+        total,
+        limit,
+        next_cursor: hasMore ? encodeCursor([sortValue(last), last.id]) : null,
+        items,
+      });
+    } catch (err) {
+      console.error("❌ Fehler bei der Eventsuche:", err);
+      res.status(500).json({ message: "Fehler bei der Eventsuche." });
+    }
+  }
+);
 
-  const sql = `
+// Route zum Abrufen eines einzelnen Events - ANGEPASST für neue Struktur
+app.get(
+  "/database/event/:id",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const eventId = req.params.id;
+
+    const sql = `
     SELECT 
       e.*, 
       k.vorname, 
@@ -512,7 +842,7 @@ app.get("/database/event/:id", authenticateToken, async (req, res) => {
     JOIN calentian_entries ce ON e.calentian_entries_id = ce.id
     LEFT JOIN calentian_event_guest_count egc ON e.id = egc.calentian_event_entries_id
     LEFT JOIN calentian_guest_group_template ggt ON egc.guest_group_template_id = ggt.id
-    WHERE e.id = ? AND e.calentian_entries_id = ?
+    WHERE e.id = ? AND e.calentian_entries_id = ? AND e.deleted_at IS NULL
     GROUP BY 
       e.id, e.calentian_kundendaten_id, e.calentian_entries_id, e.location_id,
       e.datum, e.bis_datum, e.start_time, e.calentian_event_entries_veranstaltungsart_id,
@@ -521,83 +851,164 @@ app.get("/database/event/:id", authenticateToken, async (req, res) => {
       ce.calentian_entries_name, ce.calentian_entries_zusatz, ce.calentian_entries_zusatz_davor
   `;
 
-  console.log("📤 SQL-Query /database/event/:id:", sql, [
-    eventId,
-    req.user.calentian_entries_id,
-  ]);
-  try {
-    const [rows] = await db.query(sql, [
+    console.log("📤 SQL-Query /database/event/:id:", sql, [
       eventId,
       req.user.calentian_entries_id,
     ]);
+    try {
+      const [rows] = await db.query(sql, [
+        eventId,
+        req.user.calentian_entries_id,
+      ]);
+
+      if (rows.length === 0) {
+        console.log(`⚠️ Event ${eventId} nicht gefunden`);
+        return res.status(404).json({ message: "Event nicht gefunden" });
+      }
+
+      const event = rows[0];
+      event.customer_emails = event.customer_emails
+        ? event.customer_emails.split(",")
+        : [];
 
-    if (rows.length === 0) {
-      console.log(`⚠️ Event ${eventId} nicht gefunden`);
-      return res.status(404).json({ message: "Event nicht gefunden" });
+      console.log(`✅ Event ${eventId} geladen`);
+      res.json(event);
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen des Events:", err);
+      res.status(500).json({ message: "Fehler beim Abrufen des Events." });
     }
+  }
+);
 
-    const event = rows[0];
-    event.customer_emails = event.customer_emails
-      ? event.customer_emails.split(",")
-      : [];
+// Fallback für Eventname: "<Veranstaltungsart> von <Kunde>"
+async function defaultEventName(conn, veranstaltungsartId, kundenId) {
+  // Veranstaltungsart-Name holen
+  const [[{ name: artName = "" } = {}]] = await conn.query(
+    `SELECT name FROM calentian_event_entries_veranstaltungsart WHERE id = ?`,
+    [veranstaltungsartId]
+  );
 
-    console.log(`✅ Event ${eventId} geladen`);
-    res.json(event);
-  } catch (err) {
-    console.error("❌ Fehler beim Abrufen des Events:", err);
-    res.status(500).json({ message: "Fehler beim Abrufen des Events." });
-  }
-});
+  // Kundenname holen
+  const [[customer]] = await conn.query(
+    `SELECT vorname, firma FROM calentian_kundendaten WHERE id = ?`,
+    [kundenId]
+  );
+  const kundeName = customer ? customer.firma?.trim() || customer.vorname : "";
+
+  return `${artName} von ${kundeName}`;
+}
 
 // 🔒 API-Route: Neues Event anlegen – GEÄNDERT (async/await, initDB)
-app.post("/database/events/new-event", authenticateToken, async (req, res) => {
-  const {
-    calentian_kunden_id,
-    location_id,
-    datum,
-    bis_datum,
-    start_time,
-    calentian_event_entries_veranstaltungsart_id,
-    calentian_event_entries_status_id,
-    event_name,
-    calentian_event_guest_count,
-  } = req.body;
-
-  // Pflichtfelder prüfen
-  if (
-    !calentian_kunden_id ||
-    !location_id ||
-    !datum ||
-    !calentian_event_entries_veranstaltungsart_id ||
-    !calentian_event_entries_status_id
-  ) {
-    return res.status(400).json({ message: "Pflichtfelder fehlen!" });
-  }
+app.post(
+  "/database/events/new-event",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const {
+      calentian_kunden_id,
+      location_id,
+      datum,
+      bis_datum,
+      start_time,
+      calentian_event_entries_veranstaltungsart_id,
+      calentian_event_entries_status_id,
+      event_name,
+      calentian_event_guest_count,
+      option_until,
+      force,
+    } = req.body;
+
+    // Pflichtfelder prüfen
+    if (
+      !calentian_kunden_id ||
+      !location_id ||
+      !datum ||
+      !calentian_event_entries_veranstaltungsart_id ||
+      !calentian_event_entries_status_id
+    ) {
+      return res.status(400).json({ message: "Pflichtfelder fehlen!" });
+    }
 
-  try {
     const entriesId = req.user.calentian_entries_id;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Location sperren: parallele Buchungen derselben Location laufen nacheinander
+      const [locations] = await connection.query(
+        `SELECT id FROM calentian_entries_location WHERE id = ? AND calentian_entries_id = ? FOR UPDATE`,
+        [location_id, entriesId]
+      );
+      if (locations.length === 0) {
+        await connection.rollback();
+        return res.status(400).json({ message: "Ungültige Location." });
+      }
 
-    // Veranstaltungsart-Name holen
-    const [[{ name: artName = "" }]] = await db.query(
-      `SELECT name FROM calentian_event_entries_veranstaltungsart WHERE id = ?`,
-      [calentian_event_entries_veranstaltungsart_id]
-    );
+      // Anfangsstatus gegen den Status-Workflow des Entries prüfen
+      const statusCheck = await checkStatusTransition(connection, {
+        entriesId,
+        fromStatusId: null,
+        toStatusId: calentian_event_entries_status_id,
+        event: req.body,
+      });
+      if (!statusCheck.allowed) {
+        await connection.rollback();
+        return res.status(422).json({
+          message: statusCheck.reason,
+          to_status_id: Number(calentian_event_entries_status_id),
+          missing_fields: statusCheck.missing_fields,
+        });
+      }
 
-    // Kundenname holen
-    const [[customer]] = await db.query(
-      `SELECT vorname, firma FROM calentian_kundendaten WHERE id = ?`,
-      [calentian_kunden_id]
-    );
-    const kundeName = customer
-      ? customer.firma?.trim() || customer.vorname
-      : "";
+      // Konflikte prüfen (Doppelbuchung, Schließtage, Kapazität)
+      const guestCount = Array.isArray(calentian_event_guest_count)
+        ? calentian_event_guest_count.reduce(
+            (sum, group) => sum + (Number(group.guest_count) || 0),
+            0
+          )
+        : 0;
+      const conflicts = await findEventConflicts(connection, {
+        entriesId,
+        locationId: location_id,
+        datum,
+        bisDatum: bis_datum,
+        statusId: calentian_event_entries_status_id,
+        guestCount,
+      });
+      if (conflicts.length > 0 && force !== true) {
+        await connection.rollback();
+        return res.status(409).json({
+          message: "Terminkonflikt",
+          conflicts,
+        });
+      }
 
-    // Fallback für Eventname
-    const finalEventName = event_name?.trim() || `${artName} von ${kundeName}`;
+      const finalEventName =
+        event_name?.trim() ||
+        (await defaultEventName(
+          connection,
+          calentian_event_entries_veranstaltungsart_id,
+          calentian_kunden_id
+        ));
+
+      // Option ohne Frist: Standardlaufzeit des Entries
+      let optionDays = null;
+      if (!option_until) {
+        const [[optionSettings]] = await connection.query(
+          `SELECT option_status_id, default_option_days FROM calentian_entries_option_settings WHERE calentian_entries_id = ?`,
+          [entriesId]
+        );
+        if (
+          optionSettings?.option_status_id ===
+          Number(calentian_event_entries_status_id)
+        ) {
+          optionDays = optionSettings.default_option_days;
+        }
+      }
 
-    // Haupt-Event einfügen
-    const [{ insertId: eventId }] = await db.query(
-      `INSERT INTO calentian_event_entries (
+      // Haupt-Event einfügen
+      const [{ insertId: eventId }] = await connection.query(
+        `INSERT INTO calentian_event_entries (
          calentian_kundendaten_id,
          calentian_entries_id,
          location_id,
@@ -606,310 +1017,1603 @@ app.post("/database/events/new-event", authenticateToken, async (req, res) => {
          start_time,
          calentian_event_entries_veranstaltungsart_id,
          calentian_event_entries_status_id,
-         event_name
-       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        calentian_kunden_id,
-        entriesId,
-        location_id,
-        datum,
-        bis_datum || null,
-        start_time || null,
-        calentian_event_entries_veranstaltungsart_id,
-        calentian_event_entries_status_id,
-        finalEventName,
-      ]
-    );
+         event_name,
+         option_until
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, DATE_ADD(CURDATE(), INTERVAL ? DAY)))`,
+        [
+          calentian_kunden_id,
+          entriesId,
+          location_id,
+          datum,
+          bis_datum || null,
+          start_time || null,
+          calentian_event_entries_veranstaltungsart_id,
+          calentian_event_entries_status_id,
+          finalEventName,
+          option_until || null,
+          optionDays,
+        ]
+      );
 
-    // Gästegruppen (optional)
-    if (Array.isArray(calentian_event_guest_count)) {
-      await Promise.all(
-        calentian_event_guest_count.map((group) =>
-          db.query(
+      // Gästegruppen (optional)
+      if (Array.isArray(calentian_event_guest_count)) {
+        for (const group of calentian_event_guest_count) {
+          await connection.query(
             `INSERT INTO calentian_event_guest_count (
-               calentian_event_entries_id,
-               guest_group_template_id,
-               guest_count
-             ) VALUES (?, ?, ?)`,
+             calentian_event_entries_id,
+             guest_group_template_id,
+             guest_count
+           ) VALUES (?, ?, ?)`,
             [eventId, group.id, group.guest_count || 0]
-          )
-        )
-      );
-    }
+          );
+        }
+      }
 
-    res.status(201).json({
-      message: "✅ Event erfolgreich erstellt",
-      eventId,
-    });
-  } catch (err) {
-    console.error("❌ Fehler beim Event erstellen:", err);
-    res.status(500).json({ message: "Fehler beim Erstellen des Events" });
-  }
-});
+      await recordStatusChange(connection, {
+        eventId,
+        fromStatusId: null,
+        toStatusId: calentian_event_entries_status_id,
+        benutzerId: req.user.calentian_benutzer_id,
+      });
+      await recordEventChanges(connection, {
+        eventId,
+        benutzerId: req.user.calentian_benutzer_id,
+        source: "database-service",
+        before: null,
+        after: await loadEventSnapshot(connection, eventId),
+      });
 
-app.get("/database/calendar-data", authenticateToken, async (req, res) => {
-  const entriesId = req.user.calentian_entries_id;
+      if (conflicts.length > 0) {
+        await recordConflictOverride(
+          connection,
+          eventId,
+          req.user.calentian_benutzer_id,
+          conflicts
+        );
+      }
 
-  if (!entriesId) {
-    return res
-      .status(400)
-      .json({ message: "calentian_entries_id fehlt im Token." });
+      await connection.commit();
+      res.status(201).json({
+        message: "✅ Event erfolgreich erstellt",
+        eventId,
+        conflicts,
+      });
+    } catch (err) {
+      await connection.rollback();
+      console.error("❌ Fehler beim Event erstellen:", err);
+      res.status(500).json({ message: "Fehler beim Erstellen des Events" });
+    } finally {
+      connection.release();
+    }
   }
+);
 
-  // Queries vorbereiten
-  const sqlEvents = `
-    SELECT 
-      e.*, 
-      k.vorname,
-      k.nachname, 
-      k.firma, 
-      va.name AS veranstaltungsart_name,
-      va.icon_class AS veranstaltungsart_icon,
-      s.css_class AS event_status_css,
-      s.label AS event_status_name,
-      COALESCE(SUM(egc.guest_count), 0) AS anzahl_personen_gesamt,
-      JSON_ARRAYAGG(
-        JSON_OBJECT(
-          'guest_group_title', ggt.title,
-          'guest_count', egc.guest_count,
-          'min_age', ggt.min_age,
-          'max_age', ggt.max_age,
-          'sort_order', ggt.sort_order
-        ) ORDER BY ggt.sort_order
-      ) AS guest_groups
-    FROM calentian_event_entries e
-    LEFT JOIN calentian_kundendaten k ON e.calentian_kundendaten_id = k.id
-    LEFT JOIN calentian_event_entries_veranstaltungsart va ON e.calentian_event_entries_veranstaltungsart_id = va.id
-    LEFT JOIN calentian_event_entries_status s ON e.calentian_event_entries_status_id = s.id
-    LEFT JOIN calentian_event_guest_count egc ON e.id = egc.calentian_event_entries_id
-    LEFT JOIN calentian_guest_group_template ggt ON egc.guest_group_template_id = ggt.id
-    WHERE e.calentian_entries_id = ?
-    GROUP BY 
-      e.id, e.calentian_kundendaten_id, e.calentian_entries_id, e.location_id,
-      e.datum, e.bis_datum, e.start_time, e.calentian_event_entries_veranstaltungsart_id,
-      e.calentian_event_entries_status_id, e.event_name,
-      k.vorname, k.nachname, k.firma, va.name, va.icon_class, s.css_class, s.label
-  `;
-  const sqlAppointments = `
-    SELECT 
-      a.*, 
-      k.vorname,
-      k.nachname, 
-      k.firma
-    FROM calentian_appointments a
-    LEFT JOIN calentian_kundendaten k ON a.calentian_kundendaten_id = k.id
-    WHERE a.calentian_entries_id = ?
-  `;
+// ---- Serientermine ----
+// Eine Serie (calentian_event_series) hält RRULE und Vorlage, die Termine selbst
+// sind normale calentian_event_entries mit series_id. Einzeln geänderte Termine
+// (series_detached = 1) werden von Änderungen an der Serie nicht überschrieben.
+const SERIES_MAX_OCCURRENCES = 366;
+// Termine, die Änderungen an der Serie folgen: nicht einzeln geändert,
+// nicht archiviert und nicht im Papierkorb
+const SERIES_LINKED_OCCURRENCE =
+  "series_detached = 0 AND archived_at IS NULL AND deleted_at IS NULL";
+// Regeln ohne COUNT/UNTIL werden nur bis zu diesem Horizont angelegt
+const SERIES_HORIZON_YEARS = 2;
+// Request-Feld → Spalte in Serie und Termin
+const SERIES_FIELDS = {
+  event_name: "event_name",
+  start_time: "start_time",
+  location_id: "location_id",
+  calentian_kunden_id: "calentian_kundendaten_id",
+  calentian_event_entries_veranstaltungsart_id:
+    "calentian_event_entries_veranstaltungsart_id",
+  calentian_event_entries_status_id: "calentian_event_entries_status_id",
+};
 
-  console.log("📤 SQL-Query /calendar-data Events:", sqlEvents, [entriesId]);
-  console.log("📤 SQL-Query /calendar-data Appointments:", sqlAppointments, [
-    entriesId,
-  ]);
+// DATE-Spalten liefert mysql2 als Date (lokale Mitternacht)
+function isoDate(value) {
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+    value.getDate()
+  )}`;
+}
 
-  try {
-    // Beide Queries parallel ausführen
-    const [[events], [appointments]] = await Promise.all([
-      db.query(sqlEvents, [entriesId]),
-      db.query(sqlAppointments, [entriesId]),
-    ]);
+function addDays(date, days) {
+  const d = new Date(`${isoDate(date)}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
 
-    console.log(
-      `✅ Gefundene Events: ${events.length}, Appointments: ${appointments.length}`
-    );
-    res.json({ events, appointments });
-  } catch (err) {
-    console.error("❌ Fehler bei /calendar-data:", err);
-    res.status(500).json({ message: "Fehler beim Abrufen der Kalenderdaten." });
-  }
-});
+function ruleToString(options) {
+  return RRule.optionsToString(options).replace(/^RRULE:/, "");
+}
 
-// Kalender Einstellungen speichern
-app.post("/database/calendar-settings", authenticateToken, async (req, res) => {
-  const entriesId = req.user.calentian_entries_id;
-  const benutzerId = req.user.calentian_benutzer_id;
+// RRULE normalisieren (ohne DTSTART, ohne "RRULE:"-Präfix); wirft bei ungültiger Regel
+function normalizeRule(rule) {
+  const options = RRule.parseString(String(rule).replace(/^RRULE:/i, ""));
+  delete options.dtstart;
+  if (options.freq === undefined) throw new Error("FREQ fehlt");
+  return ruleToString(options);
+}
 
-  if (!entriesId || !benutzerId) {
-    console.error("❌ Fehlende JWT-Daten:", {
-      entriesId,
-      benutzerId,
-      user: req.user,
-    });
-    return res
-      .status(401)
-      .json({ message: "Ungültige Authentifizierung. Bitte erneut anmelden." });
-  }
-
-  // Nur gesendete Felder sammeln
-  const {
-    feiertage_anzeigen,
-    laender,
-    bundeslaender,
-    default_view_mode,
-    default_hidden_status_ids,
-    opening_days,
-    closing_days,
-  } = req.body;
-  const updateData = {};
-  if (feiertage_anzeigen !== undefined)
-    updateData.feiertage_anzeigen = feiertage_anzeigen;
-  if (laender !== undefined) updateData.laender = JSON.stringify(laender);
-  if (bundeslaender !== undefined)
-    updateData.bundeslaender = JSON.stringify(bundeslaender);
-  if (default_view_mode !== undefined)
-    updateData.default_view_mode = default_view_mode;
-  if (default_hidden_status_ids !== undefined)
-    updateData.default_hidden_status_ids = JSON.stringify(
-      default_hidden_status_ids
+// Termine (YYYY-MM-DD) einer Regel ab dtstart, ohne Ausnahmen.
+// Ergibt die Regel mehr als SERIES_MAX_OCCURRENCES Termine, wird sie abgelehnt
+// (err.code "SERIES_TOO_LONG") statt still gekürzt.
+function expandSeries(rule, dtstart, exdates = []) {
+  const options = RRule.parseString(rule);
+  options.dtstart = new Date(`${isoDate(dtstart)}T00:00:00Z`);
+  if (!options.count && !options.until) {
+    const horizon = new Date(options.dtstart);
+    horizon.setUTCFullYear(horizon.getUTCFullYear() + SERIES_HORIZON_YEARS);
+    options.until = horizon;
+  }
+  const dates = new RRule(options).all(
+    (date, i) => i <= SERIES_MAX_OCCURRENCES
+  );
+  if (dates.length > SERIES_MAX_OCCURRENCES) {
+    const err = new Error(
+      `Die Regel ergibt mehr als ${SERIES_MAX_OCCURRENCES} Termine. Bitte mit COUNT oder UNTIL begrenzen.`
     );
-  if (opening_days !== undefined)
-    updateData.opening_days = JSON.stringify(opening_days);
-
-  if (Object.keys(updateData).length === 0 && !Array.isArray(closing_days)) {
-    return res
-      .status(400)
-      .json({ message: "Keine Daten zum Aktualisieren angegeben." });
+    err.code = "SERIES_TOO_LONG";
+    throw err;
   }
+  const excluded = exdates.map(isoDate);
+  return dates
+    .map((date) => date.toISOString().slice(0, 10))
+    .filter((date) => !excluded.includes(date));
+}
 
-  console.log("📥 Kalendereinstellungen Update:", {
-    entriesId,
-    benutzerId,
-    updateData,
-    closing_days: Array.isArray(closing_days) ? closing_days.length : 0,
-  });
+// Regel an pivot teilen: head endet am Vortag, tail übernimmt das restliche COUNT
+function splitRule(rule, dtstart, pivot) {
+  const options = RRule.parseString(rule);
+  const head = {
+    ...options,
+    until: new Date(`${addDays(pivot, -1)}T00:00:00Z`),
+  };
+  delete head.count;
+  const tail = { ...options };
+  if (options.count) {
+    const before = expandSeries(rule, dtstart).filter((d) => d < pivot);
+    tail.count = Math.max(options.count - before.length, 1);
+  }
+  return { head: ruleToString(head), tail: ruleToString(tail) };
+}
 
-  try {
-    // Existenz prüfen
-    const [existingRows] = await db.query(
-      `SELECT id FROM calentian_calendar_settings WHERE calentian_entries_id = ? AND calentian_benutzer_id = ?`,
-      [entriesId, benutzerId]
+function sumGuestCounts(guestCounts) {
+  return (guestCounts || []).reduce(
+    (sum, group) => sum + (Number(group.guest_count) || 0),
+    0
+  );
+}
+
+async function loadSeries(conn, seriesId, entriesId) {
+  const [[series]] = await conn.query(
+    `SELECT * FROM calentian_event_series WHERE id = ? AND calentian_entries_id = ? AND deleted_at IS NULL FOR UPDATE`,
+    [seriesId, entriesId]
+  );
+  if (series && typeof series.guest_counts === "string") {
+    series.guest_counts = JSON.parse(series.guest_counts);
+  }
+  return series;
+}
+
+// Ausnahmen sowie einzeln geänderte, archivierte und gelöschte Termine werden
+// beim Neuaufbau übersprungen
+async function getSeriesExdates(conn, seriesId) {
+  const [rows] = await conn.query(
+    `SELECT occurrence_date FROM calentian_event_series_exceptions WHERE series_id = ?
+     UNION
+     SELECT series_occurrence_date FROM calentian_event_entries
+     WHERE series_id = ? AND NOT (${SERIES_LINKED_OCCURRENCE})`,
+    [seriesId, seriesId]
+  );
+  return rows.map((row) => isoDate(row.occurrence_date));
+}
+
+// Konflikte je Termin: [{ datum, conflicts }]
+async function findSeriesConflicts(conn, series, dates) {
+  const result = [];
+  for (const datum of dates) {
+    const conflicts = await findEventConflicts(conn, {
+      entriesId: series.calentian_entries_id,
+      locationId: series.location_id,
+      datum,
+      bisDatum:
+        series.dauer_tage > 0 ? addDays(datum, series.dauer_tage) : null,
+      statusId: series.calentian_event_entries_status_id,
+      guestCount: sumGuestCounts(series.guest_counts),
+    });
+    if (conflicts.length > 0) result.push({ datum, conflicts });
+  }
+  return result;
+}
+
+async function insertSeriesOccurrences(
+  conn,
+  series,
+  dates,
+  benutzerId,
+  overrides = []
+) {
+  const eventIds = [];
+  for (const datum of dates) {
+    const [{ insertId: eventId }] = await conn.query(
+      `INSERT INTO calentian_event_entries (
+         calentian_kundendaten_id,
+         calentian_entries_id,
+         location_id,
+         datum,
+         bis_datum,
+         start_time,
+         calentian_event_entries_veranstaltungsart_id,
+         calentian_event_entries_status_id,
+         event_name,
+         series_id,
+         series_occurrence_date
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        series.calentian_kundendaten_id,
+        series.calentian_entries_id,
+        series.location_id,
+        datum,
+        series.dauer_tage > 0 ? addDays(datum, series.dauer_tage) : null,
+        series.start_time,
+        series.calentian_event_entries_veranstaltungsart_id,
+        series.calentian_event_entries_status_id,
+        series.event_name,
+        series.id,
+        datum,
+      ]
     );
 
-    if (existingRows.length > 0) {
-      // Update
-      if (Object.keys(updateData).length) {
-        const sets = Object.keys(updateData)
-          .map((key) => `${key} = ?`)
-          .join(", ");
-        const values = [...Object.values(updateData), entriesId, benutzerId];
-        console.log("🔄 Aktualisiere Kalender-Einstellungen:", sets);
-        await db.query(
-          `UPDATE calentian_calendar_settings SET ${sets} WHERE calentian_entries_id = ? AND calentian_benutzer_id = ?`,
-          values
-        );
+    for (const group of series.guest_counts || []) {
+      await conn.query(
+        `INSERT INTO calentian_event_guest_count (
+           calentian_event_entries_id,
+           guest_group_template_id,
+           guest_count
+         ) VALUES (?, ?, ?)`,
+        [eventId, group.id, group.guest_count || 0]
+      );
+    }
+
+    await recordStatusChange(conn, {
+      eventId,
+      fromStatusId: null,
+      toStatusId: series.calentian_event_entries_status_id,
+      benutzerId,
+    });
+    await recordEventChanges(conn, {
+      eventId,
+      benutzerId,
+      source: "database-service",
+      before: null,
+      after: await loadEventSnapshot(conn, eventId),
+    });
+
+    const override = overrides.find((o) => o.datum === datum);
+    if (override) {
+      await recordConflictOverride(
+        conn,
+        eventId,
+        benutzerId,
+        override.conflicts
+      );
+    }
+    eventIds.push(eventId);
+  }
+  return eventIds;
+}
+
+// Gelöschte Termine liegen wie einzelne Events bis purge_after im Papierkorb,
+// endgültig entfernt werden sie vom trash-service.
+function getTrashRetentionDays() {
+  return Number(process.env.EVENT_TRASH_RETENTION_DAYS) || 30;
+}
+
+// Löschen von Terminen scheitert, wenn Notizen, E-Mails o. Ä. darauf verweisen
+function handleSeriesError(err, res) {
+  if (err.code === "SERIES_TOO_LONG") {
+    return res.status(400).json({ message: err.message });
+  }
+  if (err.code === "ER_ROW_IS_REFERENCED_2") {
+    return res.status(409).json({
+      message:
+        "Mindestens ein Termin hat verknüpfte Daten und kann nicht gelöscht werden.",
+    });
+  }
+  console.error("❌ Fehler bei Serientermin:", err);
+  res.status(500).json({ message: "Fehler beim Bearbeiten der Serie" });
+}
+
+// 🔒 API-Route: Serie anlegen (Felder wie new-event plus rrule/exdates)
+// skip_conflicts: Termine mit Konflikt als Ausnahme überspringen
+// force: Termine trotz Konflikt anlegen (Override wird protokolliert)
+app.post(
+  "/database/event-series",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const {
+      calentian_kunden_id,
+      location_id,
+      datum,
+      bis_datum,
+      start_time,
+      calentian_event_entries_veranstaltungsart_id,
+      calentian_event_entries_status_id,
+      event_name,
+      calentian_event_guest_count,
+      rrule: rule,
+      exdates = [],
+      force,
+      skip_conflicts,
+    } = req.body;
+
+    if (
+      !calentian_kunden_id ||
+      !location_id ||
+      !datum ||
+      !calentian_event_entries_veranstaltungsart_id ||
+      !calentian_event_entries_status_id ||
+      !rule
+    ) {
+      return res.status(400).json({ message: "Pflichtfelder fehlen!" });
+    }
+
+    let normalizedRule;
+    try {
+      normalizedRule = normalizeRule(rule);
+    } catch {
+      return res.status(400).json({ message: "Ungültige Wiederholungsregel." });
+    }
+
+    const dauerTage = bis_datum
+      ? Math.round((new Date(bis_datum) - new Date(datum)) / 86400000)
+      : 0;
+    if (!(dauerTage >= 0) || !Array.isArray(exdates)) {
+      return res.status(400).json({ message: "Ungültige Datumsangaben." });
+    }
+
+    const entriesId = req.user.calentian_entries_id;
+    const benutzerId = req.user.calentian_benutzer_id;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [locations] = await connection.query(
+        `SELECT id FROM calentian_entries_location WHERE id = ? AND calentian_entries_id = ? FOR UPDATE`,
+        [location_id, entriesId]
+      );
+      if (locations.length === 0) {
+        await connection.rollback();
+        return res.status(400).json({ message: "Ungültige Location." });
       }
-    } else {
-      // Insert mit Defaults
-      console.log("➕ Erstelle neuen Kalender-Eintrag");
-      const data = {
-        feiertage_anzeigen: updateData.feiertage_anzeigen ?? true,
-        laender: updateData.laender ?? JSON.stringify(["DE"]),
-        bundeslaender: updateData.bundeslaender ?? JSON.stringify(["BW", "BY"]),
-        default_view_mode: updateData.default_view_mode ?? 2,
-        default_hidden_status_ids:
-          updateData.default_hidden_status_ids ?? JSON.stringify([]),
-        opening_days:
-          updateData.opening_days ?? JSON.stringify([1, 2, 3, 4, 5]),
+
+      const statusCheck = await checkStatusTransition(connection, {
+        entriesId,
+        fromStatusId: null,
+        toStatusId: calentian_event_entries_status_id,
+        event: req.body,
+      });
+      if (!statusCheck.allowed) {
+        await connection.rollback();
+        return res.status(422).json({
+          message: statusCheck.reason,
+          to_status_id: Number(calentian_event_entries_status_id),
+          missing_fields: statusCheck.missing_fields,
+        });
+      }
+
+      const series = {
+        calentian_entries_id: entriesId,
+        rrule: normalizedRule,
+        dtstart: datum,
+        calentian_kundendaten_id: calentian_kunden_id,
+        location_id,
+        calentian_event_entries_veranstaltungsart_id,
+        calentian_event_entries_status_id,
+        event_name:
+          event_name?.trim() ||
+          (await defaultEventName(
+            connection,
+            calentian_event_entries_veranstaltungsart_id,
+            calentian_kunden_id
+          )),
+        start_time: start_time || null,
+        dauer_tage: dauerTage,
+        guest_counts: Array.isArray(calentian_event_guest_count)
+          ? calentian_event_guest_count.map((group) => ({
+              id: group.id,
+              guest_count: Number(group.guest_count) || 0,
+            }))
+          : [],
       };
-      await db.query(
-        `INSERT INTO calentian_calendar_settings
-         (calentian_entries_id, calentian_benutzer_id, feiertage_anzeigen, laender, bundeslaender, default_view_mode, default_hidden_status_ids, opening_days)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+
+      const dates = expandSeries(normalizedRule, datum, exdates);
+      if (dates.length === 0) {
+        await connection.rollback();
+        return res
+          .status(400)
+          .json({ message: "Die Regel ergibt keine Termine." });
+      }
+
+      // Konflikte je Termin prüfen
+      const conflicts = await findSeriesConflicts(connection, series, dates);
+      if (conflicts.length > 0 && force !== true && skip_conflicts !== true) {
+        await connection.rollback();
+        return res.status(409).json({
+          message: "Terminkonflikt",
+          conflicts,
+        });
+      }
+      const skippedDates =
+        skip_conflicts === true ? conflicts.map((c) => c.datum) : [];
+
+      const [{ insertId: seriesId }] = await connection.query(
+        `INSERT INTO calentian_event_series (
+           calentian_entries_id, rrule, dtstart, calentian_kundendaten_id, location_id,
+           calentian_event_entries_veranstaltungsart_id, calentian_event_entries_status_id,
+           event_name, start_time, dauer_tage, guest_counts, created_by
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           entriesId,
+          normalizedRule,
+          datum,
+          calentian_kunden_id,
+          location_id,
+          calentian_event_entries_veranstaltungsart_id,
+          calentian_event_entries_status_id,
+          series.event_name,
+          series.start_time,
+          dauerTage,
+          JSON.stringify(series.guest_counts),
           benutzerId,
-          data.feiertage_anzeigen,
-          data.laender,
-          data.bundeslaender,
-          data.default_view_mode,
-          data.default_hidden_status_ids,
-          data.opening_days,
         ]
       );
+      series.id = seriesId;
+
+      for (const date of [...exdates.map(isoDate), ...skippedDates]) {
+        await connection.query(
+          `INSERT IGNORE INTO calentian_event_series_exceptions (series_id, occurrence_date) VALUES (?, ?)`,
+          [seriesId, date]
+        );
+      }
+
+      const eventIds = await insertSeriesOccurrences(
+        connection,
+        series,
+        dates.filter((date) => !skippedDates.includes(date)),
+        benutzerId,
+        skip_conflicts === true ? [] : conflicts
+      );
+
+      await connection.commit();
+      res.status(201).json({
+        message: "✅ Serie erfolgreich erstellt",
+        seriesId,
+        eventIds,
+        skipped_dates: skippedDates,
+        conflicts: skip_conflicts === true ? [] : conflicts,
+      });
+    } catch (err) {
+      await connection.rollback();
+      if (err.code === "SERIES_TOO_LONG") {
+        return res.status(400).json({ message: err.message });
+      }
+      console.error("❌ Fehler beim Serie erstellen:", err);
+      res.status(500).json({ message: "Fehler beim Erstellen der Serie" });
+    } finally {
+      connection.release();
     }
+  }
+);
 
-    // Schließtage
-    if (Array.isArray(closing_days)) {
-      console.log(`🗓️ Verarbeite ${closing_days.length} Schließtage`);
-      // Alte löschen
-      await db.query(
-        `DELETE FROM calentian_closure_days WHERE calentian_entries_id = ?`,
-        [entriesId]
+// 🔒 API-Route: Serie mit Ausnahmen und Terminen
+app.get(
+  "/database/event-series/:id",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      const [[series]] = await db.query(
+        `SELECT * FROM calentian_event_series WHERE id = ? AND calentian_entries_id = ? AND deleted_at IS NULL`,
+        [req.params.id, req.user.calentian_entries_id]
       );
-      // Neue einfügen
-      await Promise.all(
-        closing_days.map(({ type, start_date, end_date, description }) => {
-          if (!type || !start_date || !description) {
-            console.error("❌ Ungültiger Schließtag:", {
-              type,
-              start_date,
-              end_date,
-              description,
-            });
-            return Promise.resolve();
-          }
-          if (type === "period" && !end_date) {
-            console.error("❌ Zeitraum ohne Enddatum:", {
-              type,
-              start_date,
-              end_date,
-            });
-            return Promise.resolve();
-          }
-          if (type === "single" && end_date) {
-            console.error("❌ Einzeltag mit Enddatum:", {
-              type,
-              start_date,
-              end_date,
-            });
-            return Promise.resolve();
-          }
-          const sd = new Date(start_date);
-          if (isNaN(sd)) {
-            console.error("❌ Ungültiges Startdatum:", start_date);
-            return Promise.resolve();
-          }
-          if (end_date) {
-            const ed = new Date(end_date);
-            if (isNaN(ed) || ed < sd) {
-              console.error("❌ Ungültiges Enddatum:", end_date);
-              return Promise.resolve();
-            }
+      if (!series) {
+        return res.status(404).json({ message: "Serie nicht gefunden." });
+      }
+
+      const [exceptions] = await db.query(
+        `SELECT occurrence_date FROM calentian_event_series_exceptions WHERE series_id = ? ORDER BY occurrence_date`,
+        [series.id]
+      );
+      const [occurrences] = await db.query(
+        `SELECT id, datum, bis_datum, start_time, event_name, location_id,
+                calentian_event_entries_status_id, series_occurrence_date, series_detached,
+                archived_at
+         FROM calentian_event_entries
+         WHERE series_id = ? AND deleted_at IS NULL
+         ORDER BY series_occurrence_date`,
+        [series.id]
+      );
+
+      res.json({
+        ...series,
+        exceptions: exceptions.map((row) => isoDate(row.occurrence_date)),
+        occurrences,
+      });
+    } catch (err) {
+      console.error("❌ Fehler beim Laden der Serie:", err);
+      res.status(500).json({ message: "Fehler beim Laden der Serie" });
+    }
+  }
+);
+
+// 🔒 API-Route: Termin einer Serie ändern
+// scope "this": nur dieser Termin (wird von der Serie gelöst)
+// scope "following": dieser und alle folgenden Termine (Serie wird geteilt)
+// scope "all": alle nicht einzeln geänderten Termine der Serie
+app.put(
+  "/database/event-series/:id/occurrences/:eventId",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const { scope = "this", rrule: rule, datum, bis_datum, force } = req.body;
+    if (!["this", "following", "all"].includes(scope)) {
+      return res.status(400).json({ message: "Ungültiger scope." });
+    }
+
+    const changes = {};
+    for (const [field, column] of Object.entries(SERIES_FIELDS)) {
+      if (req.body[field] !== undefined) changes[column] = req.body[field];
+    }
+    if (scope === "this" && rule) {
+      return res.status(400).json({
+        message:
+          "Die Regel kann nur für folgende oder alle Termine geändert werden.",
+      });
+    }
+    if (scope !== "this" && (datum || bis_datum !== undefined)) {
+      return res.status(400).json({
+        message:
+          "Datum nur für einzelne Termine ändern, für die Serie rrule verwenden.",
+      });
+    }
+    if (
+      Object.keys(changes).length === 0 &&
+      !rule &&
+      !datum &&
+      bis_datum === undefined
+    ) {
+      return res.status(400).json({ message: "Keine Änderungen übergeben." });
+    }
+
+    let normalizedRule = null;
+    if (rule) {
+      try {
+        normalizedRule = normalizeRule(rule);
+      } catch {
+        return res
+          .status(400)
+          .json({ message: "Ungültige Wiederholungsregel." });
+      }
+    }
+
+    const entriesId = req.user.calentian_entries_id;
+    const benutzerId = req.user.calentian_benutzer_id;
+    const historyOptions = { benutzerId, source: "database-service" };
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const series = await loadSeries(connection, req.params.id, entriesId);
+      const [[event]] = series
+        ? await connection.query(
+            `SELECT * FROM calentian_event_entries WHERE id = ? AND series_id = ? AND deleted_at IS NULL FOR UPDATE`,
+            [req.params.eventId, series.id]
+          )
+        : [[]];
+      if (!series || !event) {
+        await connection.rollback();
+        return res.status(404).json({ message: "Termin nicht gefunden." });
+      }
+      // Bei "following"/"all" werden archivierte Termine übersprungen
+      if (scope === "this" && event.archived_at) {
+        await connection.rollback();
+        return res.status(409).json({ message: "Event ist archiviert" });
+      }
+
+      if (changes.location_id !== undefined) {
+        const [locations] = await connection.query(
+          `SELECT id FROM calentian_entries_location WHERE id = ? AND calentian_entries_id = ? FOR UPDATE`,
+          [changes.location_id, entriesId]
+        );
+        if (locations.length === 0) {
+          await connection.rollback();
+          return res.status(400).json({ message: "Ungültige Location." });
+        }
+      }
+
+      // Betroffene Termine und Statuswechsel prüfen
+      const statusChanged =
+        changes.calentian_event_entries_status_id !== undefined;
+      const checkOccurrence = async (occurrence, target) => {
+        if (
+          statusChanged &&
+          Number(target.calentian_event_entries_status_id) !==
+            occurrence.calentian_event_entries_status_id
+        ) {
+          const statusCheck = await checkStatusTransition(connection, {
+            entriesId,
+            fromStatusId: occurrence.calentian_event_entries_status_id,
+            toStatusId: target.calentian_event_entries_status_id,
+            event: target,
+          });
+          if (!statusCheck.allowed) {
+            return { status: statusCheck };
           }
-          return db.query(
-            `INSERT INTO calentian_closure_days
-           (calentian_entries_id, type, start_date, end_date, description, created_by)
-           VALUES (?, ?, ?, ?, ?, ?)`,
+        }
+        const [[{ guestCount }]] = await connection.query(
+          `SELECT COALESCE(SUM(guest_count), 0) AS guestCount FROM calentian_event_guest_count WHERE calentian_event_entries_id = ?`,
+          [occurrence.id]
+        );
+        const conflicts = await findEventConflicts(connection, {
+          entriesId,
+          locationId: target.location_id,
+          datum: target.datum,
+          bisDatum: target.bis_datum,
+          statusId: target.calentian_event_entries_status_id,
+          guestCount: Number(guestCount),
+          excludeEventId: occurrence.id,
+        });
+        return { conflicts };
+      };
+
+      const respondStatusError = async (occurrence, statusCheck) => {
+        await connection.rollback();
+        return res.status(422).json({
+          message: statusCheck.reason,
+          event_id: occurrence.id,
+          to_status_id: Number(changes.calentian_event_entries_status_id),
+          missing_fields: statusCheck.missing_fields,
+        });
+      };
+
+      if (scope === "this") {
+        const target = {
+          ...event,
+          ...changes,
+          datum: datum || isoDate(event.datum),
+          bis_datum:
+            bis_datum !== undefined
+              ? bis_datum || null
+              : event.bis_datum && isoDate(event.bis_datum),
+        };
+        const check = await checkOccurrence(event, target);
+        if (check.status) return respondStatusError(event, check.status);
+        if (check.conflicts.length > 0 && force !== true) {
+          await connection.rollback();
+          return res
+            .status(409)
+            .json({ message: "Terminkonflikt", conflicts: check.conflicts });
+        }
+
+        const columns = {
+          ...changes,
+          datum: target.datum,
+          bis_datum: target.bis_datum,
+        };
+        await trackEventChanges(connection, [event.id], historyOptions, () =>
+          connection.query(
+            `UPDATE calentian_event_entries SET ${Object.keys(columns)
+              .map((column) => `${column} = ?`)
+              .join(", ")}, series_detached = 1 WHERE id = ?`,
+            [...Object.values(columns), event.id]
+          )
+        );
+        if (
+          statusChanged &&
+          Number(target.calentian_event_entries_status_id) !==
+            event.calentian_event_entries_status_id
+        ) {
+          await recordStatusChange(connection, {
+            eventId: event.id,
+            fromStatusId: event.calentian_event_entries_status_id,
+            toStatusId: target.calentian_event_entries_status_id,
+            benutzerId,
+            comment: req.body.status_comment,
+          });
+        }
+        if (check.conflicts.length > 0) {
+          await recordConflictOverride(
+            connection,
+            event.id,
+            benutzerId,
+            check.conflicts
+          );
+        }
+
+        await connection.commit();
+        return res.json({
+          message: "✅ Termin aktualisiert",
+          seriesId: series.id,
+          eventIds: [event.id],
+          conflicts: check.conflicts,
+        });
+      }
+
+      // "following" ab dem ersten Termin entspricht "all"
+      let target = series;
+      const pivot = isoDate(event.series_occurrence_date);
+      if (scope === "following" && pivot > isoDate(series.dtstart)) {
+        const { head, tail } = splitRule(series.rrule, series.dtstart, pivot);
+        await connection.query(
+          `UPDATE calentian_event_series SET rrule = ? WHERE id = ?`,
+          [head, series.id]
+        );
+        const [{ insertId: newSeriesId }] = await connection.query(
+          `INSERT INTO calentian_event_series (
+             calentian_entries_id, rrule, dtstart, calentian_kundendaten_id, location_id,
+             calentian_event_entries_veranstaltungsart_id, calentian_event_entries_status_id,
+             event_name, start_time, dauer_tage, guest_counts, created_by
+           )
+           SELECT calentian_entries_id, ?, ?, calentian_kundendaten_id, location_id,
+                  calentian_event_entries_veranstaltungsart_id, calentian_event_entries_status_id,
+                  event_name, start_time, dauer_tage, guest_counts, ?
+           FROM calentian_event_series WHERE id = ?`,
+          [tail, pivot, benutzerId, series.id]
+        );
+        await connection.query(
+          `UPDATE calentian_event_series_exceptions SET series_id = ? WHERE series_id = ? AND occurrence_date >= ?`,
+          [newSeriesId, series.id, pivot]
+        );
+        const [moved] = await connection.query(
+          `SELECT id FROM calentian_event_entries WHERE series_id = ? AND series_occurrence_date >= ?`,
+          [series.id, pivot]
+        );
+        await trackEventChanges(
+          connection,
+          moved.map((row) => row.id),
+          historyOptions,
+          () =>
+            connection.query(
+              `UPDATE calentian_event_entries SET series_id = ? WHERE series_id = ? AND series_occurrence_date >= ?`,
+              [newSeriesId, series.id, pivot]
+            )
+        );
+        target = { ...series, id: newSeriesId, rrule: tail, dtstart: pivot };
+      }
+
+      const seriesColumns = {
+        ...changes,
+        rrule: normalizedRule || target.rrule,
+      };
+      const updated = { ...target, ...seriesColumns };
+      await connection.query(
+        `UPDATE calentian_event_series SET ${Object.keys(seriesColumns)
+          .map((column) => `${column} = ?`)
+          .join(", ")} WHERE id = ?`,
+        [...Object.values(seriesColumns), target.id]
+      );
+
+      // Neue Regel: Termine mit weiterhin gültigem Datum bleiben erhalten,
+      // entfallene wandern in den Papierkorb, neue Daten werden angelegt.
+      // Archivierte und gelöschte Termine gelten als Ausnahme.
+      let newDates = [];
+      if (normalizedRule && normalizedRule !== target.rrule) {
+        const dates = expandSeries(
+          updated.rrule,
+          updated.dtstart,
+          await getSeriesExdates(connection, target.id)
+        );
+        const [linked] = await connection.query(
+          `SELECT id, series_occurrence_date FROM calentian_event_entries WHERE series_id = ? AND ${SERIES_LINKED_OCCURRENCE} FOR UPDATE`,
+          [target.id]
+        );
+        const keptDates = new Set();
+        const droppedIds = [];
+        for (const occurrence of linked) {
+          const date = isoDate(occurrence.series_occurrence_date);
+          if (dates.includes(date)) keptDates.add(date);
+          else droppedIds.push(occurrence.id);
+        }
+        if (droppedIds.length > 0) {
+          await trackEventChanges(connection, droppedIds, historyOptions, () =>
+            connection.query(
+              `UPDATE calentian_event_entries
+                 SET deleted_at = NOW(), deleted_by = ?,
+                     purge_after = DATE_ADD(NOW(), INTERVAL ? DAY)
+                 WHERE id IN (?)`,
+              [benutzerId, getTrashRetentionDays(), droppedIds]
+            )
+          );
+        }
+        newDates = dates.filter((date) => !keptDates.has(date));
+      }
+
+      // Verbleibende verknüpfte Termine übernehmen die Änderungen
+      const [occurrences] = await connection.query(
+        `SELECT * FROM calentian_event_entries WHERE series_id = ? AND ${SERIES_LINKED_OCCURRENCE} FOR UPDATE`,
+        [target.id]
+      );
+      const conflicts = [];
+      for (const occurrence of occurrences) {
+        const check = await checkOccurrence(occurrence, {
+          ...occurrence,
+          ...changes,
+          datum: isoDate(occurrence.datum),
+          bis_datum: occurrence.bis_datum && isoDate(occurrence.bis_datum),
+        });
+        if (check.status) return respondStatusError(occurrence, check.status);
+        if (check.conflicts.length > 0) {
+          conflicts.push({
+            datum: isoDate(occurrence.datum),
+            event_id: occurrence.id,
+            conflicts: check.conflicts,
+          });
+        }
+      }
+      const newConflicts = await findSeriesConflicts(
+        connection,
+        updated,
+        newDates
+      );
+      conflicts.push(...newConflicts);
+      if (conflicts.length > 0 && force !== true) {
+        await connection.rollback();
+        return res.status(409).json({ message: "Terminkonflikt", conflicts });
+      }
+
+      if (Object.keys(changes).length > 0 && occurrences.length > 0) {
+        await trackEventChanges(
+          connection,
+          occurrences.map((occurrence) => occurrence.id),
+          historyOptions,
+          () =>
+            connection.query(
+              `UPDATE calentian_event_entries SET ${Object.keys(changes)
+                .map((column) => `${column} = ?`)
+                .join(
+                  ", "
+                )} WHERE series_id = ? AND ${SERIES_LINKED_OCCURRENCE}`,
+              [...Object.values(changes), target.id]
+            )
+        );
+      }
+      for (const occurrence of occurrences) {
+        if (
+          statusChanged &&
+          Number(changes.calentian_event_entries_status_id) !==
+            occurrence.calentian_event_entries_status_id
+        ) {
+          await recordStatusChange(connection, {
+            eventId: occurrence.id,
+            fromStatusId: occurrence.calentian_event_entries_status_id,
+            toStatusId: changes.calentian_event_entries_status_id,
+            benutzerId,
+            comment: req.body.status_comment,
+          });
+        }
+        const override = conflicts.find((c) => c.event_id === occurrence.id);
+        if (override) {
+          await recordConflictOverride(
+            connection,
+            occurrence.id,
+            benutzerId,
+            override.conflicts
+          );
+        }
+      }
+      const eventIds = [
+        ...occurrences.map((occurrence) => occurrence.id),
+        ...(await insertSeriesOccurrences(
+          connection,
+          updated,
+          newDates,
+          benutzerId,
+          newConflicts
+        )),
+      ];
+
+      await connection.commit();
+      res.json({
+        message: "✅ Serie aktualisiert",
+        seriesId: target.id,
+        eventIds,
+        conflicts,
+      });
+    } catch (err) {
+      await connection.rollback();
+      handleSeriesError(err, res);
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+// 🔒 API-Route: Termin einer Serie in den Papierkorb verschieben (?scope=this|following|all)
+app.delete(
+  "/database/event-series/:id/occurrences/:eventId",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const scope = req.query.scope || "this";
+    if (!["this", "following", "all"].includes(scope)) {
+      return res.status(400).json({ message: "Ungültiger scope." });
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const series = await loadSeries(
+        connection,
+        req.params.id,
+        req.user.calentian_entries_id
+      );
+      const [[event]] = series
+        ? await connection.query(
+            `SELECT id, series_occurrence_date FROM calentian_event_entries WHERE id = ? AND series_id = ? AND deleted_at IS NULL FOR UPDATE`,
+            [req.params.eventId, series.id]
+          )
+        : [[]];
+      if (!series || !event) {
+        await connection.rollback();
+        return res.status(404).json({ message: "Termin nicht gefunden." });
+      }
+
+      // "following" ab dem ersten Termin entspricht "all"
+      const pivot = isoDate(event.series_occurrence_date);
+      const mode =
+        scope === "following" && pivot <= isoDate(series.dtstart)
+          ? "all"
+          : scope;
+      const [targets] =
+        mode === "this"
+          ? [[event]]
+          : await connection.query(
+              `SELECT id FROM calentian_event_entries WHERE series_id = ? AND deleted_at IS NULL${
+                mode === "following" ? " AND series_occurrence_date >= ?" : ""
+              }`,
+              [series.id, pivot]
+            );
+      const eventIds = targets.map((row) => row.id);
+      await trackEventChanges(
+        connection,
+        eventIds,
+        {
+          benutzerId: req.user.calentian_benutzer_id,
+          source: "database-service",
+        },
+        () =>
+          connection.query(
+            `UPDATE calentian_event_entries
+             SET deleted_at = NOW(), deleted_by = ?,
+                 purge_after = DATE_ADD(NOW(), INTERVAL ? DAY)
+             WHERE id IN (?)`,
+            [req.user.calentian_benutzer_id, getTrashRetentionDays(), eventIds]
+          )
+      );
+
+      if (mode === "this") {
+        await connection.query(
+          `INSERT IGNORE INTO calentian_event_series_exceptions (series_id, occurrence_date) VALUES (?, ?)`,
+          [series.id, pivot]
+        );
+      } else if (mode === "following") {
+        await connection.query(
+          `UPDATE calentian_event_series SET rrule = ? WHERE id = ?`,
+          [splitRule(series.rrule, series.dtstart, pivot).head, series.id]
+        );
+      } else {
+        // Serie bleibt für die Termine im Papierkorb erhalten (siehe trash-service)
+        await connection.query(
+          `UPDATE calentian_event_series SET deleted_at = NOW() WHERE id = ?`,
+          [series.id]
+        );
+      }
+
+      await connection.commit();
+      res.json({
+        message: "✅ Termine in den Papierkorb verschoben",
+        deleted: eventIds.length,
+      });
+    } catch (err) {
+      await connection.rollback();
+      handleSeriesError(err, res);
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+// Kalenderdaten eines Zeitraums: ?from=YYYY-MM-DD&to=YYYY-MM-DD[&location_id=]
+// Mehrtägige Events zählen, sobald datum..bis_datum den Zeitraum überschneidet.
+// Mit Zeitraum enthält die Antwort zusätzlich Feiertage (laut Kalender-Einstellungen
+// des Benutzers) und Schließtage. Ohne Zeitraum: alle Events und Termine wie bisher.
+// Die Antwort trägt ein ETag; bei unverändertem Stand antwortet die Route mit 304.
+const CALENDAR_MAX_RANGE_DAYS = 400;
+
+app.get(
+  "/database/calendar-data",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const entriesId = req.user.calentian_entries_id;
+
+    if (!entriesId) {
+      return res
+        .status(400)
+        .json({ message: "calentian_entries_id fehlt im Token." });
+    }
+
+    const { from, to, location_id } = req.query;
+    const hasRange = Boolean(from || to);
+    if (hasRange) {
+      const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+      const days = (Date.parse(to) - Date.parse(from)) / 86400000;
+      if (
+        !datePattern.test(from) ||
+        !datePattern.test(to) ||
+        !(days >= 0 && days <= CALENDAR_MAX_RANGE_DAYS)
+      ) {
+        return res.status(400).json({
+          message: `Ungültiger Zeitraum (from/to, max. ${CALENDAR_MAX_RANGE_DAYS} Tage).`,
+        });
+      }
+    }
+
+    const eventWhere = ["e.calentian_entries_id = ?", "e.deleted_at IS NULL"];
+    const eventParams = [entriesId];
+    const appointmentWhere = ["a.calentian_entries_id = ?"];
+    const appointmentParams = [entriesId];
+    if (hasRange) {
+      eventWhere.push("e.datum <= ?", "COALESCE(e.bis_datum, e.datum) >= ?");
+      eventParams.push(to, from);
+      appointmentWhere.push(
+        "(a.start_at IS NULL OR (a.start_at < DATE_ADD(?, INTERVAL 1 DAY) AND COALESCE(a.end_at, a.start_at) >= ?))"
+      );
+      appointmentParams.push(to, from);
+    }
+    if (location_id) {
+      eventWhere.push("e.location_id = ?");
+      eventParams.push(location_id);
+      appointmentWhere.push("(a.location_id IS NULL OR a.location_id = ?)");
+      appointmentParams.push(location_id);
+    }
+
+    // Queries vorbereiten
+    const sqlEvents = `
+    SELECT 
+      e.*, 
+      k.vorname,
+      k.nachname, 
+      k.firma, 
+      va.name AS veranstaltungsart_name,
+      va.icon_class AS veranstaltungsart_icon,
+      s.css_class AS event_status_css,
+      s.label AS event_status_name,
+      COALESCE(SUM(egc.guest_count), 0) AS anzahl_personen_gesamt,
+      JSON_ARRAYAGG(
+        JSON_OBJECT(
+          'guest_group_title', ggt.title,
+          'guest_count', egc.guest_count,
+          'min_age', ggt.min_age,
+          'max_age', ggt.max_age,
+          'sort_order', ggt.sort_order
+        ) ORDER BY ggt.sort_order
+      ) AS guest_groups
+    FROM calentian_event_entries e
+    LEFT JOIN calentian_kundendaten k ON e.calentian_kundendaten_id = k.id
+    LEFT JOIN calentian_event_entries_veranstaltungsart va ON e.calentian_event_entries_veranstaltungsart_id = va.id
+    LEFT JOIN calentian_event_entries_status s ON e.calentian_event_entries_status_id = s.id
+    LEFT JOIN calentian_event_guest_count egc ON e.id = egc.calentian_event_entries_id
+    LEFT JOIN calentian_guest_group_template ggt ON egc.guest_group_template_id = ggt.id
+    WHERE ${eventWhere.join(" AND ")}
+    GROUP BY 
+      e.id, e.calentian_kundendaten_id, e.calentian_entries_id, e.location_id,
+      e.datum, e.bis_datum, e.start_time, e.calentian_event_entries_veranstaltungsart_id,
+      e.calentian_event_entries_status_id, e.event_name,
+      k.vorname, k.nachname, k.firma, va.name, va.icon_class, s.css_class, s.label
+    ORDER BY e.datum, e.id
+  `;
+    const sqlAppointments = `
+    SELECT 
+      a.*, 
+      k.vorname,
+      k.nachname, 
+      k.firma
+    FROM calentian_appointments a
+    LEFT JOIN calentian_kundendaten k ON a.calentian_kundendaten_id = k.id
+    WHERE ${appointmentWhere.join(" AND ")}
+  `;
+
+    try {
+      // Beide Queries parallel ausführen
+      const [[events], [appointments]] = await Promise.all([
+        db.query(sqlEvents, eventParams),
+        db.query(sqlAppointments, appointmentParams),
+      ]);
+      const data = { events, appointments };
+
+      if (hasRange) {
+        const [[settings]] = await db.query(
+          `SELECT feiertage_anzeigen, laender, bundeslaender
+           FROM calentian_calendar_settings
+           WHERE calentian_entries_id = ? AND calentian_benutzer_id = ?`,
+          [entriesId, req.user.calentian_benutzer_id]
+        );
+        const parseList = (value, fallback) =>
+          typeof value === "string" ? JSON.parse(value) : value ?? fallback;
+        const laender = parseList(settings?.laender, ["DE"]);
+        const bundeslaender = parseList(settings?.bundeslaender, []);
+
+        data.holidays = [];
+        const showHolidays = !settings || Boolean(settings.feiertage_anzeigen);
+        if (showHolidays && laender.length > 0) {
+          [data.holidays] = await db.query(
+            `SELECT * FROM calentian_holidays
+             WHERE datum BETWEEN ? AND ?
+               AND land IN (?)
+               ${
+                 bundeslaender.length > 0
+                   ? "AND (bundesland IN (?) OR bundesland IS NULL)"
+                   : ""
+               }
+             ORDER BY datum`,
             [
-              entriesId,
-              type,
-              start_date,
-              end_date || null,
-              description,
-              benutzerId,
+              from,
+              to,
+              laender,
+              ...(bundeslaender.length > 0 ? [bundeslaender] : []),
             ]
           );
-        })
+        }
+
+        [data.closure_days] = await db.query(
+          `SELECT id, type, start_date, end_date, description
+           FROM calentian_closure_days
+           WHERE calentian_entries_id = ?
+             AND start_date <= ?
+             AND (CASE WHEN type = 'single' THEN start_date ELSE end_date END) >= ?
+           ORDER BY start_date`,
+          [entriesId, to, from]
+        );
+      }
+
+      // ETag über den Inhalt: unveränderte Daten → 304 ohne Body
+      const body = JSON.stringify(data);
+      const etag = `"${crypto
+        .createHash("sha1")
+        .update(body)
+        .digest("base64url")}"`;
+      res.set("ETag", etag);
+      res.set("Cache-Control", "private, no-cache");
+      if (req.headers["if-none-match"] === etag) {
+        return res.status(304).end();
+      }
+      res.type("application/json").send(body);
+    } catch (err) {
+      console.error("❌ Fehler bei /calendar-data:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Abrufen der Kalenderdaten." });
+    }
+  }
+);
+
+// ---- ICS-Feeds ----
+// Lesender iCalendar-Abo-Link je Benutzer, optional auf eine Location beschränkt.
+// Der Token wird nur beim Anlegen ausgegeben und als SHA-256-Hash gespeichert;
+// Widerruf setzt revoked_at. Ausgeblendete Status (default_hidden_status_ids aus
+// den Kalender-Einstellungen des Benutzers) erscheinen nicht im Feed.
+const CALENDAR_FEED_BASE_URL =
+  process.env.CALENDAR_FEED_BASE_URL || "https://api.calentian.de/database/ics";
+// Vergangene Events nur begrenzt ausliefern, damit der Feed klein bleibt
+const CALENDAR_FEED_PAST_DAYS = parseInt(
+  process.env.CALENDAR_FEED_PAST_DAYS || "365"
+);
+
+function hashFeedToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// 🔒 API-Route: Eigene ICS-Feeds auflisten (ohne Token)
+app.get(
+  "/database/calendar-feeds",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      const [feeds] = await db.query(
+        `SELECT f.id, f.name, f.location_id, l.location_name, f.token_prefix,
+                f.created_at, f.last_accessed_at, f.revoked_at
+         FROM calentian_calendar_feeds f
+         LEFT JOIN calentian_entries_location l ON f.location_id = l.id
+         WHERE f.calentian_benutzer_id = ? AND f.calentian_entries_id = ?
+         ORDER BY f.revoked_at IS NOT NULL, f.created_at DESC`,
+        [req.user.calentian_benutzer_id, req.user.calentian_entries_id]
       );
-      console.log("✅ Schließtage verarbeitet");
+      res.json(feeds);
+    } catch (err) {
+      console.error("❌ Fehler beim Laden der ICS-Feeds:", err);
+      res.status(500).json({ message: "Fehler beim Laden der ICS-Feeds." });
     }
+  }
+);
 
-    console.log("✅ Kalendereinstellungen gespeichert");
-    res
-      .status(200)
-      .json({
+// 🔒 API-Route: ICS-Feed anlegen – { name?, location_id? }
+// Token und Abo-URL werden nur in dieser Antwort geliefert.
+app.post(
+  "/database/calendar-feeds",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const entriesId = req.user.calentian_entries_id;
+    const { location_id } = req.body;
+    const name = String(req.body.name || "Calentian")
+      .trim()
+      .slice(0, 100);
+
+    try {
+      if (location_id) {
+        const [[location]] = await db.query(
+          "SELECT id FROM calentian_entries_location WHERE id = ? AND calentian_entries_id = ?",
+          [location_id, entriesId]
+        );
+        if (!location) {
+          return res.status(404).json({ message: "Location nicht gefunden." });
+        }
+      }
+
+      const token = crypto.randomBytes(24).toString("base64url");
+      const [result] = await db.query(
+        `INSERT INTO calentian_calendar_feeds
+         (calentian_benutzer_id, calentian_entries_id, location_id, name, token_prefix, token_hash)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          req.user.calentian_benutzer_id,
+          entriesId,
+          location_id || null,
+          name,
+          token.slice(0, 8),
+          hashFeedToken(token),
+        ]
+      );
+
+      res.status(201).json({
+        id: result.insertId,
+        name,
+        location_id: location_id || null,
+        token,
+        url: `${CALENDAR_FEED_BASE_URL}/${token}.ics`,
+      });
+    } catch (err) {
+      console.error("❌ Fehler beim Anlegen des ICS-Feeds:", err);
+      res.status(500).json({ message: "Fehler beim Anlegen des ICS-Feeds." });
+    }
+  }
+);
+
+// 🔒 API-Route: ICS-Feed widerrufen
+app.delete(
+  "/database/calendar-feeds/:id",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      const [result] = await db.query(
+        `UPDATE calentian_calendar_feeds SET revoked_at = NOW()
+         WHERE id = ? AND calentian_benutzer_id = ? AND calentian_entries_id = ?
+           AND revoked_at IS NULL`,
+        [
+          req.params.id,
+          req.user.calentian_benutzer_id,
+          req.user.calentian_entries_id,
+        ]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: "ICS-Feed nicht gefunden." });
+      }
+      res.json({ message: "ICS-Feed widerrufen." });
+    } catch (err) {
+      console.error("❌ Fehler beim Widerrufen des ICS-Feeds:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Widerrufen des ICS-Feeds." });
+    }
+  }
+);
+
+// 🌐 Öffentliche Route: ICS-Feed abrufen (Authentifizierung über den Token in der URL)
+app.get("/database/ics/:token.ics", async (req, res) => {
+  try {
+    const [[feed]] = await db.query(
+      `SELECT f.id, f.name, f.calentian_benutzer_id, f.calentian_entries_id, f.location_id
+       FROM calentian_calendar_feeds f
+       JOIN calentian_benutzer b ON f.calentian_benutzer_id = b.id
+       WHERE f.token_hash = ? AND f.revoked_at IS NULL AND b.is_active = 1`,
+      [hashFeedToken(req.params.token)]
+    );
+    if (!feed) {
+      return res.status(404).json({ message: "ICS-Feed nicht gefunden." });
+    }
+
+    const [[settings]] = await db.query(
+      `SELECT default_hidden_status_ids FROM calentian_calendar_settings
+       WHERE calentian_entries_id = ? AND calentian_benutzer_id = ?`,
+      [feed.calentian_entries_id, feed.calentian_benutzer_id]
+    );
+    const hiddenRaw = settings?.default_hidden_status_ids;
+    const hiddenStatusIds =
+      (typeof hiddenRaw === "string" ? JSON.parse(hiddenRaw) : hiddenRaw) || [];
+
+    const eventWhere = [
+      "e.calentian_entries_id = ?",
+      "e.deleted_at IS NULL",
+      "COALESCE(e.bis_datum, e.datum) >= DATE_SUB(CURDATE(), INTERVAL ? DAY)",
+    ];
+    const eventParams = [feed.calentian_entries_id, CALENDAR_FEED_PAST_DAYS];
+    const appointmentWhere = [
+      "a.calentian_entries_id = ?",
+      "a.start_at IS NOT NULL",
+      "COALESCE(a.end_at, a.start_at) >= DATE_SUB(CURDATE(), INTERVAL ? DAY)",
+    ];
+    const appointmentParams = [
+      feed.calentian_entries_id,
+      CALENDAR_FEED_PAST_DAYS,
+    ];
+    if (hiddenStatusIds.length > 0) {
+      eventWhere.push("e.calentian_event_entries_status_id NOT IN (?)");
+      eventParams.push(hiddenStatusIds);
+    }
+    if (feed.location_id) {
+      eventWhere.push("e.location_id = ?");
+      eventParams.push(feed.location_id);
+      appointmentWhere.push("(a.location_id IS NULL OR a.location_id = ?)");
+      appointmentParams.push(feed.location_id);
+    }
+
+    const [[events], [appointments]] = await Promise.all([
+      db.query(
+        `SELECT e.id, e.event_name, e.datum, e.bis_datum, e.start_time,
+                k.vorname, k.nachname, k.firma, l.location_name,
+                s.label AS event_status_label,
+                (SELECT COALESCE(SUM(egc.guest_count), 0)
+                 FROM calentian_event_guest_count egc
+                 WHERE egc.calentian_event_entries_id = e.id) AS anzahl_personen_gesamt
+         FROM calentian_event_entries e
+         LEFT JOIN calentian_kundendaten k ON e.calentian_kundendaten_id = k.id
+         LEFT JOIN calentian_entries_location l ON e.location_id = l.id
+         LEFT JOIN calentian_event_entries_status s ON e.calentian_event_entries_status_id = s.id
+         WHERE ${eventWhere.join(" AND ")}
+         ORDER BY e.datum, e.id`,
+        eventParams
+      ),
+      db.query(
+        `SELECT a.*, l.location_name
+         FROM calentian_appointments a
+         LEFT JOIN calentian_entries_location l ON a.location_id = l.id
+         WHERE ${appointmentWhere.join(" AND ")}
+         ORDER BY a.start_at, a.id`,
+        appointmentParams
+      ),
+    ]);
+
+    await db.query(
+      "UPDATE calentian_calendar_feeds SET last_accessed_at = NOW() WHERE id = ?",
+      [feed.id]
+    );
+
+    const dtstamp = new Date();
+    const body = buildCalendar(feed.name, [
+      ...events.map((event) => eventToVevent(event, { dtstamp })),
+      ...appointments.map((appointment) =>
+        appointmentToVevent(appointment, { dtstamp })
+      ),
+    ]);
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="calentian.ics"');
+    res.set("Cache-Control", "private, no-cache");
+    res.send(body);
+  } catch (err) {
+    console.error("❌ Fehler beim Erzeugen des ICS-Feeds:", err);
+    res.status(500).json({ message: "Fehler beim Erzeugen des ICS-Feeds." });
+  }
+});
+
+// Kalender Einstellungen speichern
+app.post(
+  "/database/calendar-settings",
+  authenticateToken,
+  requirePermission("settings:write"),
+  async (req, res) => {
+    const entriesId = req.user.calentian_entries_id;
+    const benutzerId = req.user.calentian_benutzer_id;
+
+    if (!entriesId || !benutzerId) {
+      console.error("❌ Fehlende JWT-Daten:", {
+        entriesId,
+        benutzerId,
+        user: req.user,
+      });
+      return res.status(401).json({
+        message: "Ungültige Authentifizierung. Bitte erneut anmelden.",
+      });
+    }
+
+    // Nur gesendete Felder sammeln
+    const {
+      feiertage_anzeigen,
+      laender,
+      bundeslaender,
+      default_view_mode,
+      default_hidden_status_ids,
+      opening_days,
+      closing_days,
+    } = req.body;
+    const updateData = {};
+    if (feiertage_anzeigen !== undefined)
+      updateData.feiertage_anzeigen = feiertage_anzeigen;
+    if (laender !== undefined) updateData.laender = JSON.stringify(laender);
+    if (bundeslaender !== undefined)
+      updateData.bundeslaender = JSON.stringify(bundeslaender);
+    if (default_view_mode !== undefined)
+      updateData.default_view_mode = default_view_mode;
+    if (default_hidden_status_ids !== undefined)
+      updateData.default_hidden_status_ids = JSON.stringify(
+        default_hidden_status_ids
+      );
+    if (opening_days !== undefined)
+      updateData.opening_days = JSON.stringify(opening_days);
+
+    if (Object.keys(updateData).length === 0 && !Array.isArray(closing_days)) {
+      return res
+        .status(400)
+        .json({ message: "Keine Daten zum Aktualisieren angegeben." });
+    }
+
+    console.log("📥 Kalendereinstellungen Update:", {
+      entriesId,
+      benutzerId,
+      updateData,
+      closing_days: Array.isArray(closing_days) ? closing_days.length : 0,
+    });
+
+    try {
+      // Existenz prüfen
+      const [existingRows] = await db.query(
+        `SELECT id FROM calentian_calendar_settings WHERE calentian_entries_id = ? AND calentian_benutzer_id = ?`,
+        [entriesId, benutzerId]
+      );
+
+      if (existingRows.length > 0) {
+        // Update
+        if (Object.keys(updateData).length) {
+          const sets = Object.keys(updateData)
+            .map((key) => `${key} = ?`)
+            .join(", ");
+          const values = [...Object.values(updateData), entriesId, benutzerId];
+          console.log("🔄 Aktualisiere Kalender-Einstellungen:", sets);
+          await db.query(
+            `UPDATE calentian_calendar_settings SET ${sets} WHERE calentian_entries_id = ? AND calentian_benutzer_id = ?`,
+            values
+          );
+        }
+      } else {
+        // Insert mit Defaults
+        console.log("➕ Erstelle neuen Kalender-Eintrag");
+        const data = {
+          feiertage_anzeigen: updateData.feiertage_anzeigen ?? true,
+          laender: updateData.laender ?? JSON.stringify(["DE"]),
+          bundeslaender:
+            updateData.bundeslaender ?? JSON.stringify(["BW", "BY"]),
+          default_view_mode: updateData.default_view_mode ?? 2,
+          default_hidden_status_ids:
+            updateData.default_hidden_status_ids ?? JSON.stringify([]),
+          opening_days:
+            updateData.opening_days ?? JSON.stringify([1, 2, 3, 4, 5]),
+        };
+        await db.query(
+          `INSERT INTO calentian_calendar_settings
+         (calentian_entries_id, calentian_benutzer_id, feiertage_anzeigen, laender, bundeslaender, default_view_mode, default_hidden_status_ids, opening_days)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            entriesId,
+            benutzerId,
+            data.feiertage_anzeigen,
+            data.laender,
+            data.bundeslaender,
+            data.default_view_mode,
+            data.default_hidden_status_ids,
+            data.opening_days,
+          ]
+        );
+      }
+
+      // Schließtage
+      if (Array.isArray(closing_days)) {
+        console.log(`🗓️ Verarbeite ${closing_days.length} Schließtage`);
+        // Alte löschen
+        await db.query(
+          `DELETE FROM calentian_closure_days WHERE calentian_entries_id = ?`,
+          [entriesId]
+        );
+        // Neue einfügen
+        await Promise.all(
+          closing_days.map(({ type, start_date, end_date, description }) => {
+            if (!type || !start_date || !description) {
+              console.error("❌ Ungültiger Schließtag:", {
+                type,
+                start_date,
+                end_date,
+                description,
+              });
+              return Promise.resolve();
+            }
+            if (type === "period" && !end_date) {
+              console.error("❌ Zeitraum ohne Enddatum:", {
+                type,
+                start_date,
+                end_date,
+              });
+              return Promise.resolve();
+            }
+            if (type === "single" && end_date) {
+              console.error("❌ Einzeltag mit Enddatum:", {
+                type,
+                start_date,
+                end_date,
+              });
+              return Promise.resolve();
+            }
+            const sd = new Date(start_date);
+            if (isNaN(sd)) {
+              console.error("❌ Ungültiges Startdatum:", start_date);
+              return Promise.resolve();
+            }
+            if (end_date) {
+              const ed = new Date(end_date);
+              if (isNaN(ed) || ed < sd) {
+                console.error("❌ Ungültiges Enddatum:", end_date);
+                return Promise.resolve();
+              }
+            }
+            return db.query(
+              `INSERT INTO calentian_closure_days
+           (calentian_entries_id, type, start_date, end_date, description, created_by)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+              [
+                entriesId,
+                type,
+                start_date,
+                end_date || null,
+                description,
+                benutzerId,
+              ]
+            );
+          })
+        );
+        console.log("✅ Schließtage verarbeitet");
+      }
+
+      console.log("✅ Kalendereinstellungen gespeichert");
+      res.status(200).json({
         success: true,
         message: "Kalendereinstellungen erfolgreich gespeichert.",
       });
-  } catch (err) {
-    console.error("❌ Fehler beim Speichern der Einstellungen:", err);
-    res
-      .status(500)
-      .json({
+    } catch (err) {
+      console.error("❌ Fehler beim Speichern der Einstellungen:", err);
+      res.status(500).json({
         success: false,
         message: "Fehler beim Speichern. Bitte erneut versuchen.",
       });
+    }
   }
-});
+);
 
 app.listen(port, () => {
   console.log(`✅ Server läuft auf Port ${port}`);
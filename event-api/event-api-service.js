@@ -3,7 +3,31 @@ import initVault from "./vault-init.js";
 import express from "express";
 import mysql from "mysql2/promise";
 import cors from "cors";
-import jwt from "jsonwebtoken";
+import {
+  getRequestToken,
+  logImpersonatedRequest,
+  verifyAccessToken,
+} from "./token-auth.js";
+import { requirePermission } from "./permissions.js";
+import {
+  findEventConflicts,
+  recordConflictOverride,
+} from "./event-conflicts.js";
+import {
+  checkStatusTransition,
+  getAllowedNextStatusIds,
+  recordStatusChange,
+} from "./event-status.js";
+import {
+  loadEventSnapshot,
+  recordEventChanges,
+  trackEventChanges,
+} from "./event-history.js";
+import {
+  normalizeReminderOffsets,
+  recordAppointmentChange,
+  validateAppointment,
+} from "./appointments.js";
 
 // Lade Vault-Konfiguration (VAULT_ADDR, VAULT_ROLE_ID, VAULT_SECRET_ID, VAULT_SECRETS)
 dotenv.config();
@@ -12,31 +36,36 @@ dotenv.config();
 let db;
 const app = express();
 
-// Initialisierung der DB-Verbindung
+// Initialisierung des DB-Pools
+// Transaktionen laufen immer auf einer eigenen Verbindung (db.getConnection()),
+// nie auf dem Pool selbst.
 async function initDB() {
-  db = await mysql.createConnection({
+  db = mysql.createPool({
     host: process.env.DB_HOST,
     user: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
     database: process.env.DB_NAME,
+    waitForConnections: true,
+    connectionLimit: 10,
   });
+  await db.query("SELECT 1");
   console.log("✅ Mit der MySQL-Datenbank verbunden");
 }
 
 // Middleware: JWT-Authentifizierung
 function authenticateToken(req, res, next) {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
+  const token = getRequestToken(req);
   if (!token) {
     return res.status(401).json({ message: "Kein Token gefunden." });
   }
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: "Ungültiger Token." });
-    }
-    req.user = user;
-    next();
-  });
+  verifyAccessToken(token, db).then(
+    (user) => {
+      req.user = user;
+      logImpersonatedRequest(req, user);
+      next();
+    },
+    () => res.status(403).json({ message: "Ungültiger Token." })
+  );
 }
 
 // Express-Konfiguration
@@ -44,35 +73,44 @@ app.use(cors());
 app.use(express.json());
 
 // 🔒 API-Route: Alle Locations mit Event-Zuordnung
-app.get("/event-api/api/locations", authenticateToken, async (req, res) => {
-  const query = `
+app.get(
+  "/event-api/api/locations",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const query = `
     SELECT 
       l.id, 
       l.location_name, 
       e.id AS event_id, 
       va.name AS veranstaltungsart_label
     FROM calentian_entries_location l
-    LEFT JOIN calentian_event_entries e ON l.id = e.location_id
+    LEFT JOIN calentian_event_entries e ON l.id = e.location_id AND e.deleted_at IS NULL
     LEFT JOIN calentian_event_entries_veranstaltungsart va ON e.calentian_event_entries_veranstaltungsart_id = va.id
     WHERE l.calentian_entries_id = ?
   `;
-  try {
-    const connection = await initDB();
-    const [results] = await connection.execute(query, [
-      req.user.calentian_entries_id,
-    ]);
-    await connection.end();
-    res.json(results);
-  } catch (err) {
-    console.error("❌ Fehler beim Abrufen der Locations:", err);
-    res.status(500).send("Fehler beim Abrufen der Locations");
+    try {
+      const connection = await db.getConnection();
+      const [results] = await connection.execute(query, [
+        req.user.calentian_entries_id,
+      ]);
+      connection.release();
+      res.json(results);
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen der Locations:", err);
+      res.status(500).send("Fehler beim Abrufen der Locations");
+    }
   }
-});
+);
 
 // 🔒 API-Route: Einzelnes Event nach ID abrufen
-app.get("/event-api/api/events/:id", authenticateToken, async (req, res) => {
-  const eventId = req.params.id;
-  const query = `
+app.get(
+  "/event-api/api/events/:id",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const eventId = req.params.id;
+    const query = `
     SELECT 
       e.*, 
       k.vorname, 
@@ -91,256 +129,238 @@ app.get("/event-api/api/events/:id", authenticateToken, async (req, res) => {
     LEFT JOIN calentian_event_entries_status s ON e.calentian_event_entries_status_id = s.id
     LEFT JOIN calentian_event_entries_veranstaltungsart va ON e.calentian_event_entries_veranstaltungsart_id = va.id
     JOIN calentian_entries ce ON e.calentian_entries_id = ce.id
-    WHERE e.id = ? AND e.calentian_entries_id = ?
+    WHERE e.id = ? AND e.calentian_entries_id = ? AND e.deleted_at IS NULL
   `;
-  try {
-    const [results] = await db.execute(query, [
-      eventId,
-      req.user.calentian_entries_id,
-    ]);
-    if (results.length === 0)
-      return res.status(404).json({ message: "Event nicht gefunden" });
-    const event = results[0];
-    event.customer_emails = event.customer_emails
-      ? event.customer_emails.split(",")
-      : [];
-    res.json(event);
-  } catch (err) {
-    console.error("❌ Fehler beim Abrufen des Events:", err);
-    res.status(500).send("Fehler beim Abrufen des Events");
-  }
-});
-
-// 🔒 API-Route: Neues Event anlegen – GEÄNDERT (async/await, initDB)
-app.post("/event-api/api/events", authenticateToken, async (req, res) => {
-  const {
-    kunden_id,
-    location_id,
-    datum,
-    veranstaltungsart,
-    status,
-    anzahl_personen_gesamt,
-    event_name,
-    guest_groups,
-  } = req.body;
-
-  if (!kunden_id || !location_id || !datum || !veranstaltungsart || !status) {
-    return res
-      .status(400)
-      .json({ message: "Alle Felder müssen ausgefüllt sein!" });
-  }
-
-  const connection = await initDB();
-
-  try {
-    // Veranstaltungsart-Label ermitteln
-    const [vaRows] = await connection.execute(
-      "SELECT name FROM calentian_event_entries_veranstaltungsart WHERE id = ?",
-      [veranstaltungsart]
-    );
-    const label = vaRows.length > 0 ? vaRows[0].name : "";
-
-    // Kundenvorname bzw. Firmenname ermitteln
-    const [customerRows] = await connection.execute(
-      "SELECT vorname, firma FROM calentian_kundendaten WHERE id = ?",
-      [kunden_id]
-    );
-    let customerName = "";
-    if (customerRows.length > 0) {
-      customerName =
-        customerRows[0].firma && customerRows[0].firma.trim() !== ""
-          ? customerRows[0].firma
-          : customerRows[0].vorname;
+    try {
+      const [results] = await db.execute(query, [
+        eventId,
+        req.user.calentian_entries_id,
+      ]);
+      if (results.length === 0)
+        return res.status(404).json({ message: "Event nicht gefunden" });
+      const event = results[0];
+      event.customer_emails = event.customer_emails
+        ? event.customer_emails.split(",")
+        : [];
+      res.json(event);
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen des Events:", err);
+      res.status(500).send("Fehler beim Abrufen des Events");
     }
+  }
+);
 
-    // Fallback für event_name, falls nicht gesetzt
-    const finalEventName =
-      event_name && event_name.trim() !== ""
-        ? event_name
-        : `${label} von ${customerName}`;
-
-    // Hauptevent erstellen (ohne anzahl_kinder)
-    const query = `
-      INSERT INTO calentian_event_entries (
-        calentian_kundendaten_id, 
-        location_id, 
-        datum, 
-        calentian_event_entries_veranstaltungsart_id, 
-        calentian_event_entries_status_id, 
-        calentian_entries_id, 
-        anzahl_personen_gesamt, 
-        event_name
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    const [result] = await connection.execute(query, [
+// 🔒 API-Route: Neues Event anlegen
+// Gästegruppen kommen als { guest_group_title, min_age, max_age, guest_count }
+// und werden den Vorlagen des Entries zugeordnet (unbekannte werden ignoriert).
+// Konflikt- und Statusprüfung wie bei Vorlagen; mit force: true trotz Konflikt.
+app.post(
+  "/event-api/api/events",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const {
       kunden_id,
       location_id,
       datum,
       veranstaltungsart,
       status,
-      req.user.calentian_entries_id,
-      anzahl_personen_gesamt || 0,
-      finalEventName,
-    ]);
+      anzahl_personen_gesamt,
+      event_name,
+      guest_groups,
+      force,
+    } = req.body;
 
-    const eventId = result.insertId;
+    if (!kunden_id || !location_id || !datum || !veranstaltungsart || !status) {
+      return res
+        .status(400)
+        .json({ message: "Alle Felder müssen ausgefüllt sein!" });
+    }
 
-    // Gästegruppen verarbeiten, falls vorhanden
-    if (
-      guest_groups &&
-      Array.isArray(guest_groups) &&
-      guest_groups.length > 0
-    ) {
-      for (const group of guest_groups) {
-        // Passende Template-ID finden basierend auf title, min_age und max_age
-        const [templateRows] = await connection.execute(
-          `
-          SELECT id FROM calentian_guest_group_template 
-          WHERE title = ? AND min_age = ? AND max_age = ?
-        `,
-          [group.guest_group_title, group.min_age, group.max_age]
-        );
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
 
-        if (templateRows.length > 0) {
-          const templateId = templateRows[0].id;
-
-          // Gästegruppe in calentian_event_guest_count einfügen
-          await connection.execute(
-            `
-            INSERT INTO calentian_event_guest_count (
-              calentian_event_entries_id, 
-              guest_group_template_id, 
-              guest_count
-            ) VALUES (?, ?, ?)
-          `,
-            [eventId, templateId, group.guest_count]
-          );
+      const guestGroups = [];
+      for (const group of Array.isArray(guest_groups) ? guest_groups : []) {
+        const [[template]] = await connection.query(
+          `SELECT id FROM calentian_guest_group_template
+           WHERE title = ? AND min_age = ? AND max_age = ? AND calentian_entries_id = ?`,
+          [
+            group.guest_group_title,
+            group.min_age,
+            group.max_age,
+            req.user.calentian_entries_id,
+          ]
+        );
+        if (template) {
+          guestGroups.push({
+            guest_group_template_id: template.id,
+            guest_count: group.guest_count,
+          });
         }
       }
-    }
 
-    await connection.end();
-    res.status(201).json({
-      message: "✅ Event erfolgreich erstellt",
-      eventId: eventId,
-    });
-  } catch (err) {
-    console.error("❌ Fehler beim Erstellen des Events:", err);
-    await connection.end();
-    res.status(500).json({ message: "Fehler beim Erstellen des Events" });
+      const result = await createEventWithDetails(
+        connection,
+        req.user,
+        {
+          kunden_id,
+          location_id,
+          datum,
+          bis_datum: req.body.bis_datum,
+          start_time: req.body.start_time,
+          veranstaltungsart,
+          status,
+          event_name,
+          guest_groups: guestGroups,
+          // Mit Gästegruppen ergibt sich die Gesamtzahl aus deren Summe
+          anzahl_personen_gesamt:
+            guestGroups.length > 0 ? undefined : anzahl_personen_gesamt || 0,
+        },
+        { force }
+      );
+      if (result.error) {
+        await connection.rollback();
+        return res.status(result.error.status).json(result.error.body);
+      }
+      await connection.commit();
+
+      res.status(201).json({
+        message: "✅ Event erfolgreich erstellt",
+        eventId: result.eventId,
+        conflicts: result.conflicts,
+      });
+    } catch (err) {
+      await connection.rollback();
+      console.error("❌ Fehler beim Erstellen des Events:", err);
+      res.status(500).json({ message: "Fehler beim Erstellen des Events" });
+    } finally {
+      connection.release();
+    }
   }
-});
+);
 
 // 🔓 API-Route: Alle Kunden abrufen (nach calentian_entries_id gefiltert)
-app.get("/event-api/api/customers", authenticateToken, async (req, res) => {
-  const userEntryId = req.user.calentian_entries_id;
-  const query = `
+app.get(
+  "/event-api/api/customers",
+  authenticateToken,
+  requirePermission("customers:read"),
+  async (req, res) => {
+    const userEntryId = req.user.calentian_entries_id;
+    const query = `
     SELECT k.*, GROUP_CONCAT(a.email) AS emails
     FROM calentian_kundendaten k
     LEFT JOIN calentian_kunden_emails_addresses a ON a.calentian_kundendaten_id = k.id
     WHERE k.calentian_entries_id = ?
     GROUP BY k.id, k.vorname, k.nachname, k.firma, k.strasse, k.plz, k.stadt, k.telefonnummer, k.calentian_entries_id
   `;
-  try {
-    const connection = await initDB();
-    const [results] = await connection.execute(query, [userEntryId]);
-    await connection.end();
-    results.forEach((customer) => {
-      customer.emails = customer.emails ? customer.emails.split(",") : [];
-    });
-    res.json(results);
-  } catch (err) {
-    console.error("❌ Fehler beim Abrufen der Kundendaten:", err);
-    res.status(500).json({ message: "Fehler beim Abrufen der Kundendaten" });
+    try {
+      const connection = await db.getConnection();
+      const [results] = await connection.execute(query, [userEntryId]);
+      connection.release();
+      results.forEach((customer) => {
+        customer.emails = customer.emails ? customer.emails.split(",") : [];
+      });
+      res.json(results);
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen der Kundendaten:", err);
+      res.status(500).json({ message: "Fehler beim Abrufen der Kundendaten" });
+    }
   }
-});
+);
 
 // 🔒 API-Route: Neuen Kunden anlegen (aktualisiert, E-Mail in separater Tabelle speichern)
-app.post("/event-api/api/customers", authenticateToken, async (req, res) => {
-  // Erwartete Felder: vorname, nachname, firma, strasse, plz, stadt, telefonnummer, email, calentian_entries_id, useFirma (optional)
-  const {
-    vorname,
-    nachname,
-    firma,
-    strasse,
-    plz,
-    stadt,
-    telefonnummer,
-    email,
-    calentian_entries_id,
-  } = req.body;
-
-  if (!vorname || !nachname || !email) {
-    return res
-      .status(400)
-      .json({ message: "Vorname, Nachname und Email sind Pflichtfelder!" });
-  }
+app.post(
+  "/event-api/api/customers",
+  authenticateToken,
+  requirePermission("customers:write"),
+  async (req, res) => {
+    // Erwartete Felder: vorname, nachname, firma, strasse, plz, stadt, telefonnummer, email, calentian_entries_id, useFirma (optional)
+    const {
+      vorname,
+      nachname,
+      firma,
+      strasse,
+      plz,
+      stadt,
+      telefonnummer,
+      email,
+      calentian_entries_id,
+    } = req.body;
 
-  try {
-    const connection = await initDB();
-    // 1. Füge den Kunden in der Tabelle calentian_kundendaten ein – beide Felder werden getrennt übernommen
-    const [result] = await connection.execute(
-      `INSERT INTO calentian_kundendaten (vorname, nachname, firma, strasse, plz, stadt, telefonnummer, calentian_entries_id)
+    if (!vorname || !nachname || !email) {
+      return res
+        .status(400)
+        .json({ message: "Vorname, Nachname und Email sind Pflichtfelder!" });
+    }
+
+    try {
+      const connection = await db.getConnection();
+      // 1. Füge den Kunden in der Tabelle calentian_kundendaten ein – beide Felder werden getrennt übernommen
+      const [result] = await connection.execute(
+        `INSERT INTO calentian_kundendaten (vorname, nachname, firma, strasse, plz, stadt, telefonnummer, calentian_entries_id)
        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        vorname,
-        nachname,
-        firma || null,
-        strasse,
-        plz,
-        stadt,
-        telefonnummer || null,
-        calentian_entries_id,
-      ]
-    );
-    const newCustomerId = result.insertId;
-    // 2. Füge den E-Mail-Eintrag in der Tabelle calentian_kunden_emails_addresses ein (primär)
-    await connection.execute(
-      `INSERT INTO calentian_kunden_emails_addresses (calentian_kundendaten_id, email, is_primary)
+        [
+          vorname,
+          nachname,
+          firma || null,
+          strasse,
+          plz,
+          stadt,
+          telefonnummer || null,
+          calentian_entries_id,
+        ]
+      );
+      const newCustomerId = result.insertId;
+      // 2. Füge den E-Mail-Eintrag in der Tabelle calentian_kunden_emails_addresses ein (primär)
+      await connection.execute(
+        `INSERT INTO calentian_kunden_emails_addresses (calentian_kundendaten_id, email, is_primary)
        VALUES (?, ?, 1)`,
-      [newCustomerId, email]
-    );
-    // 3. Lade den neuen Kunden inkl. der zugehörigen E-Mail(s) und sende ihn zurück
-    const [rows] = await connection.execute(
-      `SELECT k.id, k.vorname, k.nachname, k.firma, k.strasse, k.plz, k.stadt, k.telefonnummer, k.calentian_entries_id,
+        [newCustomerId, email]
+      );
+      // 3. Lade den neuen Kunden inkl. der zugehörigen E-Mail(s) und sende ihn zurück
+      const [rows] = await connection.execute(
+        `SELECT k.id, k.vorname, k.nachname, k.firma, k.strasse, k.plz, k.stadt, k.telefonnummer, k.calentian_entries_id,
               GROUP_CONCAT(a.email) AS emails
        FROM calentian_kundendaten k
        LEFT JOIN calentian_kunden_emails_addresses a ON a.calentian_kundendaten_id = k.id
        WHERE k.id = ?
        GROUP BY k.id, k.vorname, k.nachname, k.firma, k.strasse, k.plz, k.stadt, k.telefonnummer, k.calentian_entries_id`,
-      [newCustomerId]
-    );
-    await connection.end();
+        [newCustomerId]
+      );
+      connection.release();
 
-    if (rows[0] && rows[0].emails) {
-      rows[0].emails = rows[0].emails.split(",");
-    } else {
-      rows[0].emails = [];
+      if (rows[0] && rows[0].emails) {
+        rows[0].emails = rows[0].emails.split(",");
+      } else {
+        rows[0].emails = [];
+      }
+      return res.status(201).json(rows[0]);
+    } catch (err) {
+      console.error("Fehler beim Erstellen des Kunden:", err);
+      return res.status(500).json({ message: "Interner Serverfehler", err });
     }
-    return res.status(201).json(rows[0]);
-  } catch (err) {
-    console.error("Fehler beim Erstellen des Kunden:", err);
-    return res.status(500).json({ message: "Interner Serverfehler", err });
   }
-});
+);
 
 // API-Route: Prüfen, ob eine E-Mail-Adresse bereits existiert (in der Tabelle calentian_kunden_emails_addresses)
 app.get(
   "/event-api/api/customers/email-exists",
   authenticateToken,
+  requirePermission("customers:read"),
   async (req, res) => {
     const email = req.query.email;
     if (!email) {
       return res.status(400).json({ message: "Email-Parameter fehlt." });
     }
     try {
-      const connection = await initDB();
+      const connection = await db.getConnection();
       const [rows] = await connection.execute(
         `SELECT COUNT(*) AS count FROM calentian_kunden_emails_addresses WHERE email = ?`,
         [email]
       );
-      await connection.end();
+      connection.release();
       const exists = rows[0].count > 0;
       return res.json({ exists });
     } catch (err) {
@@ -354,18 +374,20 @@ app.get(
 app.get(
   "/event-api/api/emails/:eventId",
   authenticateToken,
+  requirePermission("mail:read"),
   async (req, res) => {
     const eventId = req.params.eventId;
     const query = `
-    SELECT *
-    FROM calentian_kunden_emails
-    WHERE calentian_event_entries_id = ?
-    ORDER BY timestamp DESC
+    SELECT m.*
+    FROM calentian_kunden_emails m
+    JOIN calentian_event_entries e ON m.calentian_event_entries_id = e.id
+    WHERE m.calentian_event_entries_id = ? AND e.deleted_at IS NULL
+    ORDER BY m.timestamp DESC
   `;
     try {
-      const connection = await initDB();
+      const connection = await db.getConnection();
       const [results] = await connection.execute(query, [eventId]);
-      await connection.end();
+      connection.release();
       res.json(results);
     } catch (err) {
       console.error("❌ Fehler beim Abrufen der Nachrichten:", err);
@@ -380,6 +402,7 @@ app.get(
 app.post(
   "/event-api/api/emails/update-status",
   authenticateToken,
+  requirePermission("mail:write"),
   async (req, res) => {
     const { email_id, status } = req.body;
 
@@ -403,9 +426,9 @@ app.post(
     const values = [status, email_id];
 
     try {
-      const connection = await initDB();
+      const connection = await db.getConnection();
       const [result] = await connection.execute(query, values);
-      await connection.end();
+      connection.release();
 
       // Wenn keine Zeile betroffen wurde, existiert die Email vermutlich nicht
       if (result.affectedRows === 0) {
@@ -430,6 +453,7 @@ app.post(
 app.get(
   "/event-api/api/user-locations",
   authenticateToken,
+  requirePermission("events:read"),
   async (req, res) => {
     const entryId = req.user.calentian_entries_id;
     if (!entryId) {
@@ -444,9 +468,9 @@ app.get(
     WHERE calentian_entries_id = ?
   `;
     try {
-      const connection = await initDB();
+      const connection = await db.getConnection();
       const [results] = await connection.execute(query, [entryId]);
-      await connection.end();
+      connection.release();
       res.json(results);
     } catch (err) {
       console.error("❌ Fehler beim Abrufen der User-Locations:", err);
@@ -458,109 +482,2091 @@ app.get(
 );
 
 // 🔒 API-Route: Event aktualisieren (PUT)
-app.put("/event-api/api/events/:id", authenticateToken, async (req, res) => {
-  const eventId = req.params.id;
-  const {
-    veranstaltungsart,
-    datum,
-    status,
-    location_id,
-    event_name,
-    calentian_kundendaten_id,
-    anzahl_personen_gesamt,
-    anzahl_kinder,
-  } = req.body;
+app.put(
+  "/event-api/api/events/:id",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const eventId = req.params.id;
+    const {
+      veranstaltungsart,
+      datum,
+      bis_datum,
+      status,
+      location_id,
+      event_name,
+      calentian_kundendaten_id,
+      anzahl_personen_gesamt,
+      anzahl_kinder,
+      option_until,
+      force,
+      status_comment,
+    } = req.body;
 
-  // Dynamisch die Felder für das Update zusammenstellen
-  const updates = [];
-  const values = [];
+    // Dynamisch die Felder für das Update zusammenstellen
+    const updates = [];
+    const values = [];
 
-  if (veranstaltungsart) {
-    updates.push("calentian_event_entries_veranstaltungsart_id = ?");
-    values.push(veranstaltungsart);
-  }
-  if (datum) {
-    updates.push("datum = ?");
-    values.push(datum);
-  }
-  if (status) {
-    updates.push("calentian_event_entries_status_id = ?");
-    values.push(status);
-  }
-  if (location_id) {
-    updates.push("location_id = ?");
-    values.push(location_id);
-  }
-  if (event_name) {
-    updates.push("event_name = ?");
-    values.push(event_name);
-  }
-  if (calentian_kundendaten_id) {
-    updates.push("calentian_kundendaten_id = ?");
-    values.push(calentian_kundendaten_id);
-  }
-  if (anzahl_personen_gesamt) {
-    updates.push("anzahl_personen_gesamt = ?");
-    values.push(anzahl_personen_gesamt);
-  }
-  if (anzahl_kinder) {
-    updates.push("anzahl_kinder = ?");
-    values.push(anzahl_kinder);
-  }
+    if (veranstaltungsart) {
+      updates.push("calentian_event_entries_veranstaltungsart_id = ?");
+      values.push(veranstaltungsart);
+    }
+    if (datum) {
+      updates.push("datum = ?");
+      values.push(datum);
+    }
+    if (bis_datum !== undefined) {
+      updates.push("bis_datum = ?");
+      values.push(bis_datum || null);
+    }
+    if (status) {
+      updates.push("calentian_event_entries_status_id = ?");
+      values.push(status);
+    }
+    if (location_id) {
+      updates.push("location_id = ?");
+      values.push(location_id);
+    }
+    if (event_name) {
+      updates.push("event_name = ?");
+      values.push(event_name);
+    }
+    if (calentian_kundendaten_id) {
+      updates.push("calentian_kundendaten_id = ?");
+      values.push(calentian_kundendaten_id);
+    }
+    if (anzahl_personen_gesamt) {
+      updates.push("anzahl_personen_gesamt = ?");
+      values.push(anzahl_personen_gesamt);
+    }
+    if (anzahl_kinder) {
+      updates.push("anzahl_kinder = ?");
+      values.push(anzahl_kinder);
+    }
+    if (option_until !== undefined) {
+      // Neue Frist: Erinnerung erneut versenden
+      updates.push("option_until = ?", "option_reminder_sent_at = NULL");
+      values.push(option_until || null);
+    }
+
+    // Wenn keine Felder angegeben sind, Fehler zurückgeben
+    if (updates.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "Keine Felder zum Aktualisieren angegeben!" });
+    }
+
+    const entriesId = req.user.calentian_entries_id;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [[event]] = await connection.query(
+        "SELECT * FROM calentian_event_entries WHERE id = ? AND calentian_entries_id = ? AND deleted_at IS NULL FOR UPDATE",
+        [eventId, entriesId]
+      );
+      if (!event) {
+        await connection.rollback();
+        return res.status(404).json({ message: "Event nicht gefunden" });
+      }
+      if (event.archived_at) {
+        await connection.rollback();
+        return res.status(409).json({ message: "Event ist archiviert" });
+      }
+      const [[{ guestGroupCount, guestGroupTotal }]] = await connection.query(
+        "SELECT COUNT(*) AS guestGroupCount, COALESCE(SUM(guest_count), 0) AS guestGroupTotal FROM calentian_event_guest_count WHERE calentian_event_entries_id = ?",
+        [event.id]
+      );
+      // Mit Gästegruppen ist die Gesamtzahl deren Summe
+      if (anzahl_personen_gesamt !== undefined && guestGroupCount > 0) {
+        await connection.rollback();
+        return res.status(400).json({
+          message:
+            "Das Event hat Gästegruppen; die Gästezahl wird über /event-api/api/events/:id/guest-counts geändert.",
+        });
+      }
+      event.guest_count =
+        Number(guestGroupTotal) || event.anzahl_personen_gesamt || 0;
+
+      // Location sperren, damit parallele Buchungen nacheinander geprüft werden
+      const [locations] = await connection.query(
+        "SELECT id FROM calentian_entries_location WHERE id = ? AND calentian_entries_id = ? FOR UPDATE",
+        [location_id || event.location_id, entriesId]
+      );
+      if (location_id && locations.length === 0) {
+        await connection.rollback();
+        return res.status(400).json({ message: "Ungültige Location" });
+      }
+
+      // Statuswechsel gegen den Workflow des Entries prüfen
+      const statusChanged =
+        status && Number(status) !== event.calentian_event_entries_status_id;
+      if (statusChanged) {
+        const check = await checkStatusTransition(connection, {
+          entriesId,
+          fromStatusId: event.calentian_event_entries_status_id,
+          toStatusId: status,
+          event: {
+            ...event,
+            anzahl_personen_gesamt: event.guest_count || null,
+            ...req.body,
+          },
+        });
+        if (!check.allowed) {
+          await connection.rollback();
+          return res.status(422).json({
+            message: check.reason,
+            from_status_id: event.calentian_event_entries_status_id,
+            to_status_id: Number(status),
+            missing_fields: check.missing_fields,
+          });
+        }
+      }
 
-  // Wenn keine Felder angegeben sind, Fehler zurückgeben
-  if (updates.length === 0) {
-    return res
-      .status(400)
-      .json({ message: "Keine Felder zum Aktualisieren angegeben!" });
+      // Konflikte mit dem Stand nach dem Update prüfen
+      let conflicts = [];
+      if (
+        datum ||
+        bis_datum !== undefined ||
+        location_id ||
+        status ||
+        anzahl_personen_gesamt
+      ) {
+        conflicts = await findEventConflicts(connection, {
+          entriesId,
+          locationId: location_id || event.location_id,
+          datum: datum || event.datum,
+          bisDatum: bis_datum !== undefined ? bis_datum : event.bis_datum,
+          statusId: status || event.calentian_event_entries_status_id,
+          guestCount: Number(anzahl_personen_gesamt || event.guest_count),
+          excludeEventId: eventId,
+        });
+        if (conflicts.length > 0 && force !== true) {
+          await connection.rollback();
+          return res.status(409).json({ message: "Terminkonflikt", conflicts });
+        }
+      }
+
+      // Wechsel in den Options-Status ohne Frist: Standardlaufzeit des Entries
+      if (statusChanged && option_until === undefined) {
+        const [[optionSettings]] = await connection.query(
+          "SELECT option_status_id, default_option_days FROM calentian_entries_option_settings WHERE calentian_entries_id = ?",
+          [entriesId]
+        );
+        if (optionSettings?.option_status_id === Number(status)) {
+          updates.push(
+            "option_until = DATE_ADD(CURDATE(), INTERVAL ? DAY)",
+            "option_reminder_sent_at = NULL"
+          );
+          values.push(optionSettings.default_option_days);
+        }
+      }
+
+      // Query dynamisch zusammenstellen
+      const query = `UPDATE calentian_event_entries SET ${updates.join(
+        ", "
+      )} WHERE id = ? AND calentian_entries_id = ?`;
+      values.push(eventId, entriesId);
+
+      const [result] = await trackEventChanges(
+        connection,
+        [event.id],
+        { benutzerId: req.user.calentian_benutzer_id, source: "event-api" },
+        () => connection.execute(query, values)
+      );
+      if (statusChanged) {
+        await recordStatusChange(connection, {
+          eventId,
+          fromStatusId: event.calentian_event_entries_status_id,
+          toStatusId: status,
+          benutzerId: req.user.calentian_benutzer_id,
+          comment: status_comment,
+        });
+      }
+      if (conflicts.length > 0) {
+        await recordConflictOverride(
+          connection,
+          eventId,
+          req.user.calentian_benutzer_id,
+          conflicts
+        );
+      }
+      await connection.commit();
+
+      res.json({
+        message: "✅ Event erfolgreich aktualisiert",
+        affectedRows: result.affectedRows,
+        conflicts,
+      });
+    } catch (err) {
+      await connection.rollback();
+      console.error("❌ Fehler beim Aktualisieren des Events:", err);
+      res.status(500).json({ message: "Fehler beim Aktualisieren des Events" });
+    } finally {
+      connection.release();
+    }
   }
+);
+
+// ---- Archiv und Papierkorb ----
+// Archivierte Events sind schreibgeschützt, bleiben aber abrufbar. Gelöschte
+// Events liegen bis purge_after im Papierkorb und werden danach vom
+// trash-service endgültig entfernt (samt Notizen, Angeboten und Gästegruppen).
 
-  // Query dynamisch zusammenstellen
-  const query = `UPDATE calentian_event_entries SET ${updates.join(
-    ", "
-  )} WHERE id = ?`;
-  values.push(eventId);
+function getTrashRetentionDays() {
+  return Number(process.env.EVENT_TRASH_RETENTION_DAYS) || 30;
+}
 
+async function setEventArchived(req, res, archived) {
   try {
-    const connection = await initDB();
-    const [result] = await connection.execute(query, values);
-    await connection.end();
+    const [[event]] = await db.query(
+      "SELECT id, archived_at FROM calentian_event_entries WHERE id = ? AND calentian_entries_id = ? AND deleted_at IS NULL",
+      [req.params.id, req.user.calentian_entries_id]
+    );
+    if (!event) {
+      return res.status(404).json({ message: "Event nicht gefunden" });
+    }
+    if (Boolean(event.archived_at) === archived) {
+      return res.status(409).json({
+        message: archived
+          ? "Event ist bereits archiviert"
+          : "Event ist nicht archiviert",
+      });
+    }
+
+    await trackEventChanges(
+      db,
+      [event.id],
+      { benutzerId: req.user.calentian_benutzer_id, source: "event-api" },
+      () =>
+        db.query(
+          `UPDATE calentian_event_entries
+           SET archived_at = ${archived ? "NOW()" : "NULL"}, archived_by = ?
+           WHERE id = ?`,
+          [archived ? req.user.calentian_benutzer_id : null, event.id]
+        )
+    );
     res.json({
-      message: "✅ Event erfolgreich aktualisiert",
-      affectedRows: result.affectedRows,
+      message: archived ? "✅ Event archiviert" : "✅ Event wiederhergestellt",
     });
   } catch (err) {
-    console.error("❌ Fehler beim Aktualisieren des Events:", err);
-    res.status(500).json({ message: "Fehler beim Aktualisieren des Events" });
+    console.error("❌ Fehler beim Archivieren des Events:", err);
+    res.status(500).json({ message: "Fehler beim Archivieren des Events" });
   }
-});
+}
 
-// 🔒 API-Route: Alle Status abrufen
-app.get("/event-api/api/status", authenticateToken, async (req, res) => {
-  try {
-    const connection = await initDB();
-    const [results] = await connection.execute(
-      "SELECT id, label, css_class FROM calentian_event_entries_status"
-    );
-    await connection.end();
-    res.json(results);
-  } catch (err) {
-    console.error("❌ Fehler beim Abrufen der Status:", err);
-    res.status(500).json({ message: "Fehler beim Abrufen der Status" });
+// 🔒 API-Route: Event archivieren
+app.post(
+  "/event-api/api/events/:id/archive",
+  authenticateToken,
+  requirePermission("events:write"),
+  (req, res) => setEventArchived(req, res, true)
+);
+
+// 🔒 API-Route: Event aus dem Archiv holen
+app.post(
+  "/event-api/api/events/:id/unarchive",
+  authenticateToken,
+  requirePermission("events:write"),
+  (req, res) => setEventArchived(req, res, false)
+);
+
+// 🔒 API-Route: Event in den Papierkorb verschieben
+app.delete(
+  "/event-api/api/events/:id",
+  authenticateToken,
+  requirePermission("events:delete"),
+  async (req, res) => {
+    try {
+      const [[event]] = await db.query(
+        "SELECT id FROM calentian_event_entries WHERE id = ? AND calentian_entries_id = ? AND deleted_at IS NULL",
+        [req.params.id, req.user.calentian_entries_id]
+      );
+      if (!event) {
+        return res.status(404).json({ message: "Event nicht gefunden" });
+      }
+
+      await trackEventChanges(
+        db,
+        [event.id],
+        { benutzerId: req.user.calentian_benutzer_id, source: "event-api" },
+        () =>
+          db.query(
+            `UPDATE calentian_event_entries
+             SET deleted_at = NOW(), deleted_by = ?,
+                 purge_after = DATE_ADD(NOW(), INTERVAL ? DAY)
+             WHERE id = ?`,
+            [req.user.calentian_benutzer_id, getTrashRetentionDays(), event.id]
+          )
+      );
+      const [[{ purge_after }]] = await db.query(
+        "SELECT purge_after FROM calentian_event_entries WHERE id = ?",
+        [event.id]
+      );
+      res.json({
+        message: "✅ Event in den Papierkorb verschoben",
+        purge_after,
+      });
+    } catch (err) {
+      console.error("❌ Fehler beim Löschen des Events:", err);
+      res.status(500).json({ message: "Fehler beim Löschen des Events" });
+    }
+  }
+);
+
+// 🔒 API-Route: Papierkorb (wiederherstellbare Events, neueste zuerst)
+app.get(
+  "/event-api/api/trash/events",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      const [events] = await db.query(
+        `SELECT e.id, e.event_name, e.datum, e.bis_datum, e.location_id, l.location_name,
+                e.calentian_kundendaten_id, k.vorname, k.nachname, k.firma,
+                e.deleted_at, e.deleted_by, b.benutzername AS deleted_by_name,
+                e.purge_after AS restore_until
+         FROM calentian_event_entries e
+         LEFT JOIN calentian_entries_location l ON e.location_id = l.id
+         LEFT JOIN calentian_kundendaten k ON e.calentian_kundendaten_id = k.id
+         LEFT JOIN calentian_benutzer b ON e.deleted_by = b.id
+         WHERE e.calentian_entries_id = ?
+           AND e.deleted_at IS NOT NULL
+           AND e.purge_after > NOW()
+         ORDER BY e.deleted_at DESC`,
+        [req.user.calentian_entries_id]
+      );
+      res.json(events);
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen des Papierkorbs:", err);
+      res.status(500).json({ message: "Fehler beim Abrufen des Papierkorbs" });
+    }
+  }
+);
+
+// 🔒 API-Route: Event aus dem Papierkorb wiederherstellen
+// Der Termin wird erneut auf Konflikte geprüft (force wie bei PUT)
+app.post(
+  "/event-api/api/events/:id/restore",
+  authenticateToken,
+  requirePermission("events:delete"),
+  async (req, res) => {
+    try {
+      const [[event]] = await db.query(
+        `SELECT e.*, e.purge_after > NOW() AS restorable,
+                COALESCE(NULLIF(SUM(egc.guest_count), 0), e.anzahl_personen_gesamt, 0) AS guest_count
+         FROM calentian_event_entries e
+         LEFT JOIN calentian_event_guest_count egc ON egc.calentian_event_entries_id = e.id
+         WHERE e.id = ? AND e.calentian_entries_id = ? AND e.deleted_at IS NOT NULL
+         GROUP BY e.id`,
+        [req.params.id, req.user.calentian_entries_id]
+      );
+      if (!event) {
+        return res
+          .status(404)
+          .json({ message: "Event nicht im Papierkorb gefunden" });
+      }
+      if (!event.restorable) {
+        return res
+          .status(410)
+          .json({ message: "Wiederherstellungsfrist abgelaufen" });
+      }
+
+      const conflicts = await findEventConflicts(db, {
+        entriesId: req.user.calentian_entries_id,
+        locationId: event.location_id,
+        datum: event.datum,
+        bisDatum: event.bis_datum,
+        statusId: event.calentian_event_entries_status_id,
+        guestCount: Number(event.guest_count),
+        excludeEventId: event.id,
+      });
+      if (conflicts.length > 0 && req.body.force !== true) {
+        return res.status(409).json({ message: "Terminkonflikt", conflicts });
+      }
+
+      await trackEventChanges(
+        db,
+        [event.id],
+        { benutzerId: req.user.calentian_benutzer_id, source: "event-api" },
+        () =>
+          db.query(
+            `UPDATE calentian_event_entries
+             SET deleted_at = NULL, deleted_by = NULL, purge_after = NULL
+             WHERE id = ?`,
+            [event.id]
+          )
+      );
+      // Termin einer Serie: Serie wieder aktiv, die Ausnahme für das Datum entfällt
+      if (event.series_id) {
+        await db.query(
+          "UPDATE calentian_event_series SET deleted_at = NULL WHERE id = ?",
+          [event.series_id]
+        );
+        await db.query(
+          "DELETE FROM calentian_event_series_exceptions WHERE series_id = ? AND occurrence_date = ?",
+          [event.series_id, event.series_occurrence_date]
+        );
+      }
+      if (conflicts.length > 0) {
+        await recordConflictOverride(
+          db,
+          event.id,
+          req.user.calentian_benutzer_id,
+          conflicts
+        );
+      }
+      res.json({ message: "✅ Event wiederhergestellt", conflicts });
+    } catch (err) {
+      console.error("❌ Fehler beim Wiederherstellen des Events:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Wiederherstellen des Events" });
+    }
   }
-});
+);
+
+// 🔒 API-Route: Gästegruppen eines Events setzen
+// Body: { guest_groups: [{ guest_group_template_id, guest_count }], replace?, force? }
+// replace (Standard): nicht übergebene Gruppen werden entfernt; replace: false
+// ändert nur die übergebenen Gruppen. anzahl_personen_gesamt wird neu berechnet.
+app.put(
+  "/event-api/api/events/:id/guest-counts",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const { guest_groups, replace = true, force } = req.body;
+    if (
+      !Array.isArray(guest_groups) ||
+      guest_groups.some(
+        (g) =>
+          !g.guest_group_template_id ||
+          !Number.isInteger(Number(g.guest_count)) ||
+          Number(g.guest_count) < 0
+      )
+    ) {
+      return res.status(400).json({ message: "Ungültige Gästegruppen" });
+    }
+    const templateIds = guest_groups.map((g) =>
+      Number(g.guest_group_template_id)
+    );
+    if (new Set(templateIds).size !== templateIds.length) {
+      return res
+        .status(400)
+        .json({ message: "Gästegruppe mehrfach angegeben" });
+    }
+
+    const entriesId = req.user.calentian_entries_id;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [[event]] = await connection.query(
+        "SELECT * FROM calentian_event_entries WHERE id = ? AND calentian_entries_id = ? AND deleted_at IS NULL FOR UPDATE",
+        [req.params.id, entriesId]
+      );
+      if (!event) {
+        await connection.rollback();
+        return res.status(404).json({ message: "Event nicht gefunden" });
+      }
+      if (event.archived_at) {
+        await connection.rollback();
+        return res.status(409).json({ message: "Event ist archiviert" });
+      }
+
+      // Nur Vorlagen des eigenen Entries
+      if (templateIds.length > 0) {
+        const [templates] = await connection.query(
+          "SELECT id FROM calentian_guest_group_template WHERE id IN (?) AND calentian_entries_id = ?",
+          [templateIds, entriesId]
+        );
+        if (templates.length !== templateIds.length) {
+          await connection.rollback();
+          return res.status(400).json({ message: "Ungültige Gästegruppe" });
+        }
+      }
+
+      // Neue Gesamtzahl aus bestehenden und übergebenen Gruppen
+      const [existing] = await connection.query(
+        "SELECT guest_group_template_id, guest_count FROM calentian_event_guest_count WHERE calentian_event_entries_id = ?",
+        [event.id]
+      );
+      const counts = new Map(
+        replace === false
+          ? existing.map((g) => [g.guest_group_template_id, g.guest_count])
+          : []
+      );
+      for (const group of guest_groups) {
+        counts.set(
+          Number(group.guest_group_template_id),
+          Number(group.guest_count)
+        );
+      }
+      const total = [...counts.values()].reduce((sum, n) => sum + n, 0);
+
+      // Kapazität der Location mit der neuen Gästezahl prüfen
+      const conflicts = await findEventConflicts(connection, {
+        entriesId,
+        locationId: event.location_id,
+        datum: event.datum,
+        bisDatum: event.bis_datum,
+        statusId: event.calentian_event_entries_status_id,
+        guestCount: total,
+        excludeEventId: event.id,
+      });
+      if (conflicts.length > 0 && force !== true) {
+        await connection.rollback();
+        return res.status(409).json({ message: "Terminkonflikt", conflicts });
+      }
+
+      await trackEventChanges(
+        connection,
+        [event.id],
+        { benutzerId: req.user.calentian_benutzer_id, source: "event-api" },
+        async () => {
+          await connection.query(
+            "DELETE FROM calentian_event_guest_count WHERE calentian_event_entries_id = ?",
+            [event.id]
+          );
+          if (counts.size > 0) {
+            await connection.query(
+              `INSERT INTO calentian_event_guest_count
+                 (calentian_event_entries_id, guest_group_template_id, guest_count)
+               VALUES ?`,
+              [
+                [...counts].map(([templateId, count]) => [
+                  event.id,
+                  templateId,
+                  count,
+                ]),
+              ]
+            );
+          }
+          await connection.query(
+            "UPDATE calentian_event_entries SET anzahl_personen_gesamt = ? WHERE id = ?",
+            [total, event.id]
+          );
+        }
+      );
+      if (conflicts.length > 0) {
+        await recordConflictOverride(
+          connection,
+          event.id,
+          req.user.calentian_benutzer_id,
+          conflicts
+        );
+      }
+      await connection.commit();
+
+      res.json({
+        message: "✅ Gästegruppen gespeichert",
+        anzahl_personen_gesamt: total,
+        guest_groups: [...counts].map(([templateId, count]) => ({
+          guest_group_template_id: templateId,
+          guest_count: count,
+        })),
+        conflicts,
+      });
+    } catch (err) {
+      await connection.rollback();
+      console.error("❌ Fehler beim Speichern der Gästegruppen:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Speichern der Gästegruppen" });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+// 🔒 API-Route: Änderungshistorie eines Events (neueste zuerst)
+// Query: limit (max. 200), offset, field (optional, z. B. "datum" oder "guest_count")
+app.get(
+  "/event-api/api/events/:id/history",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const where = [
+      "h.calentian_event_entries_id = ?",
+      "h.calentian_entries_id = ?",
+    ];
+    const params = [req.params.id, req.user.calentian_entries_id];
+    if (req.query.field) {
+      where.push("h.field_name = ?");
+      params.push(req.query.field);
+    }
+
+    try {
+      const [[{ total }]] = await db.query(
+        `SELECT COUNT(*) AS total FROM calentian_event_change_history h WHERE ${where.join(
+          " AND "
+        )}`,
+        params
+      );
+      const [rows] = await db.query(
+        `SELECT h.id, h.change_set, h.source, h.table_name, h.field_name,
+                h.guest_group_template_id, g.title AS guest_group_title,
+                h.old_value, h.new_value, h.calentian_benutzer_id,
+                b.benutzername, b.email, h.created_at
+         FROM calentian_event_change_history h
+         LEFT JOIN calentian_benutzer b ON h.calentian_benutzer_id = b.id
+         LEFT JOIN calentian_guest_group_template g ON h.guest_group_template_id = g.id
+         WHERE ${where.join(" AND ")}
+         ORDER BY h.created_at DESC, h.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      res.json({ total, limit, offset, items: rows });
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen der Änderungshistorie:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Abrufen der Änderungshistorie" });
+    }
+  }
+);
+
+// 🔒 API-Route: Status-Verlauf eines Events
+app.get(
+  "/event-api/api/events/:id/timeline",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      const [[event]] = await db.query(
+        "SELECT id, calentian_event_entries_status_id FROM calentian_event_entries WHERE id = ? AND calentian_entries_id = ? AND deleted_at IS NULL",
+        [req.params.id, req.user.calentian_entries_id]
+      );
+      if (!event) {
+        return res.status(404).json({ message: "Event nicht gefunden" });
+      }
+
+      const [timeline] = await db.query(
+        `SELECT h.id, h.from_status_id, fs.label AS from_status_label,
+                h.to_status_id, ts.label AS to_status_label, ts.css_class AS to_status_css,
+                h.calentian_benutzer_id, b.benutzername, b.email, h.comment, h.created_at
+         FROM calentian_event_status_history h
+         LEFT JOIN calentian_event_entries_status fs ON h.from_status_id = fs.id
+         LEFT JOIN calentian_event_entries_status ts ON h.to_status_id = ts.id
+         LEFT JOIN calentian_benutzer b ON h.calentian_benutzer_id = b.id
+         WHERE h.calentian_event_entries_id = ?
+         ORDER BY h.created_at, h.id`,
+        [event.id]
+      );
+
+      res.json({
+        event_id: event.id,
+        current_status_id: event.calentian_event_entries_status_id,
+        allowed_next_status_ids: await getAllowedNextStatusIds(
+          db,
+          req.user.calentian_entries_id,
+          event.calentian_event_entries_status_id
+        ),
+        timeline,
+      });
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen des Status-Verlaufs:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Abrufen des Status-Verlaufs" });
+    }
+  }
+);
+
+// 🔒 API-Route: Status-Workflow des Entries abrufen
+app.get(
+  "/event-api/api/status-transitions",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      const [rows] = await db.query(
+        `SELECT id, from_status_id, to_status_id, required_fields
+         FROM calentian_entries_status_transitions
+         WHERE calentian_entries_id = ?
+         ORDER BY from_status_id, to_status_id`,
+        [req.user.calentian_entries_id]
+      );
+      res.json(rows);
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen des Status-Workflows:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Abrufen des Status-Workflows" });
+    }
+  }
+);
+
+// 🔒 API-Route: Status-Workflow des Entries ersetzen
+// Body: { transitions: [{ from_status_id, to_status_id, required_fields }] },
+// leeres Array = alle Statuswechsel erlaubt
+app.put(
+  "/event-api/api/status-transitions",
+  authenticateToken,
+  requirePermission("settings:write"),
+  async (req, res) => {
+    const { transitions } = req.body;
+    if (
+      !Array.isArray(transitions) ||
+      transitions.some(
+        (t) =>
+          !t.to_status_id ||
+          (t.required_fields !== undefined &&
+            t.required_fields !== null &&
+            !Array.isArray(t.required_fields))
+      )
+    ) {
+      return res.status(400).json({ message: "Ungültiger Status-Workflow" });
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.query(
+        "DELETE FROM calentian_entries_status_transitions WHERE calentian_entries_id = ?",
+        [req.user.calentian_entries_id]
+      );
+      if (transitions.length > 0) {
+        await connection.query(
+          `INSERT INTO calentian_entries_status_transitions
+             (calentian_entries_id, from_status_id, to_status_id, required_fields)
+           VALUES ?`,
+          [
+            transitions.map((t) => [
+              req.user.calentian_entries_id,
+              t.from_status_id || null,
+              t.to_status_id,
+              t.required_fields ? JSON.stringify(t.required_fields) : null,
+            ]),
+          ]
+        );
+      }
+      await connection.commit();
+      res.json({ message: "✅ Status-Workflow gespeichert" });
+    } catch (err) {
+      await connection.rollback();
+      console.error("❌ Fehler beim Speichern des Status-Workflows:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Speichern des Status-Workflows" });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+// 🔒 API-Route: Options-Einstellungen des Entries abrufen
+app.get(
+  "/event-api/api/option-settings",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      const [[settings]] = await db.query(
+        `SELECT option_status_id, expired_status_id, default_option_days,
+                reminder_days_before, remind_customer
+         FROM calentian_entries_option_settings
+         WHERE calentian_entries_id = ?`,
+        [req.user.calentian_entries_id]
+      );
+      res.json(settings || null);
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen der Options-Einstellungen:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Abrufen der Options-Einstellungen" });
+    }
+  }
+);
+
+// 🔒 API-Route: Options-Einstellungen des Entries speichern
+app.put(
+  "/event-api/api/option-settings",
+  authenticateToken,
+  requirePermission("settings:write"),
+  async (req, res) => {
+    const {
+      option_status_id,
+      expired_status_id,
+      default_option_days = 14,
+      reminder_days_before = 2,
+      remind_customer = true,
+    } = req.body;
+    if (
+      !option_status_id ||
+      !expired_status_id ||
+      Number(option_status_id) === Number(expired_status_id) ||
+      !(default_option_days >= 1) ||
+      !(reminder_days_before >= 0)
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Ungültige Options-Einstellungen" });
+    }
+
+    try {
+      await db.query(
+        `INSERT INTO calentian_entries_option_settings
+           (calentian_entries_id, option_status_id, expired_status_id,
+            default_option_days, reminder_days_before, remind_customer)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           option_status_id = VALUES(option_status_id),
+           expired_status_id = VALUES(expired_status_id),
+           default_option_days = VALUES(default_option_days),
+           reminder_days_before = VALUES(reminder_days_before),
+           remind_customer = VALUES(remind_customer)`,
+        [
+          req.user.calentian_entries_id,
+          option_status_id,
+          expired_status_id,
+          default_option_days,
+          reminder_days_before,
+          remind_customer ? 1 : 0,
+        ]
+      );
+      res.json({ message: "✅ Options-Einstellungen gespeichert" });
+    } catch (err) {
+      console.error("❌ Fehler beim Speichern der Options-Einstellungen:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Speichern der Options-Einstellungen" });
+    }
+  }
+);
+
+// ---- Event-Vorlagen, Duplizieren und Checklisten ----
+
+// Felder einer Angebotsposition, die in Vorlagen übernommen werden
+const OFFER_ITEM_FIELDS = [
+  "title",
+  "teaser",
+  "description",
+  "unit_price",
+  "quantity",
+  "optional",
+  "selected_by_default",
+  "can_edit_quantity",
+  "min_quantity",
+  "max_quantity",
+  "sort_order",
+  "category_id",
+  "calentian_offer_price_unit_id",
+];
+
+// JSON-Spalten kommen je nach mysql2-Version als String oder Objekt
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+function formatTemplate(template) {
+  return {
+    ...template,
+    guest_groups: parseJson(template.guest_groups, []),
+    offer_groups: parseJson(template.offer_groups, []),
+    checklist: parseJson(template.checklist, []),
+  };
+}
+
+// Vorlagenfelder aus dem Request prüfen; liefert null bei ungültigen Angaben
+function parseTemplateBody(body) {
+  const {
+    name,
+    veranstaltungsart,
+    event_name,
+    start_time,
+    dauer_tage = 0,
+    guest_groups = [],
+    offer_groups = [],
+    checklist = [],
+  } = body;
+  if (
+    !name?.trim() ||
+    !(Number(dauer_tage) >= 0) ||
+    !Array.isArray(guest_groups) ||
+    guest_groups.some((g) => !g.guest_group_template_id) ||
+    !Array.isArray(offer_groups) ||
+    offer_groups.some((g) => !g.title || !Array.isArray(g.items || [])) ||
+    !Array.isArray(checklist) ||
+    checklist.some((item) => typeof item !== "string" || !item.trim())
+  ) {
+    return null;
+  }
+  return {
+    name: name.trim(),
+    calentian_event_entries_veranstaltungsart_id: veranstaltungsart || null,
+    event_name: event_name?.trim() || null,
+    start_time: start_time || null,
+    dauer_tage: Number(dauer_tage),
+    guest_groups: guest_groups.map((g) => ({
+      guest_group_template_id: g.guest_group_template_id,
+      guest_count: Number(g.guest_count) || 0,
+    })),
+    offer_groups,
+    checklist: checklist.map((item) => item.trim()),
+  };
+}
+
+// Gruppen und Positionen des neuesten Angebots eines Events
+async function getOfferGroupsOfEvent(eventId) {
+  const [[offer]] = await db.query(
+    "SELECT id FROM calentian_offer WHERE calentian_event_entries_id = ? ORDER BY id DESC LIMIT 1",
+    [eventId]
+  );
+  if (!offer) return [];
+
+  const [groups] = await db.query(
+    "SELECT id, title, type, sort_order, optional FROM calentian_offer_item_group WHERE offer_id = ? ORDER BY sort_order",
+    [offer.id]
+  );
+  const [items] = await db.query(
+    `SELECT calentian_offer_item_group_id, ${OFFER_ITEM_FIELDS.join(", ")}
+     FROM calentian_offer_item WHERE offer_id = ? ORDER BY sort_order`,
+    [offer.id]
+  );
+  return groups.map(({ id, ...group }) => ({
+    ...group,
+    items: items
+      .filter((item) => item.calentian_offer_item_group_id === id)
+      .map(({ calentian_offer_item_group_id, ...item }) => item),
+  }));
+}
+
+// Fallback für Eventname: "<Veranstaltungsart> von <Kunde>"
+async function defaultEventName(conn, veranstaltungsartId, kundenId) {
+  const [[art]] = await conn.query(
+    "SELECT name FROM calentian_event_entries_veranstaltungsart WHERE id = ?",
+    [veranstaltungsartId]
+  );
+  const [[customer]] = await conn.query(
+    "SELECT vorname, firma FROM calentian_kundendaten WHERE id = ?",
+    [kundenId]
+  );
+  const customerName = customer
+    ? customer.firma?.trim() || customer.vorname
+    : "";
+  return `${art?.name || ""} von ${customerName}`;
+}
+
+// Legt ein Event mit Gästegruppen und Checkliste an. Der Aufrufer steuert die
+// Transaktion auf conn (Verbindung aus dem Pool).
+// Liefert { eventId, conflicts } oder { error: { status, body } }
+async function createEventWithDetails(conn, user, data, { force } = {}) {
+  const entriesId = user.calentian_entries_id;
+
+  const [[customer]] = await conn.query(
+    "SELECT id FROM calentian_kundendaten WHERE id = ? AND calentian_entries_id = ?",
+    [data.kunden_id, entriesId]
+  );
+  if (!customer) {
+    return { error: { status: 400, body: { message: "Ungültiger Kunde" } } };
+  }
+
+  const [locations] = await conn.query(
+    "SELECT id FROM calentian_entries_location WHERE id = ? AND calentian_entries_id = ? FOR UPDATE",
+    [data.location_id, entriesId]
+  );
+  if (locations.length === 0) {
+    return { error: { status: 400, body: { message: "Ungültige Location" } } };
+  }
+
+  // Gästegruppen nur aus den Vorlagen des eigenen Entries
+  const guestGroups = data.guest_groups || [];
+  if (guestGroups.length > 0) {
+    const templateIds = [
+      ...new Set(guestGroups.map((g) => Number(g.guest_group_template_id))),
+    ];
+    const [templates] = await conn.query(
+      "SELECT id FROM calentian_guest_group_template WHERE id IN (?) AND calentian_entries_id = ?",
+      [templateIds, entriesId]
+    );
+    if (templates.length !== templateIds.length) {
+      return {
+        error: { status: 400, body: { message: "Ungültige Gästegruppe" } },
+      };
+    }
+  }
+  const guestCount = guestGroups.reduce(
+    (sum, g) => sum + (Number(g.guest_count) || 0),
+    0
+  );
+
+  const statusCheck = await checkStatusTransition(conn, {
+    entriesId,
+    fromStatusId: null,
+    toStatusId: data.status,
+    event: { ...data, anzahl_personen_gesamt: guestCount || null },
+  });
+  if (!statusCheck.allowed) {
+    return {
+      error: {
+        status: 422,
+        body: {
+          message: statusCheck.reason,
+          to_status_id: Number(data.status),
+          missing_fields: statusCheck.missing_fields,
+        },
+      },
+    };
+  }
+
+  const conflicts = await findEventConflicts(conn, {
+    entriesId,
+    locationId: data.location_id,
+    datum: data.datum,
+    bisDatum: data.bis_datum,
+    statusId: data.status,
+    guestCount,
+  });
+  if (conflicts.length > 0 && force !== true) {
+    return {
+      error: { status: 409, body: { message: "Terminkonflikt", conflicts } },
+    };
+  }
+
+  // Option ohne Frist: Standardlaufzeit des Entries
+  const [[optionSettings]] = await conn.query(
+    "SELECT option_status_id, default_option_days FROM calentian_entries_option_settings WHERE calentian_entries_id = ?",
+    [entriesId]
+  );
+  const optionDays =
+    optionSettings?.option_status_id === Number(data.status)
+      ? optionSettings.default_option_days
+      : null;
+
+  const [{ insertId: eventId }] = await conn.query(
+    `INSERT INTO calentian_event_entries (
+       calentian_kundendaten_id,
+       calentian_entries_id,
+       location_id,
+       datum,
+       bis_datum,
+       start_time,
+       calentian_event_entries_veranstaltungsart_id,
+       calentian_event_entries_status_id,
+       event_name,
+       anzahl_personen_gesamt,
+       calentian_event_templates_id,
+       option_until
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(CURDATE(), INTERVAL ? DAY))`,
+    [
+      data.kunden_id,
+      entriesId,
+      data.location_id,
+      data.datum,
+      data.bis_datum || null,
+      data.start_time || null,
+      data.veranstaltungsart,
+      data.status,
+      data.event_name?.trim() ||
+        (await defaultEventName(conn, data.veranstaltungsart, data.kunden_id)),
+      data.anzahl_personen_gesamt ?? guestCount,
+      data.template_id || null,
+      optionDays,
+    ]
+  );
+
+  for (const group of guestGroups) {
+    await conn.query(
+      `INSERT INTO calentian_event_guest_count (
+         calentian_event_entries_id,
+         guest_group_template_id,
+         guest_count
+       ) VALUES (?, ?, ?)`,
+      [eventId, group.guest_group_template_id, Number(group.guest_count) || 0]
+    );
+  }
+
+  const checklist = data.checklist || [];
+  if (checklist.length > 0) {
+    await conn.query(
+      "INSERT INTO calentian_event_checklist_items (calentian_event_entries_id, title, sort_order) VALUES ?",
+      [checklist.map((title, index) => [eventId, title, index])]
+    );
+  }
+
+  await recordStatusChange(conn, {
+    eventId,
+    fromStatusId: null,
+    toStatusId: data.status,
+    benutzerId: user.calentian_benutzer_id,
+  });
+  await recordEventChanges(conn, {
+    eventId,
+    benutzerId: user.calentian_benutzer_id,
+    source: "event-api",
+    before: null,
+    after: await loadEventSnapshot(conn, eventId),
+  });
+  if (conflicts.length > 0) {
+    await recordConflictOverride(
+      conn,
+      eventId,
+      user.calentian_benutzer_id,
+      conflicts
+    );
+  }
+
+  return { eventId, conflicts };
+}
+
+// 🔒 API-Route: Alle Event-Vorlagen des Entries
+app.get(
+  "/event-api/api/event-templates",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      const [templates] = await db.query(
+        `SELECT t.*, va.name AS veranstaltungsart_label
+         FROM calentian_event_templates t
+         LEFT JOIN calentian_event_entries_veranstaltungsart va ON t.calentian_event_entries_veranstaltungsart_id = va.id
+         WHERE t.calentian_entries_id = ?
+         ORDER BY t.name`,
+        [req.user.calentian_entries_id]
+      );
+      res.json(templates.map(formatTemplate));
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen der Event-Vorlagen:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Abrufen der Event-Vorlagen" });
+    }
+  }
+);
+
+// 🔒 API-Route: Einzelne Event-Vorlage
+app.get(
+  "/event-api/api/event-templates/:id",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      const [[template]] = await db.query(
+        "SELECT * FROM calentian_event_templates WHERE id = ? AND calentian_entries_id = ?",
+        [req.params.id, req.user.calentian_entries_id]
+      );
+      if (!template) {
+        return res.status(404).json({ message: "Vorlage nicht gefunden" });
+      }
+      res.json(formatTemplate(template));
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen der Event-Vorlage:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Abrufen der Event-Vorlage" });
+    }
+  }
+);
+
+// 🔒 API-Route: Event-Vorlage anlegen
+// Mit from_event_id werden Veranstaltungsart, Gästegruppen, Angebotsgruppen und
+// Checkliste aus einem bestehenden Event übernommen; Felder im Body haben Vorrang.
+app.post(
+  "/event-api/api/event-templates",
+  authenticateToken,
+  requirePermission("settings:write"),
+  async (req, res) => {
+    try {
+      let body = req.body;
+      if (req.body.from_event_id) {
+        const [[event]] = await db.query(
+          "SELECT * FROM calentian_event_entries WHERE id = ? AND calentian_entries_id = ? AND deleted_at IS NULL",
+          [req.body.from_event_id, req.user.calentian_entries_id]
+        );
+        if (!event) {
+          return res.status(404).json({ message: "Event nicht gefunden" });
+        }
+        const [guestGroups] = await db.query(
+          "SELECT guest_group_template_id, guest_count FROM calentian_event_guest_count WHERE calentian_event_entries_id = ?",
+          [event.id]
+        );
+        const [checklist] = await db.query(
+          "SELECT title FROM calentian_event_checklist_items WHERE calentian_event_entries_id = ? ORDER BY sort_order, id",
+          [event.id]
+        );
+        body = {
+          veranstaltungsart: event.calentian_event_entries_veranstaltungsart_id,
+          start_time: event.start_time,
+          dauer_tage: event.bis_datum
+            ? Math.round((event.bis_datum - event.datum) / 86400000)
+            : 0,
+          guest_groups: guestGroups,
+          offer_groups: await getOfferGroupsOfEvent(event.id),
+          checklist: checklist.map((item) => item.title),
+          ...req.body,
+        };
+      }
+
+      const template = parseTemplateBody(body);
+      if (!template) {
+        return res.status(400).json({ message: "Ungültige Vorlage" });
+      }
+
+      const [result] = await db.query(
+        `INSERT INTO calentian_event_templates (
+           calentian_entries_id, name, calentian_event_entries_veranstaltungsart_id,
+           event_name, start_time, dauer_tage, guest_groups, offer_groups, checklist, created_by
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          req.user.calentian_entries_id,
+          template.name,
+          template.calentian_event_entries_veranstaltungsart_id,
+          template.event_name,
+          template.start_time,
+          template.dauer_tage,
+          JSON.stringify(template.guest_groups),
+          JSON.stringify(template.offer_groups),
+          JSON.stringify(template.checklist),
+          req.user.calentian_benutzer_id,
+        ]
+      );
+      res.status(201).json({
+        message: "✅ Vorlage erstellt",
+        templateId: result.insertId,
+      });
+    } catch (err) {
+      if (err.code === "ER_DUP_ENTRY") {
+        return res
+          .status(409)
+          .json({ message: "Eine Vorlage mit diesem Namen existiert bereits" });
+      }
+      console.error("❌ Fehler beim Erstellen der Event-Vorlage:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Erstellen der Event-Vorlage" });
+    }
+  }
+);
+
+// 🔒 API-Route: Event-Vorlage ersetzen
+app.put(
+  "/event-api/api/event-templates/:id",
+  authenticateToken,
+  requirePermission("settings:write"),
+  async (req, res) => {
+    const template = parseTemplateBody(req.body);
+    if (!template) {
+      return res.status(400).json({ message: "Ungültige Vorlage" });
+    }
+
+    try {
+      const [result] = await db.query(
+        `UPDATE calentian_event_templates
+         SET name = ?, calentian_event_entries_veranstaltungsart_id = ?, event_name = ?,
+             start_time = ?, dauer_tage = ?, guest_groups = ?, offer_groups = ?, checklist = ?
+         WHERE id = ? AND calentian_entries_id = ?`,
+        [
+          template.name,
+          template.calentian_event_entries_veranstaltungsart_id,
+          template.event_name,
+          template.start_time,
+          template.dauer_tage,
+          JSON.stringify(template.guest_groups),
+          JSON.stringify(template.offer_groups),
+          JSON.stringify(template.checklist),
+          req.params.id,
+          req.user.calentian_entries_id,
+        ]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: "Vorlage nicht gefunden" });
+      }
+      res.json({ message: "✅ Vorlage gespeichert" });
+    } catch (err) {
+      if (err.code === "ER_DUP_ENTRY") {
+        return res
+          .status(409)
+          .json({ message: "Eine Vorlage mit diesem Namen existiert bereits" });
+      }
+      console.error("❌ Fehler beim Speichern der Event-Vorlage:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Speichern der Event-Vorlage" });
+    }
+  }
+);
+
+// 🔒 API-Route: Event-Vorlage löschen (Events behalten ihre Daten)
+app.delete(
+  "/event-api/api/event-templates/:id",
+  authenticateToken,
+  requirePermission("settings:write"),
+  async (req, res) => {
+    try {
+      const [result] = await db.query(
+        "DELETE FROM calentian_event_templates WHERE id = ? AND calentian_entries_id = ?",
+        [req.params.id, req.user.calentian_entries_id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: "Vorlage nicht gefunden" });
+      }
+      res.json({ message: "✅ Vorlage gelöscht" });
+    } catch (err) {
+      console.error("❌ Fehler beim Löschen der Event-Vorlage:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Löschen der Event-Vorlage" });
+    }
+  }
+);
+
+// 🔒 API-Route: Event aus Vorlage anlegen
+// Body: { kunden_id, location_id, datum, status, event_name?, bis_datum?, force? }
+app.post(
+  "/event-api/api/event-templates/:id/events",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const { kunden_id, location_id, datum, status, force } = req.body;
+    if (!kunden_id || !location_id || !datum || !status) {
+      return res
+        .status(400)
+        .json({ message: "Alle Felder müssen ausgefüllt sein!" });
+    }
+
+    try {
+      const [[row]] = await db.query(
+        "SELECT * FROM calentian_event_templates WHERE id = ? AND calentian_entries_id = ?",
+        [req.params.id, req.user.calentian_entries_id]
+      );
+      if (!row) {
+        return res.status(404).json({ message: "Vorlage nicht gefunden" });
+      }
+      const template = formatTemplate(row);
+      const veranstaltungsart =
+        req.body.veranstaltungsart ||
+        template.calentian_event_entries_veranstaltungsart_id;
+      if (!veranstaltungsart) {
+        return res
+          .status(400)
+          .json({ message: "Veranstaltungsart fehlt in Vorlage und Anfrage" });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+        const result = await createEventWithDetails(
+          connection,
+          req.user,
+          {
+            kunden_id,
+            location_id,
+            datum,
+            bis_datum:
+              req.body.bis_datum ||
+              (template.dauer_tage > 0
+                ? new Date(
+                    Date.parse(`${datum}T00:00:00Z`) +
+                      template.dauer_tage * 86400000
+                  )
+                    .toISOString()
+                    .slice(0, 10)
+                : null),
+            start_time: req.body.start_time || template.start_time,
+            veranstaltungsart,
+            status,
+            event_name: req.body.event_name || template.event_name,
+            guest_groups: template.guest_groups,
+            checklist: template.checklist,
+            template_id: template.id,
+          },
+          { force }
+        );
+        if (result.error) {
+          await connection.rollback();
+          return res.status(result.error.status).json(result.error.body);
+        }
+        await connection.commit();
+
+        res.status(201).json({
+          message: "✅ Event erfolgreich erstellt",
+          eventId: result.eventId,
+          conflicts: result.conflicts,
+          offer_groups: template.offer_groups,
+        });
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+    } catch (err) {
+      console.error("❌ Fehler beim Erstellen des Events aus Vorlage:", err);
+      res.status(500).json({ message: "Fehler beim Erstellen des Events" });
+    }
+  }
+);
+
+// 🔒 API-Route: Event duplizieren (neues Datum, ggf. neuer Kunde)
+// Übernimmt Veranstaltungsart, Location, Gästegruppen und Checkliste (offen),
+// mit include_notes auch die Notizen. Angebote und E-Mails bleiben beim Original.
+app.post(
+  "/event-api/api/events/:id/duplicate",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const { datum, kunden_id, include_notes, force } = req.body;
+    if (!datum) {
+      return res.status(400).json({ message: "Datum fehlt!" });
+    }
+
+    try {
+      const [[source]] = await db.query(
+        "SELECT * FROM calentian_event_entries WHERE id = ? AND calentian_entries_id = ? AND deleted_at IS NULL",
+        [req.params.id, req.user.calentian_entries_id]
+      );
+      if (!source) {
+        return res.status(404).json({ message: "Event nicht gefunden" });
+      }
+
+      const [guestGroups] = await db.query(
+        "SELECT guest_group_template_id, guest_count FROM calentian_event_guest_count WHERE calentian_event_entries_id = ?",
+        [source.id]
+      );
+      const [checklist] = await db.query(
+        "SELECT title FROM calentian_event_checklist_items WHERE calentian_event_entries_id = ? ORDER BY sort_order, id",
+        [source.id]
+      );
+
+      // Mehrtägige Events behalten ihre Dauer
+      const dauerTage = source.bis_datum
+        ? Math.round((source.bis_datum - source.datum) / 86400000)
+        : 0;
+      const customerChanged =
+        kunden_id && Number(kunden_id) !== source.calentian_kundendaten_id;
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+        const result = await createEventWithDetails(
+          connection,
+          req.user,
+          {
+            kunden_id: kunden_id || source.calentian_kundendaten_id,
+            location_id: req.body.location_id || source.location_id,
+            datum,
+            bis_datum:
+              req.body.bis_datum !== undefined
+                ? req.body.bis_datum
+                : dauerTage > 0
+                ? new Date(
+                    Date.parse(`${datum}T00:00:00Z`) + dauerTage * 86400000
+                  )
+                    .toISOString()
+                    .slice(0, 10)
+                : null,
+            start_time: source.start_time,
+            veranstaltungsart:
+              source.calentian_event_entries_veranstaltungsart_id,
+            status: req.body.status || source.calentian_event_entries_status_id,
+            // Standardname mit neuem Kunden neu bilden
+            event_name:
+              req.body.event_name ||
+              (customerChanged ? null : source.event_name),
+            anzahl_personen_gesamt:
+              guestGroups.length > 0
+                ? undefined
+                : source.anzahl_personen_gesamt,
+            guest_groups: guestGroups,
+            checklist: checklist.map((item) => item.title),
+            template_id: source.calentian_event_templates_id,
+          },
+          { force }
+        );
+        if (result.error) {
+          await connection.rollback();
+          return res.status(result.error.status).json(result.error.body);
+        }
+
+        if (include_notes === true) {
+          await connection.query(
+            `INSERT INTO calentian_notes (note, calentian_event_entries_id, calentian_benutzer_id)
+             SELECT note, ?, calentian_benutzer_id FROM calentian_notes WHERE calentian_event_entries_id = ?`,
+            [result.eventId, source.id]
+          );
+        }
+        await connection.commit();
+
+        res.status(201).json({
+          message: "✅ Event dupliziert",
+          eventId: result.eventId,
+          conflicts: result.conflicts,
+        });
+      } catch (err) {
+        await connection.rollback();
+        throw err;
+      } finally {
+        connection.release();
+      }
+    } catch (err) {
+      console.error("❌ Fehler beim Duplizieren des Events:", err);
+      res.status(500).json({ message: "Fehler beim Duplizieren des Events" });
+    }
+  }
+);
+
+// 🔒 API-Route: Checkliste eines Events
+app.get(
+  "/event-api/api/events/:id/checklist",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      const [items] = await db.query(
+        `SELECT c.id, c.title, c.sort_order, c.done_at, c.done_by
+         FROM calentian_event_checklist_items c
+         JOIN calentian_event_entries e ON c.calentian_event_entries_id = e.id
+         WHERE e.id = ? AND e.calentian_entries_id = ? AND e.deleted_at IS NULL
+         ORDER BY c.sort_order, c.id`,
+        [req.params.id, req.user.calentian_entries_id]
+      );
+      res.json(items);
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen der Checkliste:", err);
+      res.status(500).json({ message: "Fehler beim Abrufen der Checkliste" });
+    }
+  }
+);
+
+// 🔒 API-Route: Checklisten-Punkt abhaken bzw. wieder öffnen
+app.put(
+  "/event-api/api/events/:id/checklist/:itemId",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const done = req.body.done === true;
+    try {
+      const [result] = await db.query(
+        `UPDATE calentian_event_checklist_items c
+         JOIN calentian_event_entries e ON c.calentian_event_entries_id = e.id
+         SET c.done_at = ${done ? "NOW()" : "NULL"}, c.done_by = ?
+         WHERE c.id = ? AND e.id = ? AND e.calentian_entries_id = ?`,
+        [
+          done ? req.user.calentian_benutzer_id : null,
+          req.params.itemId,
+          req.params.id,
+          req.user.calentian_entries_id,
+        ]
+      );
+      if (result.affectedRows === 0) {
+        return res
+          .status(404)
+          .json({ message: "Checklisten-Punkt nicht gefunden" });
+      }
+      res.json({ message: "✅ Checkliste aktualisiert" });
+    } catch (err) {
+      console.error("❌ Fehler beim Aktualisieren der Checkliste:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Aktualisieren der Checkliste" });
+    }
+  }
+);
+
+// ---- Termine (Besichtigungen, Verkostungen, Planungsgespräche) ----
+// Validierung und Änderungsprotokoll teilen sich REST und CalDAV (appointments.js).
+// Erinnerungs-E-Mails an den Kunden verschickt der appointment-reminder-service.
+
+// Request-Feld → Spalte in calentian_appointments
+const APPOINTMENT_FIELDS = {
+  title: "title",
+  description: "description",
+  all_day: "all_day",
+  start_at: "start_at",
+  end_at: "end_at",
+  location_id: "location_id",
+  kunden_id: "calentian_kundendaten_id",
+  event_id: "calentian_event_entries_id",
+  reminder_offsets: "reminder_offsets",
+};
+const APPOINTMENT_MAX_DURATION_MINUTES = 14 * 24 * 60;
+
+async function getAppointmentSettings(conn, entriesId) {
+  const [[settings]] = await conn.query(
+    `SELECT default_duration_minutes, reminder_offsets
+     FROM calentian_entries_appointment_settings
+     WHERE calentian_entries_id = ?`,
+    [entriesId]
+  );
+  return {
+    default_duration_minutes: settings?.default_duration_minutes ?? 60,
+    reminder_offsets: parseJson(settings?.reminder_offsets, []),
+  };
+}
+
+// Die Hilfsfunktionen erhalten die Verbindung (Pool oder Transaktionsverbindung)
+// als ersten Parameter.
+
+// Termine inkl. Kunde, Event, Location und zugeordneter Mitarbeiter
+async function loadAppointments(conn, where, params, { limit, offset } = {}) {
+  const [appointments] = await conn.query(
+    `SELECT a.*, k.vorname, k.nachname, k.firma, e.event_name, l.location_name
+     FROM calentian_appointments a
+     LEFT JOIN calentian_kundendaten k ON a.calentian_kundendaten_id = k.id
+     LEFT JOIN calentian_event_entries e ON a.calentian_event_entries_id = e.id
+     LEFT JOIN calentian_entries_location l ON a.location_id = l.id
+     WHERE ${where.join(" AND ")}
+     ORDER BY a.start_at, a.id
+     ${limit ? "LIMIT ? OFFSET ?" : ""}`,
+    limit ? [...params, limit, offset] : params
+  );
+  if (appointments.length === 0) return [];
+
+  const [staff] = await conn.query(
+    `SELECT s.calentian_appointments_id, b.id, b.benutzername, b.email
+     FROM calentian_appointment_staff s
+     JOIN calentian_benutzer b ON s.calentian_benutzer_id = b.id
+     WHERE s.calentian_appointments_id IN (?)
+     ORDER BY b.benutzername`,
+    [appointments.map((a) => a.id)]
+  );
+  return appointments.map((appointment) => ({
+    ...appointment,
+    reminder_offsets: parseJson(appointment.reminder_offsets, null),
+    duration_minutes:
+      appointment.start_at && appointment.end_at
+        ? Math.round((appointment.end_at - appointment.start_at) / 60000)
+        : null,
+    staff: staff
+      .filter((s) => s.calentian_appointments_id === appointment.id)
+      .map(({ id, benutzername, email }) => ({ id, benutzername, email })),
+  }));
+}
+
+async function loadAppointment(conn, id, entriesId) {
+  const [appointment] = await loadAppointments(
+    conn,
+    ["a.id = ?", "a.calentian_entries_id = ?"],
+    [id, entriesId]
+  );
+  return appointment;
+}
+
+// Bestehende Werte mit dem Request zusammenführen und prüfen.
+// Ende: end_at, sonst duration_minutes, sonst bisherige Dauer bzw. Vorgabe des Entries.
+// Mit event_id ohne kunden_id wird der Kunde des Events übernommen.
+async function prepareAppointment(conn, body, existing, entriesId) {
+  const data = {};
+  for (const [field, column] of Object.entries(APPOINTMENT_FIELDS)) {
+    data[column] = body[field] !== undefined ? body[field] : existing?.[column];
+  }
+  data.staff_ids = body.staff_ids;
+
+  if (body.end_at === undefined) {
+    let minutes = body.duration_minutes;
+    if (minutes === undefined) {
+      minutes = existing?.duration_minutes;
+    }
+    if (minutes === undefined || minutes === null) {
+      minutes = (await getAppointmentSettings(conn, entriesId))
+        .default_duration_minutes;
+    }
+    minutes = Number(minutes);
+    if (
+      !Number.isInteger(minutes) ||
+      minutes < 0 ||
+      minutes > APPOINTMENT_MAX_DURATION_MINUTES
+    ) {
+      return {
+        error: `duration_minutes muss zwischen 0 und ${APPOINTMENT_MAX_DURATION_MINUTES} liegen.`,
+      };
+    }
+    const start = new Date(data.start_at);
+    data.end_at = Number.isNaN(start.getTime())
+      ? null
+      : new Date(start.getTime() + minutes * 60000);
+  }
+
+  if (data.calentian_event_entries_id && !data.calentian_kundendaten_id) {
+    const [[event]] = await conn.query(
+      "SELECT calentian_kundendaten_id FROM calentian_event_entries WHERE id = ? AND calentian_entries_id = ?",
+      [data.calentian_event_entries_id, entriesId]
+    );
+    data.calentian_kundendaten_id = event?.calentian_kundendaten_id;
+  }
+
+  return validateAppointment(conn, entriesId, data);
+}
+
+async function saveAppointmentStaff(conn, appointmentId, staffIds) {
+  await conn.query(
+    "DELETE FROM calentian_appointment_staff WHERE calentian_appointments_id = ?",
+    [appointmentId]
+  );
+  if (staffIds.length > 0) {
+    await conn.query(
+      `INSERT INTO calentian_appointment_staff
+         (calentian_appointments_id, calentian_benutzer_id)
+       VALUES ?`,
+      [staffIds.map((benutzerId) => [appointmentId, benutzerId])]
+    );
+  }
+}
+
+// 🔒 API-Route: Termine des Entries (seitenweise)
+// Query: from, to (YYYY-MM-DD), location_id, kunden_id, event_id, staff_id,
+// limit (max. 200), offset
+app.get(
+  "/event-api/api/appointments",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const { from, to, location_id, kunden_id, event_id, staff_id } = req.query;
+
+    const where = ["a.calentian_entries_id = ?"];
+    const params = [req.user.calentian_entries_id];
+    if (from) {
+      where.push("COALESCE(a.end_at, a.start_at) >= ?");
+      params.push(from);
+    }
+    if (to) {
+      where.push("a.start_at < DATE_ADD(?, INTERVAL 1 DAY)");
+      params.push(to);
+    }
+    if (location_id) {
+      where.push("(a.location_id IS NULL OR a.location_id = ?)");
+      params.push(location_id);
+    }
+    if (kunden_id) {
+      where.push("a.calentian_kundendaten_id = ?");
+      params.push(kunden_id);
+    }
+    if (event_id) {
+      where.push("a.calentian_event_entries_id = ?");
+      params.push(event_id);
+    }
+    if (staff_id) {
+      where.push(
+        "EXISTS (SELECT 1 FROM calentian_appointment_staff s WHERE s.calentian_appointments_id = a.id AND s.calentian_benutzer_id = ?)"
+      );
+      params.push(staff_id);
+    }
+
+    try {
+      const [[{ total }]] = await db.query(
+        `SELECT COUNT(*) AS total FROM calentian_appointments a WHERE ${where.join(
+          " AND "
+        )}`,
+        params
+      );
+      const items = await loadAppointments(db, where, params, {
+        limit,
+        offset,
+      });
+      res.json({ total, limit, offset, items });
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen der Termine:", err);
+      res.status(500).json({ message: "Fehler beim Abrufen der Termine" });
+    }
+  }
+);
+
+// 🔒 API-Route: Einzelner Termin
+app.get(
+  "/event-api/api/appointments/:id",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      const appointment = await loadAppointment(
+        db,
+        req.params.id,
+        req.user.calentian_entries_id
+      );
+      if (!appointment) {
+        return res.status(404).json({ message: "Termin nicht gefunden" });
+      }
+      res.json(appointment);
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen des Termins:", err);
+      res.status(500).json({ message: "Fehler beim Abrufen des Termins" });
+    }
+  }
+);
+
+// 🔒 API-Route: Termin anlegen
+// Body: { title, start_at, end_at | duration_minutes, description?, all_day?,
+//         location_id?, kunden_id?, event_id?, staff_ids?, reminder_offsets? }
+// reminder_offsets: Minuten vor Beginn; ohne Angabe gilt die Vorgabe des Entries
+app.post(
+  "/event-api/api/appointments",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const entriesId = req.user.calentian_entries_id;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const validation = await prepareAppointment(
+        connection,
+        req.body,
+        null,
+        entriesId
+      );
+      if (validation.error) {
+        await connection.rollback();
+        return res.status(400).json({ message: validation.error });
+      }
+      const { staff_ids, ...values } = validation.values;
+
+      const [result] = await connection.query(
+        `INSERT INTO calentian_appointments
+           (calentian_entries_id, title, description, all_day, start_at, end_at,
+            location_id, calentian_kundendaten_id, calentian_event_entries_id,
+            reminder_offsets, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          entriesId,
+          values.title,
+          values.description,
+          values.all_day,
+          values.start_at,
+          values.end_at,
+          values.location_id,
+          values.calentian_kundendaten_id,
+          values.calentian_event_entries_id,
+          values.reminder_offsets && JSON.stringify(values.reminder_offsets),
+          req.user.calentian_benutzer_id,
+        ]
+      );
+      await saveAppointmentStaff(connection, result.insertId, staff_ids || []);
+
+      const appointment = await loadAppointment(
+        connection,
+        result.insertId,
+        entriesId
+      );
+      await recordAppointmentChange(connection, null, appointment);
+      await connection.commit();
+
+      res.status(201).json({
+        message: "✅ Termin erstellt",
+        appointmentId: result.insertId,
+        appointment,
+      });
+    } catch (err) {
+      await connection.rollback();
+      console.error("❌ Fehler beim Erstellen des Termins:", err);
+      res.status(500).json({ message: "Fehler beim Erstellen des Termins" });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+// 🔒 API-Route: Termin ändern (nur übergebene Felder)
+// Verschieben ohne end_at/duration_minutes behält die bisherige Dauer;
+// staff_ids ersetzt die Mitarbeiterzuordnung, reminder_offsets: null = Vorgabe
+app.put(
+  "/event-api/api/appointments/:id",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const entriesId = req.user.calentian_entries_id;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [[locked]] = await connection.query(
+        "SELECT id FROM calentian_appointments WHERE id = ? AND calentian_entries_id = ? FOR UPDATE",
+        [req.params.id, entriesId]
+      );
+      if (!locked) {
+        await connection.rollback();
+        return res.status(404).json({ message: "Termin nicht gefunden" });
+      }
+      const before = await loadAppointment(connection, locked.id, entriesId);
+
+      const validation = await prepareAppointment(
+        connection,
+        req.body,
+        before,
+        entriesId
+      );
+      if (validation.error) {
+        await connection.rollback();
+        return res.status(400).json({ message: validation.error });
+      }
+      const { staff_ids, ...values } = validation.values;
+
+      await connection.query(
+        `UPDATE calentian_appointments
+         SET title = ?, description = ?, all_day = ?, start_at = ?, end_at = ?,
+             location_id = ?, calentian_kundendaten_id = ?,
+             calentian_event_entries_id = ?, reminder_offsets = ?
+         WHERE id = ?`,
+        [
+          values.title,
+          values.description,
+          values.all_day,
+          values.start_at,
+          values.end_at,
+          values.location_id,
+          values.calentian_kundendaten_id,
+          values.calentian_event_entries_id,
+          values.reminder_offsets && JSON.stringify(values.reminder_offsets),
+          before.id,
+        ]
+      );
+      if (staff_ids !== undefined) {
+        await saveAppointmentStaff(connection, before.id, staff_ids);
+      }
+
+      const appointment = await loadAppointment(
+        connection,
+        before.id,
+        entriesId
+      );
+      await recordAppointmentChange(connection, before, appointment);
+      await connection.commit();
+
+      res.json({ message: "✅ Termin gespeichert", appointment });
+    } catch (err) {
+      await connection.rollback();
+      console.error("❌ Fehler beim Speichern des Termins:", err);
+      res.status(500).json({ message: "Fehler beim Speichern des Termins" });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+// 🔒 API-Route: Termin löschen (Mitarbeiter und Erinnerungen per ON DELETE CASCADE)
+app.delete(
+  "/event-api/api/appointments/:id",
+  authenticateToken,
+  requirePermission("events:write"),
+  async (req, res) => {
+    const entriesId = req.user.calentian_entries_id;
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [[before]] = await connection.query(
+        "SELECT * FROM calentian_appointments WHERE id = ? AND calentian_entries_id = ? FOR UPDATE",
+        [req.params.id, entriesId]
+      );
+      if (!before) {
+        await connection.rollback();
+        return res.status(404).json({ message: "Termin nicht gefunden" });
+      }
+
+      await connection.query(
+        "DELETE FROM calentian_appointments WHERE id = ?",
+        [before.id]
+      );
+      await recordAppointmentChange(connection, before, null);
+      await connection.commit();
+
+      res.json({ message: "✅ Termin gelöscht" });
+    } catch (err) {
+      await connection.rollback();
+      console.error("❌ Fehler beim Löschen des Termins:", err);
+      res.status(500).json({ message: "Fehler beim Löschen des Termins" });
+    } finally {
+      connection.release();
+    }
+  }
+);
+
+// 🔒 API-Route: Termin-Einstellungen des Entries abrufen
+app.get(
+  "/event-api/api/appointment-settings",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      res.json(await getAppointmentSettings(db, req.user.calentian_entries_id));
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen der Termin-Einstellungen:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Abrufen der Termin-Einstellungen" });
+    }
+  }
+);
+
+// 🔒 API-Route: Termin-Einstellungen des Entries speichern
+// Body: { default_duration_minutes, reminder_offsets } – [] = keine Erinnerungen
+app.put(
+  "/event-api/api/appointment-settings",
+  authenticateToken,
+  requirePermission("settings:write"),
+  async (req, res) => {
+    const { default_duration_minutes = 60, reminder_offsets = [] } = req.body;
+    const offsets = normalizeReminderOffsets(reminder_offsets);
+    const duration = Number(default_duration_minutes);
+    if (
+      !offsets ||
+      !Number.isInteger(duration) ||
+      duration < 1 ||
+      duration > APPOINTMENT_MAX_DURATION_MINUTES
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Ungültige Termin-Einstellungen" });
+    }
+
+    try {
+      await db.query(
+        `INSERT INTO calentian_entries_appointment_settings
+           (calentian_entries_id, default_duration_minutes, reminder_offsets)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           default_duration_minutes = VALUES(default_duration_minutes),
+           reminder_offsets = VALUES(reminder_offsets)`,
+        [req.user.calentian_entries_id, duration, JSON.stringify(offsets)]
+      );
+      res.json({ message: "✅ Termin-Einstellungen gespeichert" });
+    } catch (err) {
+      console.error("❌ Fehler beim Speichern der Termin-Einstellungen:", err);
+      res
+        .status(500)
+        .json({ message: "Fehler beim Speichern der Termin-Einstellungen" });
+    }
+  }
+);
+
+// 🔒 API-Route: Alle Status abrufen
+app.get(
+  "/event-api/api/status",
+  authenticateToken,
+  requirePermission("events:read"),
+  async (req, res) => {
+    try {
+      const connection = await db.getConnection();
+      const [results] = await connection.execute(
+        "SELECT id, label, css_class FROM calentian_event_entries_status"
+      );
+      connection.release();
+      res.json(results);
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen der Status:", err);
+      res.status(500).json({ message: "Fehler beim Abrufen der Status" });
+    }
+  }
+);
 
 // 🔒 API-Route: Alle Veranstaltungsarten abrufen
 app.get(
   "/event-api/api/veranstaltungsart",
   authenticateToken,
+  requirePermission("events:read"),
   async (req, res) => {
     try {
-      const connection = await initDB();
+      const connection = await db.getConnection();
       const [results] = await connection.execute(
         "SELECT id, name FROM calentian_event_entries_veranstaltungsart"
       );
-      await connection.end();
+      connection.release();
       res.json(results);
     } catch (err) {
       console.error("❌ Fehler beim Abrufen der Status:", err);
@@ -571,7 +2577,7 @@ app.get(
 
 async function bootstrap() {
   try {
-    // 1) Secrets von Vault laden (DB-Creds, JWT_SECRET, ggf. PORT)
+    // 1) Secrets von Vault laden (DB-Creds, ggf. PORT)
     await initVault();
 
     // 2) DB initialisieren
@@ -0,0 +1,108 @@
+// event-conflicts.js
+
+// Status, die einen Termin belegen (wie in forms-public-service)
+export const BLOCKING_STATUS_IDS = [4, 5, 6, 8];
+
+// Ermittelt Konflikte für einen neuen oder geänderten Termin:
+//  - { type: "event" }    belegender Termin in derselben Location im Zeitraum
+//                         (nur wenn der Termin selbst einen belegenden Status hat)
+//  - { type: "closure" }  Schließtag des Entries im Zeitraum
+//  - { type: "capacity" } mehr Gäste als die Location fasst
+// Liefert ein leeres Array, wenn der Termin frei ist.
+export async function findEventConflicts(
+  db,
+  {
+    entriesId,
+    locationId,
+    datum,
+    bisDatum,
+    statusId,
+    guestCount,
+    excludeEventId = null,
+  }
+) {
+  const from = datum;
+  const to = bisDatum || datum;
+  const conflicts = [];
+
+  if (BLOCKING_STATUS_IDS.includes(Number(statusId))) {
+    const [events] = await db.query(
+      `SELECT id, event_name, datum, bis_datum, calentian_event_entries_status_id
+       FROM calentian_event_entries
+       WHERE calentian_entries_id = ?
+         AND location_id = ?
+         AND calentian_event_entries_status_id IN (?)
+         AND deleted_at IS NULL
+         AND datum <= ? AND COALESCE(bis_datum, datum) >= ?
+         AND id <> ?`,
+      [
+        entriesId,
+        locationId,
+        BLOCKING_STATUS_IDS,
+        to,
+        from,
+        excludeEventId || 0,
+      ]
+    );
+    for (const ev of events) {
+      conflicts.push({
+        type: "event",
+        event_id: ev.id,
+        event_name: ev.event_name,
+        datum: ev.datum,
+        bis_datum: ev.bis_datum,
+        status_id: ev.calentian_event_entries_status_id,
+      });
+    }
+  }
+
+  const [closures] = await db.query(
+    `SELECT id, type, start_date, end_date, description
+     FROM calentian_closure_days
+     WHERE calentian_entries_id = ?
+       AND start_date <= ?
+       AND (CASE WHEN type = 'single' THEN start_date ELSE end_date END) >= ?`,
+    [entriesId, to, from]
+  );
+  for (const cl of closures) {
+    conflicts.push({
+      type: "closure",
+      closure_day_id: cl.id,
+      start_date: cl.start_date,
+      end_date: cl.type === "single" ? cl.start_date : cl.end_date,
+      description: cl.description,
+    });
+  }
+
+  if (guestCount) {
+    const [[location]] = await db.query(
+      "SELECT max_personen FROM calentian_entries_location WHERE id = ?",
+      [locationId]
+    );
+    if (location?.max_personen && guestCount > location.max_personen) {
+      conflicts.push({
+        type: "capacity",
+        location_id: Number(locationId),
+        max_personen: location.max_personen,
+        guest_count: guestCount,
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+// Bewusst übergangene Konflikte (force) festhalten
+export async function recordConflictOverride(
+  db,
+  eventId,
+  benutzerId,
+  conflicts
+) {
+  await db.query(
+    `INSERT INTO calentian_event_conflict_overrides
+       (calentian_event_entries_id, calentian_benutzer_id, conflicts)
+     VALUES (?, ?, ?)`,
+    [eventId, benutzerId || null, JSON.stringify(conflicts)]
+  );
+}
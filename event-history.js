@@ -0,0 +1,150 @@
+// event-history.js
+import crypto from "crypto";
+
+// Feldgenaue Änderungshistorie für calentian_event_entries und
+// calentian_event_guest_count. Schreibende Routen laden vor und nach der
+// Änderung einen Snapshot (loadEventSnapshot) und speichern die Differenz
+// (recordEventChanges). Snapshot null = Event existiert (noch/nicht mehr).
+
+// Technische Felder ohne fachliche Bedeutung
+const IGNORED_FIELDS = ["id", "option_reminder_sent_at"];
+
+// DATE-/DATETIME-Werte liefert mysql2 als Date in lokaler Zeit
+function formatValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+      value.getDate()
+    )}`;
+    const time = `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(
+      value.getSeconds()
+    )}`;
+    return time === "00:00:00" ? date : `${date} ${time}`;
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+export async function loadEventSnapshot(db, eventId) {
+  const [[event]] = await db.query(
+    "SELECT * FROM calentian_event_entries WHERE id = ?",
+    [eventId]
+  );
+  if (!event) return null;
+
+  const [rows] = await db.query(
+    "SELECT guest_group_template_id, guest_count FROM calentian_event_guest_count WHERE calentian_event_entries_id = ?",
+    [eventId]
+  );
+  const guestCounts = {};
+  for (const row of rows) {
+    guestCounts[row.guest_group_template_id] =
+      (guestCounts[row.guest_group_template_id] || 0) + row.guest_count;
+  }
+  return { event, guestCounts };
+}
+
+// Differenz zweier Snapshots als Liste geänderter Felder
+export function diffEventSnapshots(before, after) {
+  const changes = [];
+
+  const oldEvent = before?.event || {};
+  const newEvent = after?.event || {};
+  const fields = new Set([...Object.keys(oldEvent), ...Object.keys(newEvent)]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const oldValue = formatValue(oldEvent[field]);
+    const newValue = formatValue(newEvent[field]);
+    if (oldValue !== newValue) {
+      changes.push({
+        table_name: "calentian_event_entries",
+        field_name: field,
+        guest_group_template_id: null,
+        old_value: oldValue,
+        new_value: newValue,
+      });
+    }
+  }
+
+  const oldCounts = before?.guestCounts || {};
+  const newCounts = after?.guestCounts || {};
+  const groups = new Set([
+    ...Object.keys(oldCounts),
+    ...Object.keys(newCounts),
+  ]);
+  for (const group of groups) {
+    const oldValue = formatValue(oldCounts[group]);
+    const newValue = formatValue(newCounts[group]);
+    if (oldValue !== newValue) {
+      changes.push({
+        table_name: "calentian_event_guest_count",
+        field_name: "guest_count",
+        guest_group_template_id: Number(group),
+        old_value: oldValue,
+        new_value: newValue,
+      });
+    }
+  }
+
+  return changes;
+}
+
+// Speichert die Änderungen zwischen before und after; liefert die Anzahl der Felder
+export async function recordEventChanges(
+  db,
+  { eventId, benutzerId, source, before, after }
+) {
+  const changes = diffEventSnapshots(before, after);
+  if (changes.length === 0) return 0;
+
+  const entriesId = (after || before).event.calentian_entries_id;
+  const changeSet = crypto.randomUUID();
+  await db.query(
+    `INSERT INTO calentian_event_change_history
+       (calentian_event_entries_id, calentian_entries_id, calentian_benutzer_id, change_set,
+        source, table_name, field_name, guest_group_template_id, old_value, new_value)
+     VALUES ?`,
+    [
+      changes.map((change) => [
+        eventId,
+        entriesId,
+        benutzerId || null,
+        changeSet,
+        source,
+        change.table_name,
+        change.field_name,
+        change.guest_group_template_id,
+        change.old_value,
+        change.new_value,
+      ]),
+    ]
+  );
+  return changes.length;
+}
+
+// Führt write aus und protokolliert die Änderungen an allen übergebenen Events
+export async function trackEventChanges(
+  db,
+  eventIds,
+  { benutzerId, source },
+  write
+) {
+  const before = new Map();
+  for (const eventId of eventIds) {
+    before.set(eventId, await loadEventSnapshot(db, eventId));
+  }
+
+  const result = await write();
+
+  for (const eventId of eventIds) {
+    await recordEventChanges(db, {
+      eventId,
+      benutzerId,
+      source,
+      before: before.get(eventId),
+      after: await loadEventSnapshot(db, eventId),
+    });
+  }
+  return result;
+}
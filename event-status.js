@@ -0,0 +1,104 @@
+// event-status.js
+
+// Prüft einen Statuswechsel gegen den Workflow des Entries.
+// fromStatusId null = Anlegen eines Events. event enthält die Werte des Events
+// nach der Änderung (für required_fields).
+// Liefert { allowed: true } oder { allowed: false, reason, missing_fields? }.
+export async function checkStatusTransition(
+  db,
+  { entriesId, fromStatusId, toStatusId, event = {} }
+) {
+  if (fromStatusId && Number(fromStatusId) === Number(toStatusId)) {
+    return { allowed: true };
+  }
+
+  // Status muss für den Entry freigeschaltet sein (calentian_entries_event_status)
+  const [statusRows] = await db.query(
+    `SELECT calentian_event_entries_status_id AS id, is_active
+     FROM calentian_entries_event_status
+     WHERE calentian_entries_id = ?`,
+    [entriesId]
+  );
+  if (
+    statusRows.length > 0 &&
+    !statusRows.some((s) => s.id === Number(toStatusId) && s.is_active)
+  ) {
+    return {
+      allowed: false,
+      reason: "Status ist für diesen Entry nicht aktiv",
+    };
+  }
+
+  const [transitions] = await db.query(
+    `SELECT from_status_id, to_status_id, required_fields
+     FROM calentian_entries_status_transitions
+     WHERE calentian_entries_id = ?`,
+    [entriesId]
+  );
+  // Kein Workflow konfiguriert: alles erlaubt
+  if (transitions.length === 0) return { allowed: true };
+  // Ohne Anfangsstatus-Regeln ist beim Anlegen jeder Status erlaubt
+  if (!fromStatusId && !transitions.some((t) => t.from_status_id === null)) {
+    return { allowed: true };
+  }
+
+  const transition = transitions.find(
+    (t) =>
+      (t.from_status_id ?? null) ===
+        (fromStatusId ? Number(fromStatusId) : null) &&
+      t.to_status_id === Number(toStatusId)
+  );
+  if (!transition) {
+    return { allowed: false, reason: "Statuswechsel nicht erlaubt" };
+  }
+
+  const requiredFields =
+    typeof transition.required_fields === "string"
+      ? JSON.parse(transition.required_fields)
+      : transition.required_fields || [];
+  const missing = requiredFields.filter(
+    (field) =>
+      event[field] === undefined || event[field] === null || event[field] === ""
+  );
+  if (missing.length > 0) {
+    return {
+      allowed: false,
+      reason: "Pflichtfelder für diesen Statuswechsel fehlen",
+      missing_fields: missing,
+    };
+  }
+
+  return { allowed: true };
+}
+
+// Ziel-Status, die von einem Status aus erreichbar sind (null = alle)
+export async function getAllowedNextStatusIds(db, entriesId, fromStatusId) {
+  const [transitions] = await db.query(
+    `SELECT from_status_id, to_status_id
+     FROM calentian_entries_status_transitions
+     WHERE calentian_entries_id = ?`,
+    [entriesId]
+  );
+  if (transitions.length === 0) return null;
+  return transitions
+    .filter((t) => t.from_status_id === Number(fromStatusId))
+    .map((t) => t.to_status_id);
+}
+
+export async function recordStatusChange(
+  db,
+  { eventId, fromStatusId, toStatusId, benutzerId, comment }
+) {
+  await db.query(
+    `INSERT INTO calentian_event_status_history
+       (calentian_event_entries_id, from_status_id, to_status_id, calentian_benutzer_id, comment)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      eventId,
+      fromStatusId || null,
+      toStatusId,
+      benutzerId || null,
+      comment?.slice(0, 500) || null,
+    ]
+  );
+}
@@ -80,15 +80,21 @@ app.get("/forms-public-service/availability-batch", async (req, res) => {
     const startDate = `${year}-${month.toString().padStart(2, "0")}-01`;
     const endDate = new Date(year, month, 0).toISOString().split("T")[0];
 
-    // Event-Blöcke
+    // Event-Blöcke (inkl. Optionen, siehe calentian_entries_option_settings)
     const [eventBlocks] = await dbConnection.execute(
-      `SELECT datum, bis_datum FROM calentian_event_entries
-       WHERE calentian_entries_id = ?
-         AND calentian_event_entries_status_id IN (4,5,6,8)
+      `SELECT e.datum, e.bis_datum, e.option_until,
+              e.calentian_event_entries_status_id = os.option_status_id AS is_option
+       FROM calentian_event_entries e
+       LEFT JOIN calentian_entries_option_settings os
+         ON os.calentian_entries_id = e.calentian_entries_id
+       WHERE e.calentian_entries_id = ?
+         AND e.deleted_at IS NULL
+         AND (e.calentian_event_entries_status_id IN (4,5,6,8)
+              OR e.calentian_event_entries_status_id = os.option_status_id)
          AND (
-           (datum BETWEEN ? AND ?) OR
-           (bis_datum BETWEEN ? AND ?) OR
-           (datum <= ? AND bis_datum >= ?)
+           (e.datum BETWEEN ? AND ?) OR
+           (e.bis_datum BETWEEN ? AND ?) OR
+           (e.datum <= ? AND e.bis_datum >= ?)
          )`,
       [entryId, startDate, endDate, startDate, endDate, startDate, endDate]
     );
@@ -121,15 +127,31 @@ app.get("/forms-public-service/availability-batch", async (req, res) => {
     // Zusammenführen
     const blockedDates = new Set();
     const blockedReasons = {};
+    // Aktive Optionen: Termin vorläufig vergeben, aber noch anfragbar
+    const tentativeDates = new Set();
+    const today = new Date().toISOString().split("T")[0];
 
     for (const ev of eventBlocks) {
+      const isOption = Boolean(ev.is_option);
+      // Abgelaufene Optionen blockieren nicht mehr (Freigabe durch option-service)
+      if (
+        isOption &&
+        ev.option_until &&
+        new Date(ev.option_until).toISOString().split("T")[0] < today
+      ) {
+        continue;
+      }
       const from = new Date(ev.datum);
-      const to = new Date(ev.bis_datum);
+      const to = new Date(ev.bis_datum || ev.datum);
       for (let d = new Date(from); d <= to; d.setDate(d.getDate() + 1)) {
         const iso = d.toISOString().split("T")[0];
         if (iso >= startDate && iso <= endDate) {
-          blockedDates.add(iso);
-          blockedReasons[iso] = "event";
+          if (isOption) {
+            tentativeDates.add(iso);
+          } else {
+            blockedDates.add(iso);
+            blockedReasons[iso] = "event";
+          }
         }
       }
     }
@@ -150,6 +172,9 @@ app.get("/forms-public-service/availability-batch", async (req, res) => {
     res.json({
       blocked_dates: Array.from(blockedDates).sort(),
       blocked_reasons: blockedReasons,
+      tentative_dates: Array.from(tentativeDates)
+        .filter((iso) => !blockedDates.has(iso))
+        .sort(),
     });
   } catch (err) {
     console.error("❌ Verfügbarkeitsprüfung fehlgeschlagen:", err);
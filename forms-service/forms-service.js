@@ -13,7 +13,13 @@ import mysql from "mysql2/promise";
 import path from "path";
 import rateLimit from "express-rate-limit";
 import cookieParser from "cookie-parser";
-import jwt from "jsonwebtoken";
+import {
+  getRequestToken,
+  logImpersonatedRequest,
+  verifyAccessToken,
+} from "./token-auth.js";
+import { requirePermission } from "./permissions.js";
+import { loadEventSnapshot, recordEventChanges } from "./event-history.js";
 
 // Vault-Settings laden (VAULT_ADDR, ROLE_ID, SECRET_ID, VAULT_SECRETS)
 dotenv.config();
@@ -37,13 +43,16 @@ async function initDB() {
 
 // 2) Auth-Middleware
 function authenticateToken(req, res, next) {
-  const token = req.cookies["access_token"];
+  const token = getRequestToken(req);
   if (!token) return res.status(401).json({ message: "Nicht authentifiziert" });
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ message: "Token ungültig" });
-    req.user = user;
-    next();
-  });
+  verifyAccessToken(token, db).then(
+    (user) => {
+      req.user = user;
+      logImpersonatedRequest(req, user);
+      next();
+    },
+    () => res.status(403).json({ message: "Token ungültig" })
+  );
 }
 
 // 3) Middleware
@@ -163,6 +172,13 @@ app.post(
           `${cfg.name} von ${data.vorname}`,
         ]
       );
+      await recordEventChanges(db, {
+        eventId: evRes.insertId,
+        benutzerId: null,
+        source: "forms-service",
+        before: null,
+        after: await loadEventSnapshot(db, evRes.insertId),
+      });
       return res.status(201).json({ success: true, eventId: evRes.insertId });
     } catch (err) {
       console.error("Form-Submit-Fehler:", err);
@@ -176,6 +192,7 @@ app.post(
   "/forms-service/form-config",
   cors(corsOptions),
   authenticateToken,
+  requirePermission("forms:write"),
   async (req, res) => {
     const { calentian_entries_id, name, config, styles } = req.body;
     if (!calentian_entries_id || !name || !config || !styles)
@@ -211,6 +228,7 @@ app.put(
   "/forms-service/form-config/:formId",
   cors(corsOptions),
   authenticateToken,
+  requirePermission("forms:write"),
   async (req, res) => {
     const { formId } = req.params;
     const { name, config, styles } = req.body;
@@ -234,6 +252,7 @@ app.delete(
   "/forms-service/form-config/:formId",
   cors(corsOptions),
   authenticateToken,
+  requirePermission("forms:write"),
   async (req, res) => {
     const { formId } = req.params;
     try {
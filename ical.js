@@ -0,0 +1,327 @@
+// ical.js
+
+// Erzeugung von iCalendar-Daten (RFC 5545) für ICS-Feeds.
+// UIDs sind stabil je Datensatz, damit Kalender-Clients Änderungen
+// als Update statt als neuen Termin erkennen.
+const UID_DOMAIN = "calentian.de";
+const PRODID = "-//Calentian//Calentian Kalender//DE";
+
+export function eventUid(eventId) {
+  return `event-${eventId}@${UID_DOMAIN}`;
+}
+
+export function appointmentUid(appointmentId) {
+  return `appointment-${appointmentId}@${UID_DOMAIN}`;
+}
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Zeilen länger als 75 Oktette werden umbrochen (Folgezeile beginnt mit Leerzeichen)
+function foldLine(line) {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // Nicht mitten in einem UTF-8-Zeichen trennen
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString());
+    start = end;
+  }
+  return parts.join("\r\n ");
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// DATE-Spalten (lokale Mitternacht) → YYYYMMDD
+export function formatDate(date) {
+  const d = date instanceof Date ? date : new Date(`${date}T00:00:00`);
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+}
+
+// Zeitpunkt → YYYYMMDDTHHMMSSZ (UTC)
+export function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+}
+
+function addDays(date, days) {
+  const d =
+    date instanceof Date ? new Date(date) : new Date(`${date}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+// Ganztägiges Event über datum..bis_datum (DTEND ist exklusiv)
+export function eventToVevent(event, { dtstamp = new Date() } = {}) {
+  const customer =
+    event.firma?.trim() ||
+    [event.vorname, event.nachname].filter(Boolean).join(" ");
+  const description = [
+    event.event_status_label && `Status: ${event.event_status_label}`,
+    event.start_time && `Beginn: ${String(event.start_time).slice(0, 5)} Uhr`,
+    customer && `Kunde: ${customer}`,
+    Number(event.anzahl_personen_gesamt) > 0 &&
+      `Personen: ${event.anzahl_personen_gesamt}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${eventUid(event.id)}`,
+    `DTSTAMP:${formatDateTime(dtstamp)}`,
+    `DTSTART;VALUE=DATE:${formatDate(event.datum)}`,
+    `DTEND;VALUE=DATE:${formatDate(
+      addDays(event.bis_datum || event.datum, 1)
+    )}`,
+    `SUMMARY:${escapeText(event.event_name)}`,
+    event.location_name && `LOCATION:${escapeText(event.location_name)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    "STATUS:CONFIRMED",
+    "TRANSP:OPAQUE",
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+
+// Termine: ical_uid stammt vom CalDAV-Client, der den Termin angelegt hat.
+// Ganztägige Termine speichern end_at als (exklusive) Mitternacht des Folgetags.
+export function appointmentToVevent(
+  appointment,
+  { dtstamp = new Date() } = {}
+) {
+  const end =
+    appointment.end_at ||
+    new Date(new Date(appointment.start_at).getTime() + 60 * 60 * 1000);
+  const uid = appointment.ical_uid || appointmentUid(appointment.id);
+  return [
+    "BEGIN:VEVENT",
+    `UID:${escapeText(uid)}`,
+    `DTSTAMP:${formatDateTime(dtstamp)}`,
+    ...(appointment.all_day
+      ? [
+          `DTSTART;VALUE=DATE:${formatDate(appointment.start_at)}`,
+          `DTEND;VALUE=DATE:${formatDate(end)}`,
+        ]
+      : [
+          `DTSTART:${formatDateTime(appointment.start_at)}`,
+          `DTEND:${formatDateTime(end)}`,
+        ]),
+    `SUMMARY:${escapeText(appointment.title || "Termin")}`,
+    appointment.location_name &&
+      `LOCATION:${escapeText(appointment.location_name)}`,
+    appointment.description &&
+      `DESCRIPTION:${escapeText(appointment.description)}`,
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+
+function serialize(lines) {
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// Komplettes VCALENDAR aus fertigen VEVENT-Zeilenblöcken
+export function buildCalendar(name, vevents) {
+  return serialize([
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "X-WR-TIMEZONE:Europe/Berlin",
+    ...vevents.flat(),
+    "END:VCALENDAR",
+  ]);
+}
+
+// CalDAV-Ressource: genau ein VEVENT, ohne METHOD (RFC 4791)
+export function buildCalendarObject(vevent) {
+  return serialize([
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    ...vevent,
+    "END:VCALENDAR",
+  ]);
+}
+
+// ---- Einlesen (CalDAV PUT) ----
+// Zeiten ohne Zeitzone ("floating") und unbekannte TZIDs gelten als Europe/Berlin
+const DEFAULT_TIME_ZONE = "Europe/Berlin";
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+}
+
+// "DTSTART;TZID=Europe/Berlin:20260501T140000" → { name, params, value }
+function parseProperty(line) {
+  let inQuotes = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ":" && !inQuotes) {
+      split = i;
+      break;
+    }
+  }
+  if (split === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, split).split(";");
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...value] = param.split("=");
+    params[key.toUpperCase()] = value.join("=").replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+// Offset der Zeitzone zum Zeitpunkt t (ms) über Intl bestimmen
+function timeZoneOffset(timeZone, t) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(t))
+      .map((part) => [part.type, Number(part.value)])
+  );
+  return (
+    Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    ) - t
+  );
+}
+
+function zonedTimeToDate(fields, timeZone) {
+  const local = Date.UTC(...fields);
+  let zone = DEFAULT_TIME_ZONE;
+  try {
+    timeZoneOffset(timeZone, local);
+    zone = timeZone;
+  } catch {
+    // z. B. Windows-Zeitzonennamen aus Outlook
+  }
+  const guess = local - timeZoneOffset(zone, local);
+  return new Date(local - timeZoneOffset(zone, guess));
+}
+
+// DATE/DATE-TIME → { date, allDay }; ganztägige Werte als lokale Mitternacht
+function parseDateProperty(property) {
+  const match = property.value.match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/
+  );
+  if (!match) throw new Error(`Ungültiges Datum: ${property.value}`);
+  const [, year, month, day, hour, minute, second, utc] = match;
+
+  if (hour === undefined) {
+    return { date: new Date(year, month - 1, day), allDay: true };
+  }
+  const fields = [year, month - 1, day, hour, minute, second].map(Number);
+  if (utc) return { date: new Date(Date.UTC(...fields)), allDay: false };
+  return {
+    date: zonedTimeToDate(fields, property.params.TZID || DEFAULT_TIME_ZONE),
+    allDay: false,
+  };
+}
+
+// "PT1H30M", "P1D", "P2W" → Millisekunden
+function parseDuration(value) {
+  const match = value.match(
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/
+  );
+  if (!match) throw new Error(`Ungültige Dauer: ${value}`);
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms =
+    ((Number(weeks || 0) * 7 + Number(days || 0)) * 86400 +
+      Number(hours || 0) * 3600 +
+      Number(minutes || 0) * 60 +
+      Number(seconds || 0)) *
+    1000;
+  return sign === "-" ? -ms : ms;
+}
+
+// CalDAV-Ressource mit genau einem (nicht wiederkehrenden) VEVENT einlesen.
+// Liefert { uid, summary, description, start, end, allDay }; wirft bei
+// ungültigen oder nicht unterstützten Daten.
+export function parseCalendarObject(text) {
+  const lines = String(text)
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/);
+  const components = [];
+  const stack = [];
+  let vevent = null;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const property = parseProperty(line);
+    if (!property) continue;
+
+    if (property.name === "BEGIN") {
+      stack.push(property.value.toUpperCase());
+      if (stack.join("/") === "VCALENDAR/VEVENT") {
+        vevent = {};
+        components.push(vevent);
+      }
+    } else if (property.name === "END") {
+      stack.pop();
+    } else if (vevent && stack.join("/") === "VCALENDAR/VEVENT") {
+      // Eigenschaften aus VALARM o. Ä. (tiefere Ebenen) werden ignoriert
+      vevent[property.name] ??= property;
+    }
+  }
+
+  if (components.length !== 1) {
+    throw new Error("Die Ressource muss genau ein VEVENT enthalten.");
+  }
+  const [event] = components;
+  if (event.RRULE || event.RDATE || event["RECURRENCE-ID"]) {
+    throw new Error("Wiederkehrende Termine werden nicht unterstützt.");
+  }
+  if (!event.UID?.value) throw new Error("UID fehlt.");
+  if (!event.DTSTART) throw new Error("DTSTART fehlt.");
+
+  const start = parseDateProperty(event.DTSTART);
+  let end;
+  if (event.DTEND) {
+    end = parseDateProperty(event.DTEND).date;
+  } else if (event.DURATION) {
+    end = new Date(start.date.getTime() + parseDuration(event.DURATION.value));
+  } else if (start.allDay) {
+    end = new Date(start.date);
+    end.setDate(end.getDate() + 1);
+  } else {
+    end = start.date;
+  }
+
+  return {
+    uid: unescapeText(event.UID.value),
+    summary: event.SUMMARY ? unescapeText(event.SUMMARY.value) : "",
+    description: event.DESCRIPTION
+      ? unescapeText(event.DESCRIPTION.value)
+      : null,
+    start: start.date,
+    end,
+    allDay: start.allDay,
+  };
+}
@@ -2,13 +2,32 @@ import dotenv from "dotenv";
 dotenv.config(); // Damit VAULT_* geladen wird
 
 import initVault from "./vault-init.js";
+import {
+  API_KEY_PREFIX,
+  isSessionRevoked,
+  setVerificationKeys,
+  verifyAccessToken,
+  verifyApiKey,
+} from "./token-auth.js";
+import {
+  PERMISSIONS,
+  ROLES,
+  hasPermission,
+  requirePermission,
+} from "./permissions.js";
 import express from "express";
 import jwt from "jsonwebtoken";
 import cors from "cors";
 import cookieParser from "cookie-parser";
 import bodyParser from "body-parser";
+import rateLimit from "express-rate-limit";
 import mysql from "mysql2/promise";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
+import axios from "axios";
+import { authenticator } from "otplib";
+import QRCode from "qrcode";
+import geoip from "geoip-lite";
 
 // Hole Secrets aus Vault
 (async () => {
@@ -21,8 +40,98 @@ import bcrypt from "bcrypt";
   console.log("Starte Login-Service...");
   console.log("ENV geladen:", process.env.DB_HOST); // Optional Debug
 
+  // Nur noch für login-interne Tokens (2FA-Challenge); Access-Tokens sind RS256
   const SECRET_KEY = process.env.JWT_SECRET || "default_secret_key";
 
+  // 🔑 Signaturschlüssel für Access-Tokens (RS256) aus Vault.
+  // Rotation: neuen Schlüssel als JWT_PRIVATE_KEY/JWT_KEY_ID setzen und den
+  // bisherigen öffentlichen Schlüssel in JWT_ADDITIONAL_PUBLIC_KEYS
+  // ([{ "kid": "...", "publicKey": "-----BEGIN PUBLIC KEY-----..." }]) belassen,
+  // bis alle damit signierten Access-Tokens abgelaufen sind.
+  if (!process.env.JWT_PRIVATE_KEY || !process.env.JWT_KEY_ID) {
+    console.error("❌ JWT_PRIVATE_KEY oder JWT_KEY_ID fehlt");
+    process.exit(1);
+  }
+  const SIGNING_KEY = crypto.createPrivateKey(
+    process.env.JWT_PRIVATE_KEY.replace(/\\n/g, "\n")
+  );
+  const SIGNING_KEY_ID = process.env.JWT_KEY_ID;
+  const JWKS = {
+    keys: [
+      { kid: SIGNING_KEY_ID, key: crypto.createPublicKey(SIGNING_KEY) },
+      ...JSON.parse(process.env.JWT_ADDITIONAL_PUBLIC_KEYS || "[]").map(
+        ({ kid, publicKey }) => ({
+          kid,
+          key: crypto.createPublicKey(publicKey.replace(/\\n/g, "\n")),
+        })
+      ),
+    ].map(({ kid, key }) => ({
+      ...key.export({ format: "jwk" }),
+      kid,
+      use: "sig",
+      alg: "RS256",
+    })),
+  };
+  setVerificationKeys(JWKS);
+
+  const DASHBOARD_URL =
+    process.env.DASHBOARD_URL || "https://dashboard.calentian.de";
+  const SMTP_SERVICE_URL =
+    process.env.SMTP_SERVICE_URL || "http://smtp-service:5000";
+  const PASSWORD_RESET_TTL_MINUTES = parseInt(
+    process.env.PASSWORD_RESET_TTL_MINUTES || "60"
+  );
+  const PASSWORD_MIN_LENGTH = 8;
+  // Brute-Force-Schutz: Sperre nach LOGIN_MAX_FAILURES Fehlversuchen im Zeitfenster
+  const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || "5");
+  const LOGIN_LOCKOUT_MINUTES = parseInt(
+    process.env.LOGIN_LOCKOUT_MINUTES || "15"
+  );
+  const LOGIN_IP_MAX_FAILURES = parseInt(
+    process.env.LOGIN_IP_MAX_FAILURES || "30"
+  );
+  const UNLOCK_TOKEN_TTL_HOURS = 24;
+  const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || "7");
+  const EMAIL_VERIFICATION_TTL_HOURS = 48;
+  const API_KEY_DEFAULT_TTL_DAYS = 365;
+  const API_KEY_MAX_TTL_DAYS = 730;
+  // Geräte-Cookie zur Erkennung neuer Geräte (Browser kappen bei 400 Tagen)
+  const DEVICE_COOKIE_MAX_AGE_MS = 400 * 24 * 60 * 60 * 1000;
+  const IMPERSONATION_DEFAULT_MINUTES = 30;
+  const IMPERSONATION_MAX_MINUTES = 60;
+  // OIDC Single Sign-On, Provider aus Vault als JSON-Array, z. B.
+  // [{ "id": "microsoft", "name": "Microsoft", "issuer": "https://login.microsoftonline.com/<tenant>/v2.0",
+  //    "client_id": "...", "client_secret": "...", "trust_email": true }]
+  // trust_email: E-Mail auch ohne Claim email_verified übernehmen (Entra ID liefert ihn nicht)
+  const OIDC_PROVIDERS = JSON.parse(process.env.OIDC_PROVIDERS || "[]");
+  const OIDC_REDIRECT_BASE_URL =
+    process.env.OIDC_REDIRECT_BASE_URL || "https://api.calentian.de";
+  const OIDC_STATE_SECRET_KEY = `${SECRET_KEY}:oidc-state`;
+  const OIDC_STATE_TTL_SECONDS = 10 * 60;
+  // Vorbelegung für neu registrierte Entries
+  const DEFAULT_GUEST_GROUP_TEMPLATES = [
+    { title: "Erwachsene", min_age: 18, max_age: null },
+    { title: "Jugendliche", min_age: 12, max_age: 17 },
+    { title: "Kinder", min_age: 3, max_age: 11 },
+    { title: "Kleinkinder", min_age: 0, max_age: 2 },
+  ];
+  const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+  const REFRESH_TOKEN_TTL_DAYS = parseInt(
+    process.env.REFRESH_TOKEN_TTL_DAYS || "30"
+  );
+  // Parallele Refresh-Requests (mehrere Tabs) nicht als Token-Diebstahl werten
+  const REFRESH_REUSE_GRACE_SECONDS = 30;
+  // Eigener Schlüssel, damit Challenge-Tokens nirgends als Access-Token gelten
+  const CHALLENGE_SECRET_KEY = `${SECRET_KEY}:2fa-challenge`;
+  const TOTP_ISSUER = "Calentian";
+  const RECOVERY_CODE_COUNT = 10;
+
+  if (!process.env.TOTP_ENCRYPTION_KEY) {
+    console.warn(
+      "⚠️ TOTP_ENCRYPTION_KEY fehlt – 2FA-Einrichtung nicht möglich"
+    );
+  }
+
   const db = mysql.createPool({
     host: process.env.DB_HOST,
     port: process.env.DB_PORT,
@@ -76,69 +185,737 @@ import bcrypt from "bcrypt";
     })
   );
 
+  app.set("trust proxy", 1);
   app.use(cookieParser());
   app.use(bodyParser.json());
 
+  // 🚨 Grobes Rate Limiting pro IP für alle Login-Schritte
+  const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 50,
+    message: { error: "Zu viele Anfragen, bitte später erneut versuchen" },
+  });
+
+  // Interne Aufrufe anderer Services ohne Benutzer-Token
+  function checkInternalToken(req, res, next) {
+    const token = req.headers["x-internal-token"];
+    if (
+      !process.env.INTERNAL_API_TOKEN ||
+      token !== process.env.INTERNAL_API_TOKEN
+    ) {
+      return res.status(403).json({ error: "Zugriff verweigert" });
+    }
+    next();
+  }
+
+  // Tokens werden nur gehasht gespeichert
+  function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  // 🔐 Auth-Middleware für Konto-Einstellungen (2FA, Sessions etc.)
+  // API-Keys und Impersonation-Tokens sind hier bewusst nicht erlaubt
+  function authenticateToken(req, res, next) {
+    const token = req.cookies.access_token;
+    if (!token || token.startsWith(API_KEY_PREFIX)) {
+      return res.status(401).json({ error: "Nicht authentifiziert" });
+    }
+    verifyAccessToken(token, db).then(
+      (user) => {
+        if (user.impersonated_by) {
+          return res
+            .status(403)
+            .json({ error: "Während einer Impersonation nicht erlaubt" });
+        }
+        req.user = user;
+        next();
+      },
+      () => res.status(403).json({ error: "Token ungültig" })
+    );
+  }
+
+  function authCookieOptions(req, maxAge, path = "/") {
+    return {
+      httpOnly: true,
+      secure: req.hostname !== "localhost",
+      sameSite: req.hostname !== "localhost" ? "None" : "Lax",
+      maxAge,
+      path,
+    };
+  }
+
+  function clearAuthCookies(res) {
+    res.clearCookie("access_token", {
+      httpOnly: true,
+      secure: true,
+      sameSite: "Strict",
+      path: "/",
+    });
+    res.clearCookie("refresh_token", {
+      httpOnly: true,
+      secure: true,
+      sameSite: "Strict",
+      path: "/login-service",
+    });
+  }
+
+  function signAccessToken(
+    user,
+    sessionId,
+    extraClaims = {},
+    expiresIn = ACCESS_TOKEN_TTL_SECONDS
+  ) {
+    return jwt.sign(
+      {
+        calentian_benutzer_email: user.email,
+        calentian_entries_id: user.calentian_entries_id,
+        calentian_benutzer_id: user.id,
+        role: user.role,
+        sid: sessionId,
+        ...extraClaims,
+      },
+      SIGNING_KEY,
+      {
+        algorithm: "RS256",
+        keyid: SIGNING_KEY_ID,
+        expiresIn,
+      }
+    );
+  }
+
+  // Refresh-Token im Format "<session_id>.<secret>", gespeichert wird nur der Hash
+  function newRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(32).toString("hex");
+    return { refreshToken: `${sessionId}.${secret}`, hash: hashToken(secret) };
+  }
+
+  function setAuthCookies(req, res, accessToken, refreshToken) {
+    res.cookie(
+      "access_token",
+      accessToken,
+      authCookieOptions(req, ACCESS_TOKEN_TTL_SECONDS * 1000)
+    );
+    if (refreshToken) {
+      res.cookie(
+        "refresh_token",
+        refreshToken,
+        authCookieOptions(
+          req,
+          REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+          "/login-service"
+        )
+      );
+    }
+  }
+
+  function sessionUser(user) {
+    return {
+      calentian_benutzer_id: user.id,
+      calentian_benutzer_email: user.email,
+      calentian_entries_id: user.calentian_entries_id,
+      role: user.role,
+    };
+  }
+
+  // Neue Session (pro Gerät) anlegen und Cookies setzen
+  async function startSession(req, res, user) {
+    const sessionId = crypto.randomUUID();
+    const { refreshToken, hash } = newRefreshToken(sessionId);
+
+    await db.query(
+      `INSERT INTO calentian_benutzer_sessions
+         (id, calentian_benutzer_id, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+      [
+        sessionId,
+        user.id,
+        hash,
+        req.get("User-Agent")?.slice(0, 512) || null,
+        req.ip,
+        REFRESH_TOKEN_TTL_DAYS,
+      ]
+    );
+
+    setAuthCookies(req, res, signAccessToken(user, sessionId), refreshToken);
+  }
+
+  // Session starten und Antwort senden
+  async function issueSession(req, res, user) {
+    await startSession(req, res, user);
+    res.status(200).json({
+      message: "Login erfolgreich",
+      user: sessionUser(user),
+    });
+  }
+
+  async function revokeAllSessions(conn, benutzerId) {
+    await conn.query(
+      "UPDATE calentian_benutzer_sessions SET revoked_at = NOW() WHERE calentian_benutzer_id = ? AND revoked_at IS NULL",
+      [benutzerId]
+    );
+  }
+
+  // TOTP-Secrets verschlüsselt ablegen (AES-256-GCM)
+  function totpKey() {
+    if (!process.env.TOTP_ENCRYPTION_KEY) {
+      throw new Error("TOTP_ENCRYPTION_KEY fehlt");
+    }
+    return crypto
+      .createHash("sha256")
+      .update(process.env.TOTP_ENCRYPTION_KEY)
+      .digest();
+  }
+  function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const c = crypto.createCipheriv("aes-256-gcm", totpKey(), iv);
+    const enc = Buffer.concat([c.update(secret, "utf8"), c.final()]);
+    return Buffer.concat([iv, c.getAuthTag(), enc]).toString("base64");
+  }
+  function decryptSecret(b64) {
+    const buf = Buffer.from(b64, "base64");
+    const d = crypto.createDecipheriv(
+      "aes-256-gcm",
+      totpKey(),
+      buf.subarray(0, 12)
+    );
+    d.setAuthTag(buf.subarray(12, 28));
+    return Buffer.concat([d.update(buf.subarray(28)), d.final()]).toString(
+      "utf8"
+    );
+  }
+
+  // Neue Recovery-Codes erzeugen (alte werden ersetzt), Klartext nur einmal zurückgeben
+  async function regenerateRecoveryCodes(conn, benutzerId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString("hex");
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    await conn.query(
+      "DELETE FROM calentian_benutzer_recovery_codes WHERE calentian_benutzer_id = ?",
+      [benutzerId]
+    );
+    await conn.query(
+      "INSERT INTO calentian_benutzer_recovery_codes (calentian_benutzer_id, code_hash) VALUES ?",
+      [codes.map((code) => [benutzerId, hashToken(code)])]
+    );
+    return codes;
+  }
+
+  // TOTP-Code oder (einmalig verwendbaren) Recovery-Code prüfen
+  async function verifySecondFactor(user, code, recoveryCode) {
+    if (code && user.totp_secret_enc) {
+      return authenticator.verify({
+        token: String(code).replace(/\s/g, ""),
+        secret: decryptSecret(user.totp_secret_enc),
+      });
+    }
+    if (recoveryCode) {
+      const [result] = await db.query(
+        `UPDATE calentian_benutzer_recovery_codes SET used_at = NOW()
+         WHERE calentian_benutzer_id = ? AND code_hash = ? AND used_at IS NULL`,
+        [user.id, hashToken(String(recoveryCode).trim().toLowerCase())]
+      );
+      return result.affectedRows === 1;
+    }
+    return false;
+  }
+
+  // Prüft (mit Sperre), ob der Benutzer der letzte aktive Owner seines Entries ist
+  async function isLastOwner(conn, entryId, benutzerId) {
+    const [owners] = await conn.query(
+      "SELECT id FROM calentian_benutzer WHERE calentian_entries_id = ? AND role = 'owner' AND is_active = 1 FOR UPDATE",
+      [entryId]
+    );
+    return (
+      owners.length > 0 && owners.every((owner) => owner.id === benutzerId)
+    );
+  }
+
+  // Fehlversuche pro Konto (E-Mail) und IP auswerten.
+  // Liefert null oder { retryAfter, error, locked } für eine 429-Antwort.
+  async function checkLoginThrottle(email, ip) {
+    const [[account]] = await db.query(
+      `SELECT COUNT(*) AS failures,
+              TIMESTAMPDIFF(SECOND, MAX(a.created_at), NOW()) AS seconds_since_last,
+              TIMESTAMPDIFF(SECOND, NOW(), DATE_ADD(MIN(a.created_at), INTERVAL ? MINUTE)) AS seconds_until_expiry
+       FROM calentian_login_attempts a
+       LEFT JOIN calentian_benutzer b ON b.email = a.email
+       WHERE a.email = ? AND a.success = 0
+         AND a.created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+         AND a.created_at > COALESCE(b.login_failures_reset_at, '1970-01-01')`,
+      [LOGIN_LOCKOUT_MINUTES, email, LOGIN_LOCKOUT_MINUTES]
+    );
+
+    if (account.failures >= LOGIN_MAX_FAILURES) {
+      return {
+        retryAfter: Math.max(account.seconds_until_expiry, 1),
+        locked: true,
+        error:
+          "Konto vorübergehend gesperrt. Falls das Konto existiert, wurde eine E-Mail zum Entsperren versendet.",
+      };
+    }
+
+    // Progressive Verzögerung: 1s, 2s, 4s, ... ab dem zweiten Fehlversuch
+    if (account.failures >= 2) {
+      const delay = 2 ** (account.failures - 2);
+      if (account.seconds_since_last < delay) {
+        return {
+          retryAfter: delay - account.seconds_since_last,
+          error: "Zu viele Fehlversuche, bitte kurz warten",
+        };
+      }
+    }
+
+    const [[byIp]] = await db.query(
+      `SELECT COUNT(*) AS failures FROM calentian_login_attempts
+       WHERE ip_address = ? AND success = 0 AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)`,
+      [ip]
+    );
+    if (byIp.failures >= LOGIN_IP_MAX_FAILURES) {
+      return {
+        retryAfter: 60 * 60,
+        error: "Zu viele Fehlversuche von dieser IP-Adresse",
+      };
+    }
+
+    return null;
+  }
+
+  function sendThrottled(res, throttle) {
+    res.set("Retry-After", String(throttle.retryAfter));
+    return res.status(429).json({ error: throttle.error });
+  }
+
+  // Geräte-ID aus dem Cookie (bei Bedarf neu vergeben), gespeichert nur als Hash
+  function deviceHash(req, res) {
+    let deviceId = req.cookies.device_id;
+    if (!deviceId) {
+      deviceId = crypto.randomBytes(16).toString("hex");
+      res.cookie(
+        "device_id",
+        deviceId,
+        authCookieOptions(req, DEVICE_COOKIE_MAX_AGE_MS, "/login-service")
+      );
+    }
+    return hashToken(deviceId);
+  }
+
+  // 📜 Eintrag im Login-Audit-Log
+  async function recordAuditEvent(
+    req,
+    event,
+    { user = null, email = null, method = null, device = null } = {}
+  ) {
+    await db.query(
+      `INSERT INTO calentian_login_audit
+         (calentian_benutzer_id, calentian_entries_id, email, event, method, ip_address, user_agent, country, device_hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user?.id || null,
+        user?.calentian_entries_id || null,
+        user?.email || email,
+        event,
+        method,
+        req.ip,
+        req.get("User-Agent")?.slice(0, 512) || null,
+        geoip.lookup(req.ip)?.country || null,
+        device,
+      ]
+    );
+  }
+
+  // Hinweis-Mail bei Anmeldung von einem neuen Gerät oder aus einem neuen Land.
+  // Muss vor dem Audit-Eintrag der aktuellen Anmeldung aufgerufen werden.
+  async function checkSuspiciousLogin(req, user, device) {
+    const country = geoip.lookup(req.ip)?.country || null;
+    const [[known]] = await db.query(
+      `SELECT COUNT(*) AS total,
+              COALESCE(SUM(device_hash = ?), 0) AS sameDevice,
+              COALESCE(SUM(country = ?), 0) AS sameCountry
+       FROM calentian_login_audit
+       WHERE calentian_benutzer_id = ? AND event = 'login_success'`,
+      [device, country, user.id]
+    );
+    // Erste Anmeldung überhaupt: nichts zu vergleichen
+    if (known.total === 0) return;
+
+    const newDevice = Number(known.sameDevice) === 0;
+    const newCountry = country && Number(known.sameCountry) === 0;
+    if (!newDevice && !newCountry) return;
+
+    const details = [
+      `Zeitpunkt: ${new Date().toLocaleString("de-DE", {
+        timeZone: "Europe/Berlin",
+      })}`,
+      `IP-Adresse: ${req.ip}`,
+      `Land: ${country || "unbekannt"}`,
+      `Gerät: ${req.get("User-Agent") || "unbekannt"}`,
+    ];
+    const reason = newCountry
+      ? "aus einem neuen Land"
+      : "von einem neuen Gerät";
+    await sendSystemEmail({
+      to: user.email,
+      subject: "Calentian: Neue Anmeldung bei deinem Konto",
+      text:
+        `Hallo,\n\nbei deinem Konto gab es eine Anmeldung ${reason}:\n\n${details.join(
+          "\n"
+        )}\n\n` +
+        `Warst du das nicht, ändere bitte sofort dein Passwort und melde alle Geräte ab.`,
+      htmlBody:
+        `<p>Hallo,</p><p>bei deinem Konto gab es eine Anmeldung ${reason}:</p>` +
+        `<p>${details.join("<br>")}</p>` +
+        `<p>Warst du das nicht, ändere bitte sofort dein Passwort und melde alle Geräte ab.</p>`,
+    }).catch((err) =>
+      console.error("Fehler beim Versand der Login-Warnung:", err.message)
+    );
+  }
+
+  async function recordFailedLogin(
+    req,
+    email,
+    user,
+    { event = "login_failure", method = "password" } = {}
+  ) {
+    const ip = req.ip;
+    await db.query(
+      "INSERT INTO calentian_login_attempts (email, calentian_benutzer_id, ip_address, success) VALUES (?, ?, ?, 0)",
+      [email, user?.id || null, ip]
+    );
+    await recordAuditEvent(req, event, { user, email, method });
+    if (!user) return;
+
+    // Beim Erreichen der Sperre einmalig einen Entsperr-Link versenden
+    const throttle = await checkLoginThrottle(email, ip);
+    const [[{ openTokens }]] = await db.query(
+      `SELECT COUNT(*) AS openTokens FROM calentian_benutzer_unlock_tokens
+       WHERE calentian_benutzer_id = ? AND used_at IS NULL AND expires_at > NOW()`,
+      [user.id]
+    );
+    if (!throttle?.locked || openTokens > 0) return;
+
+    const token = crypto.randomBytes(32).toString("hex");
+    await db.query(
+      `INSERT INTO calentian_benutzer_unlock_tokens (calentian_benutzer_id, token_hash, expires_at)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+      [user.id, hashToken(token), UNLOCK_TOKEN_TTL_HOURS]
+    );
+    const unlockLink = `${DASHBOARD_URL}/konto-entsperren?token=${token}`;
+    await sendSystemEmail({
+      to: user.email,
+      subject: "Calentian: Konto vorübergehend gesperrt",
+      text:
+        `Hallo,\n\nnach mehreren fehlgeschlagenen Anmeldeversuchen wurde dein Konto für ${LOGIN_LOCKOUT_MINUTES} Minuten gesperrt.\n` +
+        `Warst du das selbst, kannst du es hier sofort entsperren:\n${unlockLink}\n\n` +
+        `Warst du es nicht, empfehlen wir, dein Passwort zurückzusetzen.`,
+      htmlBody:
+        `<p>Hallo,</p><p>nach mehreren fehlgeschlagenen Anmeldeversuchen wurde dein Konto für ${LOGIN_LOCKOUT_MINUTES} Minuten gesperrt.</p>` +
+        `<p>Warst du das selbst, kannst du es hier sofort entsperren: <a href="${unlockLink}">Konto entsperren</a></p>` +
+        `<p>Warst du es nicht, empfehlen wir, dein Passwort zurückzusetzen.</p>`,
+    }).catch((err) =>
+      console.error("Fehler beim Versand der Entsperr-Mail:", err.message)
+    );
+  }
+
+  async function recordSuccessfulLogin(req, res, user, method) {
+    await db.query(
+      "INSERT INTO calentian_login_attempts (email, calentian_benutzer_id, ip_address, success) VALUES (?, ?, ?, 1)",
+      [user.email, user.id, req.ip]
+    );
+    await db.query(
+      "UPDATE calentian_benutzer SET login_failures_reset_at = NOW() WHERE id = ?",
+      [user.id]
+    );
+
+    const device = deviceHash(req, res);
+    await checkSuspiciousLogin(req, user, device);
+    await recordAuditEvent(req, "login_success", { user, method, device });
+  }
+
+  // Absenderadresse (calentian_mail) eines neuen Entries; der smtp-service
+  // sendet von dieser Adresse, email-zuordnung ordnet Antworten darüber zu
+  function entryMailLocalPart(name, entryId) {
+    const slug = `${name}`
+      .toLowerCase()
+      .replace(/ä/g, "ae")
+      .replace(/ö/g, "oe")
+      .replace(/ü/g, "ue")
+      .replace(/ß/g, "ss")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+    return [slug, entryId].filter(Boolean).join("-");
+  }
+
+  // System-Mails laufen über den smtp-service (Brevo)
+  async function sendSystemEmail({ to, subject, text, htmlBody }) {
+    await axios.post(
+      `${SMTP_SERVICE_URL}/smtp-service/internal/send-system-email`,
+      { to, subject, text, htmlBody },
+      { headers: { "X-Internal-Token": process.env.INTERNAL_API_TOKEN } }
+    );
+  }
+
+  // Bestätigungslink für die E-Mail-Adresse eines neu registrierten Benutzers
+  async function sendVerificationEmail(conn, user, entryName) {
+    const token = crypto.randomBytes(32).toString("hex");
+    await conn.query(
+      "UPDATE calentian_email_verification_tokens SET used_at = NOW() WHERE calentian_benutzer_id = ? AND used_at IS NULL",
+      [user.id]
+    );
+    await conn.query(
+      `INSERT INTO calentian_email_verification_tokens (calentian_benutzer_id, token_hash, expires_at)
+       VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+      [user.id, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]
+    );
+    const verifyLink = `${DASHBOARD_URL}/registrierung-bestaetigen?token=${token}`;
+    await sendSystemEmail({
+      to: user.email,
+      subject: "Calentian: E-Mail-Adresse bestätigen",
+      text:
+        `Hallo,\n\nwillkommen bei Calentian! Bitte bestätige deine E-Mail-Adresse, um ${entryName} freizuschalten:\n${verifyLink}\n\n` +
+        `Der Link ist ${EMAIL_VERIFICATION_TTL_HOURS} Stunden gültig.`,
+      htmlBody:
+        `<p>Hallo,</p><p>willkommen bei Calentian! Bitte bestätige deine E-Mail-Adresse, um <strong>${entryName}</strong> freizuschalten:</p>` +
+        `<p><a href="${verifyLink}">E-Mail-Adresse bestätigen</a></p>` +
+        `<p>Der Link ist ${EMAIL_VERIFICATION_TTL_HOURS} Stunden gültig.</p>`,
+    });
+  }
+
+  // ---- OIDC ----
+  const oidcMetadataCache = new Map();
+
+  function findOidcProvider(id) {
+    return OIDC_PROVIDERS.find((p) => p.id === id);
+  }
+
+  function oidcRedirectUri(provider) {
+    return `${OIDC_REDIRECT_BASE_URL}/login-service/oidc/${provider.id}/callback`;
+  }
+
+  // Discovery-Dokument und Signaturschlüssel des Providers (10 Minuten gecacht)
+  async function getOidcMetadata(provider, forceRefresh = false) {
+    const cached = oidcMetadataCache.get(provider.id);
+    if (
+      cached &&
+      !forceRefresh &&
+      Date.now() - cached.fetchedAt < 10 * 60 * 1000
+    ) {
+      return cached;
+    }
+    const issuer = provider.issuer.replace(/\/$/, "");
+    const { data: config } = await axios.get(
+      `${issuer}/.well-known/openid-configuration`
+    );
+    const { data: jwks } = await axios.get(config.jwks_uri);
+    const keys = new Map(
+      jwks.keys
+        .filter((k) => k.kty === "RSA" && (!k.use || k.use === "sig"))
+        .map((k) => [k.kid, crypto.createPublicKey({ key: k, format: "jwk" })])
+    );
+    const metadata = { config, keys, fetchedAt: Date.now() };
+    oidcMetadataCache.set(provider.id, metadata);
+    return metadata;
+  }
+
+  // ID-Token prüfen (Signatur, Issuer, Audience, Ablauf, Nonce)
+  async function verifyIdToken(provider, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    let metadata = await getOidcMetadata(provider);
+    if (!metadata.keys.has(decoded?.header?.kid)) {
+      metadata = await getOidcMetadata(provider, true);
+    }
+    const key = metadata.keys.get(decoded?.header?.kid);
+    if (!key) throw new Error("Unbekannter Schlüssel im ID-Token");
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ["RS256"],
+      issuer: metadata.config.issuer,
+      audience: provider.client_id,
+    });
+    if (claims.nonce !== nonce) throw new Error("Nonce stimmt nicht überein");
+    return claims;
+  }
+
+  // Externe Identität einem calentian_benutzer zuordnen: zuerst über eine
+  // bestehende Verknüpfung, sonst einmalig über die (bestätigte) E-Mail.
+  // Neue Benutzer werden nicht angelegt, dafür gibt es Einladungen.
+  async function resolveOidcUser(provider, claims) {
+    const [linked] = await db.query(
+      `SELECT b.*, e.activated_at AS entry_activated_at
+       FROM calentian_benutzer_identities i
+       JOIN calentian_benutzer b ON i.calentian_benutzer_id = b.id
+       JOIN calentian_entries e ON b.calentian_entries_id = e.id
+       WHERE i.provider = ? AND i.subject = ?`,
+      [provider.id, claims.sub]
+    );
+    if (linked.length > 0) {
+      await db.query(
+        "UPDATE calentian_benutzer_identities SET last_login_at = NOW() WHERE provider = ? AND subject = ?",
+        [provider.id, claims.sub]
+      );
+      return linked[0];
+    }
+
+    const emailTrusted = claims.email_verified === true || provider.trust_email;
+    if (!claims.email || !emailTrusted) return null;
+
+    const [rows] = await db.query(
+      `SELECT b.*, e.activated_at AS entry_activated_at
+       FROM calentian_benutzer b
+       JOIN calentian_entries e ON b.calentian_entries_id = e.id
+       WHERE b.email = ?`,
+      [claims.email]
+    );
+    if (rows.length === 0) return null;
+
+    await db.query(
+      `INSERT INTO calentian_benutzer_identities
+         (calentian_benutzer_id, provider, subject, email, last_login_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [rows[0].id, provider.id, claims.sub, claims.email]
+    );
+    return rows[0];
+  }
+
+  function base64Url(buffer) {
+    return buffer
+      .toString("base64")
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  }
+
+  // 🔑 Öffentliche Schlüssel für die Token-Prüfung in allen Services
+  app.get("/login-service/.well-known/jwks.json", (req, res) => {
+    res.set("Cache-Control", "public, max-age=300");
+    res.status(200).json(JWKS);
+  });
+
   // 🔐 LOGIN
-  app.post("/login-service/login", async (req, res) => {
+  app.post("/login-service/login", loginLimiter, async (req, res) => {
     const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: "Fehlende Anmeldedaten" });
+    }
 
     try {
+      const throttle = await checkLoginThrottle(email, req.ip);
+      if (throttle) return sendThrottled(res, throttle);
+
       const [rows] = await db.query(
-        "SELECT * FROM calentian_benutzer WHERE email = ?",
+        `SELECT b.*, e.activated_at AS entry_activated_at
+         FROM calentian_benutzer b
+         JOIN calentian_entries e ON b.calentian_entries_id = e.id
+         WHERE b.email = ?`,
         [email]
       );
 
       if (rows.length === 0) {
+        await recordFailedLogin(req, email, null);
         return res.status(401).json({ error: "Ungültige Anmeldedaten" });
       }
 
       const user = rows[0];
 
-      if (!password || !user.passwort) {
+      if (!user.passwort) {
         return res.status(400).json({ error: "Fehlende Anmeldedaten" });
       }
 
       const isMatch = bcrypt.compareSync(password, user.passwort);
       if (!isMatch) {
+        await recordFailedLogin(req, email, user);
         return res.status(401).json({ error: "Ungültige Anmeldedaten" });
       }
 
-      const token = jwt.sign(
-        {
-          calentian_benutzer_email: user.email,
-          calentian_entries_id: user.calentian_entries_id,
-          calentian_benutzer_id: user.id,
-        },
-        SECRET_KEY,
-        { expiresIn: "12h" }
-      );
+      if (!user.is_active) {
+        return res.status(403).json({ error: "Konto deaktiviert" });
+      }
 
-      const isLocalhost =
-        req.hostname === "localhost" ||
-        req.headers.origin?.includes("localhost");
+      if (!user.email_verified_at || !user.entry_activated_at) {
+        return res.status(403).json({
+          error: "Bitte bestätige zuerst deine E-Mail-Adresse",
+          email_verification_required: true,
+        });
+      }
 
-      res.cookie("access_token", token, {
-        httpOnly: true,
-        secure: req.hostname !== "localhost",
-        sameSite: req.hostname !== "localhost" ? "None" : "Lax",
-        maxAge: 60 * 60 * 1000,
-      });
+      // Bei aktiver 2FA zuerst nur ein kurzlebiges Challenge-Token ausgeben
+      if (user.totp_enabled) {
+        const challengeToken = jwt.sign(
+          { calentian_benutzer_id: user.id, purpose: "2fa" },
+          CHALLENGE_SECRET_KEY,
+          { expiresIn: "5m" }
+        );
+        await recordAuditEvent(req, "2fa_challenge", {
+          user,
+          method: "password",
+        });
+        return res.status(200).json({
+          message: "Zweiter Faktor erforderlich",
+          two_factor_required: true,
+          challenge_token: challengeToken,
+        });
+      }
 
-      res.status(200).json({
-        message: "Login erfolgreich",
-        user: {
-          calentian_benutzer_id: user.id,
-          calentian_benutzer_email: user.email,
-          calentian_entries_id: user.calentian_entries_id,
-        },
-      });
+      await recordSuccessfulLogin(req, res, user, "password");
+      await issueSession(req, res, user);
     } catch (err) {
       console.error("Fehler beim Login:", err);
       res.status(500).json({ error: "Serverfehler" });
     }
   });
 
+  // 🔐 LOGIN – zweiter Schritt bei aktiver 2FA
+  app.post("/login-service/login/2fa", loginLimiter, async (req, res) => {
+    const { challenge_token, code, recovery_code } = req.body;
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({ error: "Fehlende Anmeldedaten" });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challenge_token, CHALLENGE_SECRET_KEY);
+    } catch {
+      return res.status(401).json({ error: "Anmeldung abgelaufen" });
+    }
+    if (challenge.purpose !== "2fa") {
+      return res.status(401).json({ error: "Ungültige Anmeldedaten" });
+    }
+
+    try {
+      const [rows] = await db.query(
+        "SELECT * FROM calentian_benutzer WHERE id = ?",
+        [challenge.calentian_benutzer_id]
+      );
+      if (rows.length === 0 || !rows[0].totp_enabled || !rows[0].is_active) {
+        return res.status(401).json({ error: "Ungültige Anmeldedaten" });
+      }
+
+      const user = rows[0];
+      const throttle = await checkLoginThrottle(user.email, req.ip);
+      if (throttle) return sendThrottled(res, throttle);
+
+      const isValid = await verifySecondFactor(user, code, recovery_code);
+      if (!isValid) {
+        await recordFailedLogin(req, user.email, user, {
+          event: "2fa_failure",
+          method: code ? "totp" : "recovery_code",
+        });
+        return res.status(401).json({ error: "Ungültiger Code" });
+      }
+
+      await recordSuccessfulLogin(
+        req,
+        res,
+        user,
+        code ? "totp" : "recovery_code"
+      );
+      await issueSession(req, res, user);
+    } catch (err) {
+      console.error("Fehler beim 2FA-Login:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    }
+  });
+
   // 🔐 Session prüfen anhand des HttpOnly-Cookies
   app.get("/login-service/session", async (req, res) => {
     try {
@@ -147,9 +924,9 @@ import bcrypt from "bcrypt";
         return res.status(200).json({ authenticated: false });
       }
 
-      const decoded = jwt.verify(token, SECRET_KEY);
+      const decoded = await verifyAccessToken(token, db);
       const [rows] = await db.query(
-        "SELECT id, email, calentian_entries_id FROM calentian_benutzer WHERE id = ?",
+        "SELECT id, email, calentian_entries_id, role, password_changed_at FROM calentian_benutzer WHERE id = ?",
         [decoded.calentian_benutzer_id]
       );
 
@@ -159,13 +936,18 @@ import bcrypt from "bcrypt";
 
       const user = rows[0];
 
+      // Nach einem Passwort-Reset sind ältere Tokens ungültig
+      if (
+        user.password_changed_at &&
+        decoded.iat * 1000 < new Date(user.password_changed_at).getTime()
+      ) {
+        return res.status(200).json({ authenticated: false });
+      }
+
       res.status(200).json({
         authenticated: true,
-        user: {
-          calentian_benutzer_id: user.id,
-          calentian_benutzer_email: user.email,
-          calentian_entries_id: user.calentian_entries_id,
-        },
+        user: sessionUser(user),
+        impersonated_by: decoded.impersonated_by || null,
       });
     } catch (err) {
       console.error("❌ Fehler bei Session-Prüfung:", err.message);
@@ -173,16 +955,1637 @@ import bcrypt from "bcrypt";
     }
   });
 
-  app.post("/login-service/logout", (req, res) => {
-    res.clearCookie("access_token", {
-      httpOnly: true,
-      secure: true,
-      sameSite: "Strict",
-      path: "/",
-    });
+  // 🔄 Access-Token erneuern, Refresh-Token rotieren
+  app.post("/login-service/refresh", async (req, res) => {
+    const [sessionId, secret] = (req.cookies.refresh_token || "").split(".");
+    if (!sessionId || !secret) {
+      return res.status(401).json({ error: "Nicht authentifiziert" });
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        `SELECT s.*, TIMESTAMPDIFF(SECOND, s.rotated_at, NOW()) AS seconds_since_rotation,
+                b.email, b.calentian_entries_id, b.role
+         FROM calentian_benutzer_sessions s
+         JOIN calentian_benutzer b ON s.calentian_benutzer_id = b.id
+         WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+           AND s.impersonated_by IS NULL AND b.is_active = 1
+         FOR UPDATE`,
+        [sessionId]
+      );
+      const session = rows[0];
+      const secretHash = hashToken(secret);
+      const user = session && {
+        id: session.calentian_benutzer_id,
+        email: session.email,
+        calentian_entries_id: session.calentian_entries_id,
+        role: session.role,
+      };
+
+      if (!session) {
+        await connection.rollback();
+        clearAuthCookies(res);
+        return res.status(401).json({ error: "Session abgelaufen" });
+      }
+
+      if (secretHash === session.previous_refresh_token_hash) {
+        // Kurz nach der Rotation: nur neues Access-Token, Refresh-Cookie bleibt
+        if (session.seconds_since_rotation <= REFRESH_REUSE_GRACE_SECONDS) {
+          await connection.commit();
+          setAuthCookies(req, res, signAccessToken(user, session.id));
+          return res.status(200).json({ user: sessionUser(user) });
+        }
+        // Wiederverwendung eines alten Refresh-Tokens → Session sperren
+        console.warn(
+          `⚠️ Refresh-Token-Wiederverwendung für Session ${session.id}`
+        );
+        await connection.query(
+          "UPDATE calentian_benutzer_sessions SET revoked_at = NOW() WHERE id = ?",
+          [session.id]
+        );
+        await connection.commit();
+        clearAuthCookies(res);
+        return res.status(401).json({ error: "Session widerrufen" });
+      }
+
+      if (secretHash !== session.refresh_token_hash) {
+        await connection.rollback();
+        clearAuthCookies(res);
+        return res.status(401).json({ error: "Nicht authentifiziert" });
+      }
+
+      const { refreshToken, hash } = newRefreshToken(session.id);
+      await connection.query(
+        `UPDATE calentian_benutzer_sessions
+         SET previous_refresh_token_hash = refresh_token_hash,
+             refresh_token_hash = ?,
+             rotated_at = NOW(),
+             last_used_at = NOW()
+         WHERE id = ?`,
+        [hash, session.id]
+      );
+      await connection.commit();
+
+      setAuthCookies(req, res, signAccessToken(user, session.id), refreshToken);
+      res.status(200).json({ user: sessionUser(user) });
+    } catch (err) {
+      await connection.rollback();
+      console.error("Fehler beim Token-Refresh:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    } finally {
+      connection.release();
+    }
+  });
+
+  app.post("/login-service/logout", async (req, res) => {
+    // Session aus Refresh-Cookie (Secret wird wie bei /refresh geprüft) oder
+    // aus (auch abgelaufenem) Access-Token ermitteln
+    const [refreshSessionId, secret] = (req.cookies.refresh_token || "").split(
+      "."
+    );
+
+    try {
+      let sessionId = null;
+      if (refreshSessionId && secret) {
+        const [[session]] = await db.query(
+          `SELECT refresh_token_hash, previous_refresh_token_hash
+           FROM calentian_benutzer_sessions WHERE id = ?`,
+          [refreshSessionId]
+        );
+        const secretHash = hashToken(secret);
+        if (
+          session &&
+          (secretHash === session.refresh_token_hash ||
+            secretHash === session.previous_refresh_token_hash)
+        ) {
+          sessionId = refreshSessionId;
+        }
+      }
+      if (!sessionId && req.cookies.access_token) {
+        try {
+          sessionId = (
+            await verifyAccessToken(req.cookies.access_token, null, {
+              ignoreExpiration: true,
+              checkRevocation: false,
+            })
+          ).sid;
+        } catch {
+          sessionId = null;
+        }
+      }
+
+      if (sessionId) {
+        await db.query(
+          "UPDATE calentian_benutzer_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+          [sessionId]
+        );
+        const [rows] = await db.query(
+          `SELECT b.id, b.email, b.calentian_entries_id
+           FROM calentian_benutzer_sessions s
+           JOIN calentian_benutzer b ON s.calentian_benutzer_id = b.id
+           WHERE s.id = ?`,
+          [sessionId]
+        );
+        if (rows.length > 0) {
+          await recordAuditEvent(req, "logout", { user: rows[0] });
+        }
+      }
+    } catch (err) {
+      console.error("Fehler beim Widerrufen der Session:", err.message);
+    }
+
+    clearAuthCookies(res);
     res.status(200).json({ message: "Logout erfolgreich" });
   });
 
+  // 🔒 Auf allen Geräten abmelden
+  app.post("/login-service/logout-all", authenticateToken, async (req, res) => {
+    try {
+      await revokeAllSessions(db, req.user.calentian_benutzer_id);
+      await recordAuditEvent(req, "logout_all", {
+        user: {
+          id: req.user.calentian_benutzer_id,
+          email: req.user.calentian_benutzer_email,
+          calentian_entries_id: req.user.calentian_entries_id,
+        },
+      });
+      clearAuthCookies(res);
+      res.status(200).json({ message: "Auf allen Geräten abgemeldet" });
+    } catch (err) {
+      console.error("Fehler beim Abmelden aller Sessions:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    }
+  });
+
+  // 🔒 Eigene aktive Sessions auflisten
+  app.get("/login-service/sessions", authenticateToken, async (req, res) => {
+    try {
+      const [rows] = await db.query(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM calentian_benutzer_sessions
+         WHERE calentian_benutzer_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+           AND impersonated_by IS NULL
+         ORDER BY COALESCE(last_used_at, created_at) DESC`,
+        [req.user.calentian_benutzer_id]
+      );
+      res.status(200).json(
+        rows.map((session) => ({
+          ...session,
+          current: session.id === req.user.sid,
+        }))
+      );
+    } catch (err) {
+      console.error("Fehler beim Abrufen der Sessions:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    }
+  });
+
+  // 🔒 Einzelne Session widerrufen
+  app.delete(
+    "/login-service/sessions/:id",
+    authenticateToken,
+    async (req, res) => {
+      try {
+        const [result] = await db.query(
+          `UPDATE calentian_benutzer_sessions SET revoked_at = NOW()
+           WHERE id = ? AND calentian_benutzer_id = ? AND revoked_at IS NULL`,
+          [req.params.id, req.user.calentian_benutzer_id]
+        );
+        if (result.affectedRows === 0) {
+          return res.status(404).json({ error: "Session nicht gefunden" });
+        }
+        if (req.params.id === req.user.sid) {
+          clearAuthCookies(res);
+        }
+        res.status(200).json({ message: "Session widerrufen" });
+      } catch (err) {
+        console.error("Fehler beim Widerrufen der Session:", err);
+        res.status(500).json({ error: "Serverfehler" });
+      }
+    }
+  );
+
+  // 🔐 OIDC SINGLE SIGN-ON (Authorization Code + PKCE)
+  // Konfigurierte Provider für die Login-Seite
+  app.get("/login-service/oidc/providers", (req, res) => {
+    res
+      .status(200)
+      .json(OIDC_PROVIDERS.map((p) => ({ id: p.id, name: p.name || p.id })));
+  });
+
+  // Weiterleitung zum Provider; state, nonce und code_verifier liegen
+  // signiert in einem kurzlebigen Cookie
+  app.get("/login-service/oidc/:provider/start", async (req, res) => {
+    const provider = findOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: "Unbekannter SSO-Provider" });
+    }
+
+    try {
+      const { config } = await getOidcMetadata(provider);
+      const state = base64Url(crypto.randomBytes(32));
+      const nonce = base64Url(crypto.randomBytes(32));
+      const codeVerifier = base64Url(crypto.randomBytes(32));
+      const codeChallenge = base64Url(
+        crypto.createHash("sha256").update(codeVerifier).digest()
+      );
+
+      res.cookie(
+        "oidc_state",
+        jwt.sign(
+          { provider: provider.id, state, nonce, code_verifier: codeVerifier },
+          OIDC_STATE_SECRET_KEY,
+          { expiresIn: OIDC_STATE_TTL_SECONDS }
+        ),
+        {
+          // Lax, damit das Cookie beim Rücksprung vom Provider mitgesendet wird
+          ...authCookieOptions(
+            req,
+            OIDC_STATE_TTL_SECONDS * 1000,
+            "/login-service/oidc"
+          ),
+          sameSite: "Lax",
+        }
+      );
+
+      const params = new URLSearchParams({
+        response_type: "code",
+        client_id: provider.client_id,
+        redirect_uri: oidcRedirectUri(provider),
+        scope: provider.scope || "openid email profile",
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+      });
+      res.redirect(`${config.authorization_endpoint}?${params}`);
+    } catch (err) {
+      console.error("Fehler beim Start des SSO-Logins:", err.message);
+      res.status(502).json({ error: "SSO-Provider nicht erreichbar" });
+    }
+  });
+
+  // Rücksprung vom Provider: Code tauschen, ID-Token prüfen, Session anlegen
+  app.get(
+    "/login-service/oidc/:provider/callback",
+    loginLimiter,
+    async (req, res) => {
+      const fail = (reason) => {
+        res.clearCookie("oidc_state", { path: "/login-service/oidc" });
+        res.redirect(`${DASHBOARD_URL}/login?sso_error=${reason}`);
+      };
+
+      const provider = findOidcProvider(req.params.provider);
+      if (!provider) return fail("unknown_provider");
+      if (req.query.error) return fail("provider_error");
+
+      let pending;
+      try {
+        pending = jwt.verify(req.cookies.oidc_state, OIDC_STATE_SECRET_KEY);
+      } catch {
+        return fail("invalid_state");
+      }
+      if (
+        pending.provider !== provider.id ||
+        !req.query.state ||
+        pending.state !== req.query.state ||
+        !req.query.code
+      ) {
+        return fail("invalid_state");
+      }
+
+      try {
+        const { config } = await getOidcMetadata(provider);
+        const { data: tokens } = await axios.post(
+          config.token_endpoint,
+          new URLSearchParams({
+            grant_type: "authorization_code",
+            code: req.query.code,
+            redirect_uri: oidcRedirectUri(provider),
+            client_id: provider.client_id,
+            code_verifier: pending.code_verifier,
+            ...(provider.client_secret
+              ? { client_secret: provider.client_secret }
+              : {}),
+          }).toString(),
+          { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+        );
+
+        const claims = await verifyIdToken(
+          provider,
+          tokens.id_token,
+          pending.nonce
+        );
+        const user = await resolveOidcUser(provider, claims);
+        if (!user) return fail("no_account");
+
+        // Gleiche Sperren wie beim Passwort-Login
+        const throttle = await checkLoginThrottle(user.email, req.ip);
+        if (throttle) return fail("account_locked");
+        if (!user.is_active) return fail("account_disabled");
+        if (!user.email_verified_at || !user.entry_activated_at) {
+          return fail("email_not_verified");
+        }
+
+        // Ein zweiter Faktor wird hier nicht zusätzlich verlangt,
+        // MFA liegt beim Identity-Provider
+        await recordSuccessfulLogin(req, res, user, `sso:${provider.id}`);
+        await startSession(req, res, user);
+        res.clearCookie("oidc_state", { path: "/login-service/oidc" });
+        res.redirect(DASHBOARD_URL);
+      } catch (err) {
+        console.error("Fehler beim SSO-Login:", err.response?.data || err);
+        fail("sso_failed");
+      }
+    }
+  );
+
+  // 🔑 Passwort-Reset anfordern
+  app.post("/login-service/password-reset/request", async (req, res) => {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: "E-Mail fehlt" });
+    }
+
+    // Antwort ist immer gleich, damit keine E-Mail-Adressen erraten werden können
+    const response = {
+      message:
+        "Falls ein Konto mit dieser E-Mail existiert, wurde ein Link zum Zurücksetzen versendet.",
+    };
+
+    // Token auch für unbekannte Adressen erzeugen, damit die Antwortzeit
+    // nichts über bestehende Konten verrät
+    const token = crypto.randomBytes(32).toString("hex");
+    const tokenHash = hashToken(token);
+
+    try {
+      const [rows] = await db.query(
+        "SELECT id, email FROM calentian_benutzer WHERE email = ? AND is_active = 1",
+        [email]
+      );
+      if (rows.length === 0) {
+        return res.status(200).json(response);
+      }
+
+      const user = rows[0];
+
+      // Ältere, noch offene Tokens verfallen lassen
+      await db.query(
+        "UPDATE calentian_password_reset_tokens SET used_at = NOW() WHERE calentian_benutzer_id = ? AND used_at IS NULL",
+        [user.id]
+      );
+      await db.query(
+        `INSERT INTO calentian_password_reset_tokens
+           (calentian_benutzer_id, token_hash, expires_at, requested_ip)
+         VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?)`,
+        [user.id, tokenHash, PASSWORD_RESET_TTL_MINUTES, req.ip]
+      );
+
+      // Versand nicht abwarten: Fehler werden nur protokolliert
+      const resetLink = `${DASHBOARD_URL}/passwort-zuruecksetzen?token=${token}`;
+      sendSystemEmail({
+        to: user.email,
+        subject: "Calentian: Passwort zurücksetzen",
+        text:
+          `Hallo,\n\nüber folgenden Link kannst du dein Passwort zurücksetzen:\n${resetLink}\n\n` +
+          `Der Link ist ${PASSWORD_RESET_TTL_MINUTES} Minuten gültig und kann nur einmal verwendet werden. ` +
+          `Falls du keinen Reset angefordert hast, kannst du diese E-Mail ignorieren.`,
+        htmlBody:
+          `<p>Hallo,</p><p>über folgenden Link kannst du dein Passwort zurücksetzen:</p>` +
+          `<p><a href="${resetLink}">Passwort zurücksetzen</a></p>` +
+          `<p>Der Link ist ${PASSWORD_RESET_TTL_MINUTES} Minuten gültig und kann nur einmal verwendet werden. ` +
+          `Falls du keinen Reset angefordert hast, kannst du diese E-Mail ignorieren.</p>`,
+      }).catch((err) =>
+        console.error(
+          "Fehler beim Versand der Passwort-Reset-Mail:",
+          err.message
+        )
+      );
+    } catch (err) {
+      console.error("Fehler beim Passwort-Reset-Request:", err.message);
+    }
+
+    res.status(200).json(response);
+  });
+
+  // 🔑 Passwort-Reset bestätigen
+  app.post("/login-service/password-reset/confirm", async (req, res) => {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: "Token oder Passwort fehlt" });
+    }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({
+        error: `Das Passwort muss mindestens ${PASSWORD_MIN_LENGTH} Zeichen lang sein`,
+      });
+    }
+
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        `SELECT id, calentian_benutzer_id FROM calentian_password_reset_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res.status(400).json({ error: "Link ungültig oder abgelaufen" });
+      }
+
+      const resetToken = rows[0];
+      const passwordHash = await bcrypt.hash(password, 12);
+
+      await connection.query(
+        "UPDATE calentian_password_reset_tokens SET used_at = NOW() WHERE id = ?",
+        [resetToken.id]
+      );
+      await connection.query(
+        "UPDATE calentian_benutzer SET passwort = ?, password_changed_at = NOW(), login_failures_reset_at = NOW() WHERE id = ?",
+        [passwordHash, resetToken.calentian_benutzer_id]
+      );
+      await revokeAllSessions(connection, resetToken.calentian_benutzer_id);
+
+      await connection.commit();
+
+      clearAuthCookies(res);
+      res.status(200).json({ message: "Passwort erfolgreich geändert" });
+    } catch (err) {
+      await connection.rollback();
+      console.error("Fehler beim Passwort-Reset:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    } finally {
+      connection.release();
+    }
+  });
+
+  // 🔒 2FA einrichten: neues Secret erzeugen (noch nicht aktiv)
+  app.post("/login-service/2fa/setup", authenticateToken, async (req, res) => {
+    try {
+      const [rows] = await db.query(
+        "SELECT id, email, totp_enabled FROM calentian_benutzer WHERE id = ?",
+        [req.user.calentian_benutzer_id]
+      );
+      if (rows.length === 0) {
+        return res.status(404).json({ error: "Benutzer nicht gefunden" });
+      }
+      const user = rows[0];
+      if (user.totp_enabled) {
+        return res.status(409).json({ error: "2FA ist bereits aktiviert" });
+      }
+
+      const secret = authenticator.generateSecret();
+      await db.query(
+        "UPDATE calentian_benutzer SET totp_secret_enc = ? WHERE id = ?",
+        [encryptSecret(secret), user.id]
+      );
+
+      const otpauthUrl = authenticator.keyuri(user.email, TOTP_ISSUER, secret);
+      res.status(200).json({
+        otpauth_url: otpauthUrl,
+        qr_code: await QRCode.toDataURL(otpauthUrl),
+        secret,
+      });
+    } catch (err) {
+      console.error("Fehler bei der 2FA-Einrichtung:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    }
+  });
+
+  // 🔒 2FA aktivieren: ersten Code bestätigen, Recovery-Codes ausgeben
+  app.post("/login-service/2fa/verify", authenticateToken, async (req, res) => {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ error: "Code fehlt" });
+
+    const connection = await db.getConnection();
+    try {
+      const [rows] = await connection.query(
+        "SELECT id, totp_secret_enc, totp_enabled FROM calentian_benutzer WHERE id = ?",
+        [req.user.calentian_benutzer_id]
+      );
+      const user = rows[0];
+      if (!user?.totp_secret_enc) {
+        return res.status(400).json({ error: "2FA wurde nicht eingerichtet" });
+      }
+      if (user.totp_enabled) {
+        return res.status(409).json({ error: "2FA ist bereits aktiviert" });
+      }
+      if (!(await verifySecondFactor(user, code))) {
+        return res.status(400).json({ error: "Ungültiger Code" });
+      }
+
+      await connection.beginTransaction();
+      await connection.query(
+        "UPDATE calentian_benutzer SET totp_enabled = 1, totp_enabled_at = NOW() WHERE id = ?",
+        [user.id]
+      );
+      const recoveryCodes = await regenerateRecoveryCodes(connection, user.id);
+      await connection.commit();
+
+      res.status(200).json({
+        message: "2FA aktiviert",
+        recovery_codes: recoveryCodes,
+      });
+    } catch (err) {
+      await connection.rollback();
+      console.error("Fehler bei der 2FA-Aktivierung:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    } finally {
+      connection.release();
+    }
+  });
+
+  // 🔒 Recovery-Codes neu erzeugen
+  app.post(
+    "/login-service/2fa/recovery-codes",
+    authenticateToken,
+    async (req, res) => {
+      const { code } = req.body;
+      try {
+        const [rows] = await db.query(
+          "SELECT id, totp_secret_enc, totp_enabled FROM calentian_benutzer WHERE id = ?",
+          [req.user.calentian_benutzer_id]
+        );
+        const user = rows[0];
+        if (!user?.totp_enabled) {
+          return res.status(400).json({ error: "2FA ist nicht aktiviert" });
+        }
+        if (!(await verifySecondFactor(user, code))) {
+          return res.status(400).json({ error: "Ungültiger Code" });
+        }
+
+        const recoveryCodes = await regenerateRecoveryCodes(db, user.id);
+        res.status(200).json({ recovery_codes: recoveryCodes });
+      } catch (err) {
+        console.error("Fehler beim Erzeugen der Recovery-Codes:", err);
+        res.status(500).json({ error: "Serverfehler" });
+      }
+    }
+  );
+
+  // 🔒 2FA deaktivieren (Passwort + aktueller Code erforderlich)
+  app.post(
+    "/login-service/2fa/disable",
+    authenticateToken,
+    async (req, res) => {
+      const { password, code, recovery_code } = req.body;
+      if (!password || (!code && !recovery_code)) {
+        return res
+          .status(400)
+          .json({ error: "Passwort und Code erforderlich" });
+      }
+
+      try {
+        const [rows] = await db.query(
+          "SELECT * FROM calentian_benutzer WHERE id = ?",
+          [req.user.calentian_benutzer_id]
+        );
+        const user = rows[0];
+        if (!user?.totp_enabled) {
+          return res.status(400).json({ error: "2FA ist nicht aktiviert" });
+        }
+        if (!bcrypt.compareSync(password, user.passwort)) {
+          return res.status(401).json({ error: "Ungültige Anmeldedaten" });
+        }
+        if (!(await verifySecondFactor(user, code, recovery_code))) {
+          return res.status(400).json({ error: "Ungültiger Code" });
+        }
+
+        await db.query(
+          "UPDATE calentian_benutzer SET totp_enabled = 0, totp_secret_enc = NULL, totp_enabled_at = NULL WHERE id = ?",
+          [user.id]
+        );
+        await db.query(
+          "DELETE FROM calentian_benutzer_recovery_codes WHERE calentian_benutzer_id = ?",
+          [user.id]
+        );
+
+        res.status(200).json({ message: "2FA deaktiviert" });
+      } catch (err) {
+        console.error("Fehler beim Deaktivieren der 2FA:", err);
+        res.status(500).json({ error: "Serverfehler" });
+      }
+    }
+  );
+
+  // 🔒 Rolle eines Benutzers im eigenen Entry setzen (nur Owner)
+  app.put(
+    "/login-service/users/:id/role",
+    authenticateToken,
+    requirePermission("users:manage"),
+    async (req, res) => {
+      const { role } = req.body;
+      if (!ROLES.includes(role)) {
+        return res
+          .status(400)
+          .json({ error: `Ungültige Rolle. Erlaubt: ${ROLES.join(", ")}` });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.query(
+          "SELECT id, role FROM calentian_benutzer WHERE id = ? AND calentian_entries_id = ? FOR UPDATE",
+          [req.params.id, req.user.calentian_entries_id]
+        );
+        if (rows.length === 0) {
+          await connection.rollback();
+          return res.status(404).json({ error: "Benutzer nicht gefunden" });
+        }
+
+        // Der letzte Owner eines Entries darf nicht herabgestuft werden
+        if (
+          role !== "owner" &&
+          (await isLastOwner(
+            connection,
+            req.user.calentian_entries_id,
+            rows[0].id
+          ))
+        ) {
+          await connection.rollback();
+          return res
+            .status(409)
+            .json({ error: "Der letzte Owner kann nicht herabgestuft werden" });
+        }
+
+        await connection.query(
+          "UPDATE calentian_benutzer SET role = ? WHERE id = ?",
+          [role, rows[0].id]
+        );
+        await connection.commit();
+
+        res.status(200).json({ calentian_benutzer_id: rows[0].id, role });
+      } catch (err) {
+        await connection.rollback();
+        console.error("Fehler beim Setzen der Rolle:", err);
+        res.status(500).json({ error: "Serverfehler" });
+      } finally {
+        connection.release();
+      }
+    }
+  );
+
+  // 🔒 Benutzer des eigenen Entries auflisten
+  app.get(
+    "/login-service/users",
+    authenticateToken,
+    requirePermission("users:manage"),
+    async (req, res) => {
+      try {
+        const [rows] = await db.query(
+          `SELECT id, email, benutzername, role, is_active, deactivated_at, totp_enabled
+           FROM calentian_benutzer
+           WHERE calentian_entries_id = ?
+           ORDER BY email`,
+          [req.user.calentian_entries_id]
+        );
+        res.status(200).json(rows);
+      } catch (err) {
+        console.error("Fehler beim Abrufen der Benutzer:", err);
+        res.status(500).json({ error: "Serverfehler" });
+      }
+    }
+  );
+
+  // 🔒 Benutzer aktivieren/deaktivieren
+  app.put(
+    "/login-service/users/:id/active",
+    authenticateToken,
+    requirePermission("users:manage"),
+    async (req, res) => {
+      const { is_active } = req.body;
+      if (typeof is_active !== "boolean") {
+        return res.status(400).json({ error: "is_active (boolean) fehlt" });
+      }
+
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.query(
+          "SELECT id FROM calentian_benutzer WHERE id = ? AND calentian_entries_id = ? FOR UPDATE",
+          [req.params.id, req.user.calentian_entries_id]
+        );
+        if (rows.length === 0) {
+          await connection.rollback();
+          return res.status(404).json({ error: "Benutzer nicht gefunden" });
+        }
+
+        const benutzerId = rows[0].id;
+        if (
+          !is_active &&
+          (await isLastOwner(
+            connection,
+            req.user.calentian_entries_id,
+            benutzerId
+          ))
+        ) {
+          await connection.rollback();
+          return res
+            .status(409)
+            .json({ error: "Der letzte Owner kann nicht deaktiviert werden" });
+        }
+
+        await connection.query(
+          "UPDATE calentian_benutzer SET is_active = ?, deactivated_at = ? WHERE id = ?",
+          [is_active ? 1 : 0, is_active ? null : new Date(), benutzerId]
+        );
+        if (!is_active) {
+          await revokeAllSessions(connection, benutzerId);
+        }
+        await connection.commit();
+
+        res.status(200).json({ calentian_benutzer_id: benutzerId, is_active });
+      } catch (err) {
+        await connection.rollback();
+        console.error("Fehler beim (De-)Aktivieren des Benutzers:", err);
+        res.status(500).json({ error: "Serverfehler" });
+      } finally {
+        connection.release();
+      }
+    }
+  );
+
+  // 🔒 Benutzer aus dem Entry entfernen
+  app.delete(
+    "/login-service/users/:id",
+    authenticateToken,
+    requirePermission("users:manage"),
+    async (req, res) => {
+      const connection = await db.getConnection();
+      try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.query(
+          "SELECT id FROM calentian_benutzer WHERE id = ? AND calentian_entries_id = ? FOR UPDATE",
+          [req.params.id, req.user.calentian_entries_id]
+        );
+        if (rows.length === 0) {
+          await connection.rollback();
+          return res.status(404).json({ error: "Benutzer nicht gefunden" });
+        }
+
+        const benutzerId = rows[0].id;
+        if (
+          await isLastOwner(
+            connection,
+            req.user.calentian_entries_id,
+            benutzerId
+          )
+        ) {
+          await connection.rollback();
+          return res
+            .status(409)
+            .json({ error: "Der letzte Owner kann nicht entfernt werden" });
+        }
+
+        await connection.query("DELETE FROM calentian_benutzer WHERE id = ?", [
+          benutzerId,
+        ]);
+        await connection.commit();
+
+        res.status(200).json({ message: "Benutzer entfernt" });
+      } catch (err) {
+        await connection.rollback();
+        // z.B. Notizen oder Termine verweisen noch auf den Benutzer
+        if (err.code === "ER_ROW_IS_REFERENCED_2") {
+          return res.status(409).json({
+            error:
+              "Benutzer ist noch mit Daten verknüpft und kann nur deaktiviert werden",
+          });
+        }
+        console.error("Fehler beim Entfernen des Benutzers:", err);
+        res.status(500).json({ error: "Serverfehler" });
+      } finally {
+        connection.release();
+      }
+    }
+  );
+
+  // 🔒 Kollegen per E-Mail einladen
+  app.post(
+    "/login-service/invitations",
+    authenticateToken,
+    requirePermission("users:manage"),
+    async (req, res) => {
+      const { email, role = "staff" } = req.body;
+      if (!email) {
+        return res.status(400).json({ error: "E-Mail fehlt" });
+      }
+      if (!ROLES.includes(role)) {
+        return res
+          .status(400)
+          .json({ error: `Ungültige Rolle. Erlaubt: ${ROLES.join(", ")}` });
+      }
+
+      try {
+        const [existing] = await db.query(
+          "SELECT id FROM calentian_benutzer WHERE email = ?",
+          [email]
+        );
+        if (existing.length > 0) {
+          return res
+            .status(409)
+            .json({ error: "Für diese E-Mail existiert bereits ein Konto" });
+        }
+
+        const [[entry]] = await db.query(
+          "SELECT calentian_entries_name FROM calentian_entries WHERE id = ?",
+          [req.user.calentian_entries_id]
+        );
+
+        // Offene Einladung an dieselbe Adresse ersetzen
+        await db.query(
+          `UPDATE calentian_benutzer_invitations SET revoked_at = NOW()
+           WHERE calentian_entries_id = ? AND email = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+          [req.user.calentian_entries_id, email]
+        );
+
+        const token = crypto.randomBytes(32).toString("hex");
+        const [result] = await db.query(
+          `INSERT INTO calentian_benutzer_invitations
+             (calentian_entries_id, email, role, token_hash, invited_by, expires_at)
+           VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+          [
+            req.user.calentian_entries_id,
+            email,
+            role,
+            hashToken(token),
+            req.user.calentian_benutzer_id,
+            INVITATION_TTL_DAYS,
+          ]
+        );
+
+        const entryName = entry?.calentian_entries_name || "Calentian";
+        const inviteLink = `${DASHBOARD_URL}/einladung-annehmen?token=${token}`;
+        await sendSystemEmail({
+          to: email,
+          subject: `Einladung zu ${entryName} auf Calentian`,
+          text:
+            `Hallo,\n\ndu wurdest eingeladen, im Team von ${entryName} auf Calentian mitzuarbeiten.\n` +
+            `Über folgenden Link kannst du dein Passwort festlegen und die Einladung annehmen:\n${inviteLink}\n\n` +
+            `Die Einladung ist ${INVITATION_TTL_DAYS} Tage gültig.`,
+          htmlBody:
+            `<p>Hallo,</p><p>du wurdest eingeladen, im Team von <strong>${entryName}</strong> auf Calentian mitzuarbeiten.</p>` +
+            `<p><a href="${inviteLink}">Einladung annehmen</a></p>` +
+            `<p>Die Einladung ist ${INVITATION_TTL_DAYS} Tage gültig.</p>`,
+        });
+
+        res.status(201).json({ id: result.insertId, email, role });
+      } catch (err) {
+        console.error("Fehler beim Einladen:", err.message);
+        res.status(500).json({ error: "Serverfehler" });
+      }
+    }
+  );
+
+  // 🔒 Offene Einladungen des eigenen Entries
+  app.get(
+    "/login-service/invitations",
+    authenticateToken,
+    requirePermission("users:manage"),
+    async (req, res) => {
+      try {
+        const [rows] = await db.query(
+          `SELECT id, email, role, invited_by, expires_at, created_at
+           FROM calentian_benutzer_invitations
+           WHERE calentian_entries_id = ? AND accepted_at IS NULL AND revoked_at IS NULL
+             AND expires_at > NOW()
+           ORDER BY created_at DESC`,
+          [req.user.calentian_entries_id]
+        );
+        res.status(200).json(rows);
+      } catch (err) {
+        console.error("Fehler beim Abrufen der Einladungen:", err);
+        res.status(500).json({ error: "Serverfehler" });
+      }
+    }
+  );
+
+  // 🔒 Einladung zurückziehen
+  app.delete(
+    "/login-service/invitations/:id",
+    authenticateToken,
+    requirePermission("users:manage"),
+    async (req, res) => {
+      try {
+        const [result] = await db.query(
+          `UPDATE calentian_benutzer_invitations SET revoked_at = NOW()
+           WHERE id = ? AND calentian_entries_id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+          [req.params.id, req.user.calentian_entries_id]
+        );
+        if (result.affectedRows === 0) {
+          return res.status(404).json({ error: "Einladung nicht gefunden" });
+        }
+        res.status(200).json({ message: "Einladung zurückgezogen" });
+      } catch (err) {
+        console.error("Fehler beim Zurückziehen der Einladung:", err);
+        res.status(500).json({ error: "Serverfehler" });
+      }
+    }
+  );
+
+  // Einladung vor dem Annehmen anzeigen (E-Mail, Entry)
+  app.get("/login-service/invitations/preview", async (req, res) => {
+    const { token } = req.query;
+    if (!token) return res.status(400).json({ error: "Token fehlt" });
+    try {
+      const [rows] = await db.query(
+        `SELECT i.email, i.role, e.calentian_entries_name
+         FROM calentian_benutzer_invitations i
+         JOIN calentian_entries e ON i.calentian_entries_id = e.id
+         WHERE i.token_hash = ? AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+           AND i.expires_at > NOW()`,
+        [hashToken(token)]
+      );
+      if (rows.length === 0) {
+        return res
+          .status(404)
+          .json({ error: "Einladung ungültig oder abgelaufen" });
+      }
+      res.status(200).json(rows[0]);
+    } catch (err) {
+      console.error("Fehler beim Laden der Einladung:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    }
+  });
+
+  // Einladung annehmen: Konto mit Passwort anlegen und direkt anmelden
+  app.post("/login-service/invitations/accept", async (req, res) => {
+    const { token, password, benutzername } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: "Token oder Passwort fehlt" });
+    }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({
+        error: `Das Passwort muss mindestens ${PASSWORD_MIN_LENGTH} Zeichen lang sein`,
+      });
+    }
+
+    const connection = await db.getConnection();
+    let user;
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        `SELECT * FROM calentian_benutzer_invitations
+         WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL
+           AND expires_at > NOW()
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res
+          .status(400)
+          .json({ error: "Einladung ungültig oder abgelaufen" });
+      }
+      const invitation = rows[0];
+
+      const [existing] = await connection.query(
+        "SELECT id FROM calentian_benutzer WHERE email = ?",
+        [invitation.email]
+      );
+      if (existing.length > 0) {
+        await connection.rollback();
+        return res
+          .status(409)
+          .json({ error: "Für diese E-Mail existiert bereits ein Konto" });
+      }
+
+      const passwordHash = await bcrypt.hash(password, 12);
+      const [result] = await connection.query(
+        `INSERT INTO calentian_benutzer
+           (email, passwort, benutzername, calentian_entries_id, role, email_verified_at)
+         VALUES (?, ?, ?, ?, ?, NOW())`,
+        [
+          invitation.email,
+          passwordHash,
+          benutzername?.trim() || invitation.email,
+          invitation.calentian_entries_id,
+          invitation.role,
+        ]
+      );
+      await connection.query(
+        "UPDATE calentian_benutzer_invitations SET accepted_at = NOW() WHERE id = ?",
+        [invitation.id]
+      );
+      await connection.commit();
+
+      user = {
+        id: result.insertId,
+        email: invitation.email,
+        calentian_entries_id: invitation.calentian_entries_id,
+        role: invitation.role,
+      };
+    } catch (err) {
+      await connection.rollback();
+      console.error("Fehler beim Annehmen der Einladung:", err);
+      return res.status(500).json({ error: "Serverfehler" });
+    } finally {
+      connection.release();
+    }
+
+    try {
+      await recordSuccessfulLogin(req, res, user, "invitation");
+      await issueSession(req, res, user);
+    } catch (err) {
+      console.error("Fehler beim Anmelden nach Einladung:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    }
+  });
+
+  // 🔐 SELF-SERVICE-REGISTRIERUNG
+  // Legt Entry, ersten Owner und alle Standarddaten in einer Transaktion an.
+  // Entry und Benutzer bleiben inaktiv, bis die E-Mail-Adresse bestätigt ist.
+  app.post("/login-service/signup", loginLimiter, async (req, res) => {
+    const { entry_name, email, password, benutzername } = req.body;
+    const entryName = entry_name?.trim();
+    if (!entryName || !email || !password) {
+      return res
+        .status(400)
+        .json({ error: "Name, E-Mail oder Passwort fehlt" });
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: "Ungültige E-Mail-Adresse" });
+    }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({
+        error: `Das Passwort muss mindestens ${PASSWORD_MIN_LENGTH} Zeichen lang sein`,
+      });
+    }
+
+    const connection = await db.getConnection();
+    let user;
+    try {
+      await connection.beginTransaction();
+
+      const [existing] = await connection.query(
+        "SELECT id FROM calentian_benutzer WHERE email = ?",
+        [email]
+      );
+      if (existing.length > 0) {
+        await connection.rollback();
+        return res
+          .status(409)
+          .json({ error: "Für diese E-Mail existiert bereits ein Konto" });
+      }
+
+      const [entryResult] = await connection.query(
+        "INSERT INTO calentian_entries (calentian_entries_name) VALUES (?)",
+        [entryName]
+      );
+      const entryId = entryResult.insertId;
+
+      await connection.query(
+        "UPDATE calentian_entries SET calentian_mail = ? WHERE id = ?",
+        [`${entryMailLocalPart(entryName, entryId)}@mail-calentian.de`, entryId]
+      );
+
+      const passwordHash = await bcrypt.hash(password, 12);
+      const [userResult] = await connection.query(
+        `INSERT INTO calentian_benutzer
+           (email, passwort, benutzername, calentian_entries_id, role)
+         VALUES (?, ?, ?, ?, 'owner')`,
+        [email, passwordHash, benutzername?.trim() || email, entryId]
+      );
+      user = { id: userResult.insertId, email };
+
+      // Defaults wie beim ersten Speichern in database-service /calendar-settings
+      await connection.query(
+        `INSERT INTO calentian_calendar_settings
+         (calentian_entries_id, calentian_benutzer_id, feiertage_anzeigen, laender, bundeslaender, default_view_mode, default_hidden_status_ids, opening_days)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          entryId,
+          user.id,
+          true,
+          JSON.stringify(["DE"]),
+          JSON.stringify(["BW", "BY"]),
+          2,
+          JSON.stringify([]),
+          JSON.stringify([1, 2, 3, 4, 5]),
+        ]
+      );
+
+      await connection.query(
+        "INSERT INTO calentian_entries_location (location_name, calentian_entries_id) VALUES (?, ?)",
+        [entryName, entryId]
+      );
+
+      await connection.query(
+        `INSERT INTO calentian_guest_group_template
+           (title, min_age, max_age, sort_order, calentian_entries_id)
+         VALUES ?`,
+        [
+          DEFAULT_GUEST_GROUP_TEMPLATES.map((t, i) => [
+            t.title,
+            t.min_age,
+            t.max_age,
+            i + 1,
+            entryId,
+          ]),
+        ]
+      );
+
+      await connection.query(
+        `INSERT INTO calentian_entries_event_status
+           (calentian_entries_id, calentian_event_entries_status_id, sort_order)
+         SELECT ?, id, id FROM calentian_event_entries_status`,
+        [entryId]
+      );
+
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      console.error("Fehler bei der Registrierung:", err);
+      return res.status(500).json({ error: "Serverfehler" });
+    } finally {
+      connection.release();
+    }
+
+    // Erst nach dem Commit versenden; bei Fehlern hilft /signup/resend
+    try {
+      await sendVerificationEmail(db, user, entryName);
+    } catch (err) {
+      console.error("Fehler beim Versand der Bestätigungs-Mail:", err.message);
+    }
+
+    res.status(201).json({
+      message:
+        "Registrierung erfolgreich. Bitte bestätige deine E-Mail-Adresse.",
+    });
+  });
+
+  // Bestätigungslink erneut senden
+  app.post("/login-service/signup/resend", loginLimiter, async (req, res) => {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: "E-Mail fehlt" });
+
+    const response = {
+      message:
+        "Falls eine unbestätigte Registrierung mit dieser E-Mail existiert, wurde ein neuer Link versendet.",
+    };
+
+    try {
+      const [rows] = await db.query(
+        `SELECT b.id, b.email, e.calentian_entries_name
+         FROM calentian_benutzer b
+         JOIN calentian_entries e ON b.calentian_entries_id = e.id
+         WHERE b.email = ? AND b.email_verified_at IS NULL`,
+        [email]
+      );
+      if (rows.length > 0) {
+        await sendVerificationEmail(
+          db,
+          rows[0],
+          rows[0].calentian_entries_name
+        );
+      }
+      res.status(200).json(response);
+    } catch (err) {
+      console.error("Fehler beim erneuten Versand der Bestätigung:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    }
+  });
+
+  // E-Mail bestätigen: Benutzer und Entry aktivieren und direkt anmelden
+  app.post("/login-service/signup/verify", loginLimiter, async (req, res) => {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ error: "Token fehlt" });
+
+    const connection = await db.getConnection();
+    let user;
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        `SELECT id, calentian_benutzer_id FROM calentian_email_verification_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return res.status(400).json({ error: "Link ungültig oder abgelaufen" });
+      }
+
+      await connection.query(
+        "UPDATE calentian_email_verification_tokens SET used_at = NOW() WHERE id = ?",
+        [rows[0].id]
+      );
+      await connection.query(
+        "UPDATE calentian_benutzer SET email_verified_at = NOW() WHERE id = ? AND email_verified_at IS NULL",
+        [rows[0].calentian_benutzer_id]
+      );
+      const [users] = await connection.query(
+        "SELECT * FROM calentian_benutzer WHERE id = ?",
+        [rows[0].calentian_benutzer_id]
+      );
+      user = users[0];
+      await connection.query(
+        "UPDATE calentian_entries SET activated_at = NOW() WHERE id = ? AND activated_at IS NULL",
+        [user.calentian_entries_id]
+      );
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      console.error("Fehler bei der E-Mail-Bestätigung:", err);
+      return res.status(500).json({ error: "Serverfehler" });
+    } finally {
+      connection.release();
+    }
+
+    try {
+      await recordSuccessfulLogin(req, res, user, "signup");
+      await issueSession(req, res, user);
+    } catch (err) {
+      console.error("Fehler beim Anmelden nach Bestätigung:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    }
+  });
+
+  // Gesperrtes Konto über den Link aus der E-Mail entsperren
+  app.post("/login-service/unlock", loginLimiter, async (req, res) => {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ error: "Token fehlt" });
+
+    try {
+      const [rows] = await db.query(
+        `SELECT id, calentian_benutzer_id FROM calentian_benutzer_unlock_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [hashToken(token)]
+      );
+      if (rows.length === 0) {
+        return res.status(400).json({ error: "Link ungültig oder abgelaufen" });
+      }
+
+      const [result] = await db.query(
+        "UPDATE calentian_benutzer_unlock_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+        [rows[0].id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(400).json({ error: "Link ungültig oder abgelaufen" });
+      }
+      await db.query(
+        "UPDATE calentian_benutzer SET login_failures_reset_at = NOW() WHERE id = ?",
+        [rows[0].calentian_benutzer_id]
+      );
+
+      res.status(200).json({ message: "Konto entsperrt" });
+    } catch (err) {
+      console.error("Fehler beim Entsperren:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    }
+  });
+
+  // 📜 Login-Audit-Log des eigenen Entries (nur Owner)
+  // Filter: benutzer_id, event, from, to (YYYY-MM-DD); Pagination über limit/offset
+  app.get(
+    "/login-service/audit",
+    authenticateToken,
+    requirePermission("users:manage"),
+    async (req, res) => {
+      const { benutzer_id, event, from, to } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const where = ["calentian_entries_id = ?"];
+      const params = [req.user.calentian_entries_id];
+      if (benutzer_id) {
+        where.push("calentian_benutzer_id = ?");
+        params.push(benutzer_id);
+      }
+      if (event) {
+        where.push("event = ?");
+        params.push(event);
+      }
+      if (from) {
+        where.push("created_at >= ?");
+        params.push(from);
+      }
+      if (to) {
+        where.push("created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+        params.push(to);
+      }
+
+      try {
+        const [[{ total }]] = await db.query(
+          `SELECT COUNT(*) AS total FROM calentian_login_audit WHERE ${where.join(
+            " AND "
+          )}`,
+          params
+        );
+        const [rows] = await db.query(
+          `SELECT id, calentian_benutzer_id, email, event, method, ip_address, user_agent, country, created_at
+           FROM calentian_login_audit
+           WHERE ${where.join(" AND ")}
+           ORDER BY created_at DESC, id DESC
+           LIMIT ? OFFSET ?`,
+          [...params, limit, offset]
+        );
+        res.status(200).json({ total, limit, offset, items: rows });
+      } catch (err) {
+        console.error("Fehler beim Laden des Audit-Logs:", err);
+        res.status(500).json({ error: "Serverfehler" });
+      }
+    }
+  );
+
+  // 🕵️ SUPPORT-IMPERSONATION
+  // Support-Admins übernehmen zeitlich begrenzt die Sicht eines Benutzers
+  // (Standard: erster aktiver Owner des Entries). Das Access-Token trägt den
+  // Claim impersonated_by, die eigene Session des Admins bleibt über das
+  // Refresh-Cookie erhalten und wird nach dem Ende per /refresh fortgesetzt.
+  app.post(
+    "/login-service/impersonation",
+    authenticateToken,
+    async (req, res) => {
+      const {
+        calentian_entries_id,
+        calentian_benutzer_id,
+        reason,
+        allow_writes,
+        duration_minutes,
+      } = req.body;
+      const minutes = parseInt(
+        duration_minutes ?? IMPERSONATION_DEFAULT_MINUTES
+      );
+
+      if (!calentian_entries_id || !reason?.trim()) {
+        return res
+          .status(400)
+          .json({ error: "Entry-ID oder Begründung fehlt" });
+      }
+      if (!(minutes >= 1 && minutes <= IMPERSONATION_MAX_MINUTES)) {
+        return res.status(400).json({
+          error: `Dauer muss zwischen 1 und ${IMPERSONATION_MAX_MINUTES} Minuten liegen`,
+        });
+      }
+
+      try {
+        const [admins] = await db.query(
+          "SELECT id, email FROM calentian_benutzer WHERE id = ? AND is_support_admin = 1 AND is_active = 1",
+          [req.user.calentian_benutzer_id]
+        );
+        if (admins.length === 0) {
+          return res
+            .status(403)
+            .json({ error: "Keine Berechtigung für diese Aktion" });
+        }
+        const admin = admins[0];
+
+        const [targets] = await db.query(
+          `SELECT id, email, calentian_entries_id, role
+           FROM calentian_benutzer
+           WHERE calentian_entries_id = ? AND is_active = 1
+             AND ${calentian_benutzer_id ? "id = ?" : "role = 'owner'"}
+           ORDER BY id
+           LIMIT 1`,
+          [calentian_entries_id, calentian_benutzer_id].filter(Boolean)
+        );
+        if (targets.length === 0) {
+          return res.status(404).json({ error: "Benutzer nicht gefunden" });
+        }
+        const target = targets[0];
+
+        const sessionId = crypto.randomUUID();
+        await db.query(
+          `INSERT INTO calentian_benutzer_sessions
+             (id, calentian_benutzer_id, refresh_token_hash, user_agent, ip_address, expires_at,
+              impersonated_by, impersonation_reason, impersonation_allow_writes)
+           VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?, ?, ?)`,
+          [
+            sessionId,
+            target.id,
+            // Kein Refresh-Token: Hash eines nie ausgegebenen Secrets
+            hashToken(crypto.randomBytes(32).toString("hex")),
+            req.get("User-Agent")?.slice(0, 512) || null,
+            req.ip,
+            minutes,
+            admin.id,
+            reason.trim().slice(0, 255),
+            allow_writes === true,
+          ]
+        );
+
+        const accessToken = signAccessToken(
+          target,
+          sessionId,
+          {
+            impersonated_by: {
+              calentian_benutzer_id: admin.id,
+              email: admin.email,
+            },
+            impersonation_allow_writes: allow_writes === true,
+          },
+          minutes * 60
+        );
+        res.cookie(
+          "access_token",
+          accessToken,
+          authCookieOptions(req, minutes * 60 * 1000)
+        );
+
+        // Im Audit-Log des betroffenen Entries sichtbar
+        await recordAuditEvent(req, "impersonation_start", {
+          user: { ...admin, calentian_entries_id: target.calentian_entries_id },
+          method: `benutzer:${target.id}`,
+        });
+        console.log(
+          `🕵️ Impersonation gestartet: ${admin.email} als Benutzer ${
+            target.id
+          } (Entry ${target.calentian_entries_id}), Schreibzugriff: ${
+            allow_writes === true
+          }, Grund: ${reason.trim()}`
+        );
+
+        res.status(200).json({
+          message: "Impersonation gestartet",
+          user: sessionUser(target),
+          expires_in: minutes * 60,
+          allow_writes: allow_writes === true,
+        });
+      } catch (err) {
+        console.error("Fehler beim Start der Impersonation:", err);
+        res.status(500).json({ error: "Serverfehler" });
+      }
+    }
+  );
+
+  // Impersonation beenden; danach liefert /refresh wieder das eigene Token
+  app.post("/login-service/impersonation/end", async (req, res) => {
+    try {
+      const decoded = await verifyAccessToken(req.cookies.access_token, null, {
+        ignoreExpiration: true,
+        checkRevocation: false,
+      });
+      if (!decoded.impersonated_by) {
+        return res.status(400).json({ error: "Keine aktive Impersonation" });
+      }
+
+      await db.query(
+        "UPDATE calentian_benutzer_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+        [decoded.sid]
+      );
+      await recordAuditEvent(req, "impersonation_end", {
+        user: {
+          id: decoded.impersonated_by.calentian_benutzer_id,
+          email: decoded.impersonated_by.email,
+          calentian_entries_id: decoded.calentian_entries_id,
+        },
+        method: `benutzer:${decoded.calentian_benutzer_id}`,
+      });
+
+      res.clearCookie("access_token", {
+        httpOnly: true,
+        secure: true,
+        sameSite: "Strict",
+        path: "/",
+      });
+      res.status(200).json({ message: "Impersonation beendet" });
+    } catch (err) {
+      console.error("Fehler beim Beenden der Impersonation:", err.message);
+      res.status(400).json({ error: "Keine aktive Impersonation" });
+    }
+  });
+
+  // 🔑 API-KEYS
+  // Eigene API-Keys auflisten (ohne Schlüssel)
+  app.get("/login-service/api-keys", authenticateToken, async (req, res) => {
+    try {
+      const [rows] = await db.query(
+        `SELECT id, name, key_prefix, scopes, created_at, expires_at, last_used_at, revoked_at
+         FROM calentian_benutzer_api_keys
+         WHERE calentian_benutzer_id = ?
+         ORDER BY created_at DESC`,
+        [req.user.calentian_benutzer_id]
+      );
+      res.status(200).json(rows);
+    } catch (err) {
+      console.error("Fehler beim Laden der API-Keys:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    }
+  });
+
+  // Neuen API-Key erzeugen; der Schlüssel wird nur in dieser Antwort ausgegeben.
+  // scopes: Berechtigungen aus permissions.js, höchstens die der eigenen Rolle
+  app.post("/login-service/api-keys", authenticateToken, async (req, res) => {
+    const { name, scopes, expires_in_days } = req.body;
+    const ttlDays = parseInt(expires_in_days ?? API_KEY_DEFAULT_TTL_DAYS);
+
+    if (!name?.trim()) {
+      return res.status(400).json({ error: "Name fehlt" });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "Mindestens ein Scope erforderlich" });
+    }
+    const invalid = scopes.filter(
+      (scope) => !PERMISSIONS[scope] || !hasPermission(req.user.role, scope)
+    );
+    if (invalid.length > 0) {
+      return res
+        .status(400)
+        .json({ error: `Ungültige Scopes: ${invalid.join(", ")}` });
+    }
+    if (!(ttlDays >= 1 && ttlDays <= API_KEY_MAX_TTL_DAYS)) {
+      return res.status(400).json({
+        error: `Gültigkeit muss zwischen 1 und ${API_KEY_MAX_TTL_DAYS} Tagen liegen`,
+      });
+    }
+
+    try {
+      const key = API_KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+      const [result] = await db.query(
+        `INSERT INTO calentian_benutzer_api_keys
+           (calentian_benutzer_id, calentian_entries_id, name, key_prefix, key_hash, scopes, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+        [
+          req.user.calentian_benutzer_id,
+          req.user.calentian_entries_id,
+          name.trim().slice(0, 100),
+          key.slice(0, 12),
+          hashToken(key),
+          JSON.stringify([...new Set(scopes)]),
+          ttlDays,
+        ]
+      );
+      res.status(201).json({ id: result.insertId, key });
+    } catch (err) {
+      console.error("Fehler beim Erzeugen des API-Keys:", err);
+      res.status(500).json({ error: "Serverfehler" });
+    }
+  });
+
+  // API-Key widerrufen: eigene Keys, Owner zusätzlich alle Keys des Entries
+  app.delete(
+    "/login-service/api-keys/:id",
+    authenticateToken,
+    async (req, res) => {
+      try {
+        const [result] = await db.query(
+          `UPDATE calentian_benutzer_api_keys
+           SET revoked_at = NOW()
+           WHERE id = ? AND revoked_at IS NULL
+             AND (calentian_benutzer_id = ? OR (calentian_entries_id = ? AND ?))`,
+          [
+            req.params.id,
+            req.user.calentian_benutzer_id,
+            req.user.calentian_entries_id,
+            hasPermission(req.user.role, "users:manage"),
+          ]
+        );
+        if (result.affectedRows === 0) {
+          return res.status(404).json({ error: "API-Key nicht gefunden" });
+        }
+        res.status(200).json({ message: "API-Key widerrufen" });
+      } catch (err) {
+        console.error("Fehler beim Widerrufen des API-Keys:", err);
+        res.status(500).json({ error: "Serverfehler" });
+      }
+    }
+  );
+
+  // Prüfung für Services ohne eigene DB-Verbindung (siehe token-auth.js)
+  app.post(
+    "/login-service/internal/api-keys/verify",
+    checkInternalToken,
+    async (req, res) => {
+      const { key } = req.body;
+      if (!key?.startsWith(API_KEY_PREFIX)) {
+        return res.status(400).json({ error: "Kein API-Key" });
+      }
+      try {
+        res.status(200).json(await verifyApiKey(key, db));
+      } catch {
+        res.status(403).json({ error: "API-Key ungültig" });
+      }
+    }
+  );
+
+  // Widerrufsprüfung für Services ohne eigene DB-Verbindung (siehe token-auth.js)
+  app.post(
+    "/login-service/internal/sessions/check",
+    checkInternalToken,
+    async (req, res) => {
+      try {
+        const revoked = await isSessionRevoked(db, req.body.sid);
+        res.status(200).json({ active: !revoked });
+      } catch (err) {
+        console.error("Fehler bei der Session-Prüfung:", err.message);
+        res.status(500).json({ error: "Serverfehler" });
+      }
+    }
+  );
+
   app.listen(PORT, () => {
     console.log(`🚀 Login-Service läuft auf Port ${PORT}`);
   });
@@ -12,7 +12,12 @@ import express from "express";
 import cors from "cors";
 import mysql from "mysql2/promise";
 import cookieParser from "cookie-parser";
-import jwt from "jsonwebtoken";
+import {
+  getRequestToken,
+  logImpersonatedRequest,
+  verifyAccessToken,
+} from "./token-auth.js";
+import { denyImpersonatedWrites, requirePermission } from "./permissions.js";
 
 // Vault und ENV laden
 dotenv.config();
@@ -39,13 +44,16 @@ async function initDB() {
 
 // 2) Auth-Middleware
 function authenticateToken(req, res, next) {
-  const token = req.cookies["access_token"];
+  const token = getRequestToken(req);
   if (!token) return res.status(401).json({ message: "Kein Token gefunden." });
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ message: "Ungültiger Token." });
-    req.user = user;
-    next();
-  });
+  verifyAccessToken(token, dbPool).then(
+    (user) => {
+      req.user = user;
+      logImpersonatedRequest(req, user);
+      next();
+    },
+    () => res.status(403).json({ message: "Ungültiger Token." })
+  );
 }
 
 // 3) Middleware
@@ -68,6 +76,7 @@ app.use((req, res, next) => {
 app.get(
   "/mail-service/api/emails/unread",
   authenticateToken,
+  requirePermission("mail:read"),
   async (req, res) => {
     try {
       const entryId = req.user.calentian_entries_id;
@@ -81,7 +90,8 @@ app.get(
         LEFT JOIN calentian_event_entries ev ON e.calentian_event_entries_id = ev.id
        WHERE e.message_ingoing = 1
          AND e.calentian_email_status_id = 1
-         AND e.calentian_entries_id = ?`,
+         AND e.calentian_entries_id = ?
+         AND (ev.id IS NULL OR ev.deleted_at IS NULL)`,
         [entryId]
       );
       res.json(emails || []);
@@ -96,6 +106,7 @@ app.get(
 app.get(
   "/mail-service/api/emails/to-assign",
   authenticateToken,
+  requirePermission("mail:read"),
   async (req, res) => {
     try {
       const entryId = req.user.calentian_entries_id;
@@ -108,7 +119,8 @@ app.get(
         LEFT JOIN calentian_event_entries ev ON e.calentian_event_entries_id = ev.id
        WHERE e.message_ingoing = 1
          AND e.calentian_email_status_id IN (2,3)
-         AND e.calentian_entries_id = ?`,
+         AND e.calentian_entries_id = ?
+         AND (ev.id IS NULL OR ev.deleted_at IS NULL)`,
         [entryId]
       );
       res.json(emails || []);
@@ -123,6 +135,8 @@ app.get(
 app.post(
   "/mail-service/api/emails/assign",
   authenticateToken,
+  requirePermission("mail:write"),
+  denyImpersonatedWrites,
   async (req, res) => {
     const { emailId, eventId, customerId } = req.body;
     try {
@@ -152,6 +166,8 @@ app.post(
 app.post(
   "/mail-service/api/emails/update-status",
   authenticateToken,
+  requirePermission("mail:write"),
+  denyImpersonatedWrites,
   async (req, res) => {
     const { email_id, status } = req.body;
     if (!email_id || status === undefined) {
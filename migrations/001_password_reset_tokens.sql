@@ -0,0 +1,21 @@
+-- 001: Passwort-Reset für login-service
+-- Einmal-Tokens werden nur als SHA-256-Hash gespeichert.
+
+CREATE TABLE IF NOT EXISTS calentian_password_reset_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_benutzer_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  requested_ip VARCHAR(45) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_password_reset_token_hash (token_hash),
+  KEY idx_password_reset_benutzer (calentian_benutzer_id),
+  CONSTRAINT fk_password_reset_benutzer
+    FOREIGN KEY (calentian_benutzer_id) REFERENCES calentian_benutzer (id)
+    ON DELETE CASCADE
+);
+
+-- Tokens, die vor diesem Zeitpunkt ausgestellt wurden, gelten als ungültig
+ALTER TABLE calentian_benutzer
+  ADD COLUMN password_changed_at DATETIME NULL;
@@ -0,0 +1,20 @@
+-- 002: TOTP-Zwei-Faktor-Authentifizierung (opt-in pro Benutzer)
+-- Das TOTP-Secret wird verschlüsselt (AES-256-GCM, TOTP_ENCRYPTION_KEY) gespeichert,
+-- Recovery-Codes nur als SHA-256-Hash.
+
+ALTER TABLE calentian_benutzer
+  ADD COLUMN totp_secret_enc TEXT NULL,
+  ADD COLUMN totp_enabled TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN totp_enabled_at DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS calentian_benutzer_recovery_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_benutzer_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_recovery_codes_benutzer (calentian_benutzer_id),
+  CONSTRAINT fk_recovery_codes_benutzer
+    FOREIGN KEY (calentian_benutzer_id) REFERENCES calentian_benutzer (id)
+    ON DELETE CASCADE
+);
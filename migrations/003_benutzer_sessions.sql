@@ -0,0 +1,21 @@
+-- 003: Serverseitige Sessions mit rotierenden Refresh-Tokens
+-- Eine Zeile pro Gerät/Login. Access-Tokens referenzieren die Session über den
+-- Claim "sid"; alle Services prüfen revoked_at über token-auth.js.
+
+CREATE TABLE IF NOT EXISTS calentian_benutzer_sessions (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  calentian_benutzer_id INT NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_refresh_token_hash CHAR(64) NULL,
+  rotated_at DATETIME NULL,
+  user_agent VARCHAR(512) NULL,
+  ip_address VARCHAR(45) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  KEY idx_sessions_benutzer (calentian_benutzer_id, revoked_at),
+  CONSTRAINT fk_sessions_benutzer
+    FOREIGN KEY (calentian_benutzer_id) REFERENCES calentian_benutzer (id)
+    ON DELETE CASCADE
+);
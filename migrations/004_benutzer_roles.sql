@@ -0,0 +1,7 @@
+-- 004: Rollen pro Benutzer innerhalb eines Entries
+-- Bestehende Benutzer durften bisher alles und werden daher zu Ownern.
+
+ALTER TABLE calentian_benutzer
+  ADD COLUMN role ENUM('owner', 'manager', 'staff', 'read_only') NOT NULL DEFAULT 'staff';
+
+UPDATE calentian_benutzer SET role = 'owner';
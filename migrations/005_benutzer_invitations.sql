@@ -0,0 +1,26 @@
+-- 005: Team-Einladungen und Benutzerverwaltung pro Entry
+
+CREATE TABLE IF NOT EXISTS calentian_benutzer_invitations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_entries_id INT NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  role ENUM('owner', 'manager', 'staff', 'read_only') NOT NULL DEFAULT 'staff',
+  token_hash CHAR(64) NOT NULL,
+  invited_by INT NULL,
+  expires_at DATETIME NOT NULL,
+  accepted_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_invitations_token_hash (token_hash),
+  KEY idx_invitations_entry (calentian_entries_id),
+  CONSTRAINT fk_invitations_entry
+    FOREIGN KEY (calentian_entries_id) REFERENCES calentian_entries (id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_invitations_invited_by
+    FOREIGN KEY (invited_by) REFERENCES calentian_benutzer (id)
+    ON DELETE SET NULL
+);
+
+ALTER TABLE calentian_benutzer
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1,
+  ADD COLUMN deactivated_at DATETIME NULL;
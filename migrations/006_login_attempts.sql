@@ -0,0 +1,30 @@
+-- 006: Brute-Force-Schutz für login-service
+-- Jeder Login-Versuch wird protokolliert (auch für unbekannte E-Mails),
+-- Sperren ergeben sich aus den Fehlversuchen seit login_failures_reset_at.
+
+CREATE TABLE IF NOT EXISTS calentian_login_attempts (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  calentian_benutzer_id INT NULL,
+  ip_address VARCHAR(45) NULL,
+  success TINYINT(1) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_login_attempts_email (email, success, created_at),
+  KEY idx_login_attempts_ip (ip_address, success, created_at)
+);
+
+CREATE TABLE IF NOT EXISTS calentian_benutzer_unlock_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_benutzer_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_unlock_token_hash (token_hash),
+  CONSTRAINT fk_unlock_tokens_benutzer
+    FOREIGN KEY (calentian_benutzer_id) REFERENCES calentian_benutzer (id)
+    ON DELETE CASCADE
+);
+
+ALTER TABLE calentian_benutzer
+  ADD COLUMN login_failures_reset_at DATETIME NULL;
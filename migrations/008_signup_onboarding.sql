@@ -0,0 +1,44 @@
+-- 008: Self-Service-Registrierung neuer Venues
+-- Ein Entry wird erst mit der bestätigten E-Mail-Adresse des ersten Owners aktiv.
+
+ALTER TABLE calentian_entries
+  ADD COLUMN activated_at DATETIME NULL;
+UPDATE calentian_entries SET activated_at = NOW();
+
+ALTER TABLE calentian_benutzer
+  ADD COLUMN email_verified_at DATETIME NULL;
+UPDATE calentian_benutzer SET email_verified_at = NOW();
+
+CREATE TABLE IF NOT EXISTS calentian_email_verification_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_benutzer_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_email_verification_token_hash (token_hash),
+  CONSTRAINT fk_email_verification_benutzer
+    FOREIGN KEY (calentian_benutzer_id) REFERENCES calentian_benutzer (id)
+    ON DELETE CASCADE
+);
+
+-- Welche (globalen) Event-Status ein Entry verwendet und in welcher Reihenfolge
+CREATE TABLE IF NOT EXISTS calentian_entries_event_status (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_entries_id INT NOT NULL,
+  calentian_event_entries_status_id INT NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  UNIQUE KEY uq_entries_event_status (calentian_entries_id, calentian_event_entries_status_id),
+  CONSTRAINT fk_entries_event_status_entry
+    FOREIGN KEY (calentian_entries_id) REFERENCES calentian_entries (id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_entries_event_status_status
+    FOREIGN KEY (calentian_event_entries_status_id) REFERENCES calentian_event_entries_status (id)
+);
+
+INSERT IGNORE INTO calentian_entries_event_status
+  (calentian_entries_id, calentian_event_entries_status_id, sort_order)
+SELECT e.id, s.id, s.id
+FROM calentian_entries e
+CROSS JOIN calentian_event_entries_status s;
@@ -0,0 +1,17 @@
+-- 009: Externe Identitäten (OIDC Single Sign-On)
+-- Verknüpft das "sub" eines Identity-Providers mit einem calentian_benutzer.
+
+CREATE TABLE IF NOT EXISTS calentian_benutzer_identities (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_benutzer_id INT NOT NULL,
+  provider VARCHAR(64) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_login_at DATETIME NULL,
+  UNIQUE KEY uq_benutzer_identities_subject (provider, subject),
+  KEY idx_benutzer_identities_benutzer (calentian_benutzer_id),
+  CONSTRAINT fk_benutzer_identities_benutzer
+    FOREIGN KEY (calentian_benutzer_id) REFERENCES calentian_benutzer (id)
+    ON DELETE CASCADE
+);
@@ -0,0 +1,21 @@
+-- 010: Persönliche API-Keys für Integrationen
+-- Gespeichert wird nur der SHA-256-Hash; key_prefix dient der Wiedererkennung in der Oberfläche.
+
+CREATE TABLE IF NOT EXISTS calentian_benutzer_api_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_benutzer_id INT NOT NULL,
+  calentian_entries_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  scopes JSON NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  last_used_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  UNIQUE KEY uq_benutzer_api_keys_hash (key_hash),
+  KEY idx_benutzer_api_keys_benutzer (calentian_benutzer_id),
+  CONSTRAINT fk_benutzer_api_keys_benutzer
+    FOREIGN KEY (calentian_benutzer_id) REFERENCES calentian_benutzer (id)
+    ON DELETE CASCADE
+);
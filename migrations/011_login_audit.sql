@@ -0,0 +1,19 @@
+-- 011: Audit-Log für Anmeldungen
+-- event: login_success, login_failure, 2fa_challenge, 2fa_failure, logout, logout_all
+-- method: password, totp, recovery_code, sso:<provider>, invitation, signup
+
+CREATE TABLE IF NOT EXISTS calentian_login_audit (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  calentian_benutzer_id INT NULL,
+  calentian_entries_id INT NULL,
+  email VARCHAR(255) NULL,
+  event VARCHAR(32) NOT NULL,
+  method VARCHAR(64) NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(512) NULL,
+  country CHAR(2) NULL,
+  device_hash CHAR(64) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_login_audit_entry (calentian_entries_id, created_at),
+  KEY idx_login_audit_benutzer (calentian_benutzer_id, event, created_at)
+);
@@ -0,0 +1,14 @@
+-- 012: Support-Impersonation
+-- Support-Admins können zeitlich begrenzt die Sicht eines Entries übernehmen.
+-- Die Impersonation läuft als eigene Session (ohne Refresh-Token) des betrachteten Benutzers.
+
+ALTER TABLE calentian_benutzer
+  ADD COLUMN is_support_admin TINYINT(1) NOT NULL DEFAULT 0;
+
+ALTER TABLE calentian_benutzer_sessions
+  ADD COLUMN impersonated_by INT NULL,
+  ADD COLUMN impersonation_reason VARCHAR(255) NULL,
+  ADD COLUMN impersonation_allow_writes TINYINT(1) NOT NULL DEFAULT 0,
+  ADD CONSTRAINT fk_benutzer_sessions_impersonated_by
+    FOREIGN KEY (impersonated_by) REFERENCES calentian_benutzer (id)
+    ON DELETE CASCADE;
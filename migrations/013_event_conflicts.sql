@@ -0,0 +1,21 @@
+-- 013: Konfliktprüfung bei Events
+-- Kapazität je Location (NULL = unbegrenzt) und Protokoll bewusst übergangener Konflikte.
+
+ALTER TABLE calentian_entries_location
+  ADD COLUMN max_personen INT NULL;
+
+CREATE TABLE IF NOT EXISTS calentian_event_conflict_overrides (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_event_entries_id INT NOT NULL,
+  calentian_benutzer_id INT NULL,
+  conflicts JSON NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_event_conflict_overrides_event (calentian_event_entries_id),
+  CONSTRAINT fk_event_conflict_overrides_event
+    FOREIGN KEY (calentian_event_entries_id) REFERENCES calentian_event_entries (id)
+    ON DELETE CASCADE
+);
+
+-- Überschneidungssuche je Location und Zeitraum
+CREATE INDEX idx_event_entries_location_datum
+  ON calentian_event_entries (location_id, datum, bis_datum);
@@ -0,0 +1,41 @@
+-- 014: Status-Workflow für Events
+-- Erlaubte Statuswechsel je Entry. Ohne Einträge für einen Entry sind alle Wechsel erlaubt.
+-- from_status_id NULL: erlaubter Anfangsstatus beim Anlegen eines Events.
+-- required_fields: Felder von calentian_event_entries, die für den Wechsel gesetzt sein müssen.
+
+CREATE TABLE IF NOT EXISTS calentian_entries_status_transitions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_entries_id INT NOT NULL,
+  from_status_id INT NULL,
+  to_status_id INT NOT NULL,
+  required_fields JSON NULL,
+  KEY idx_status_transitions_entry (calentian_entries_id, from_status_id),
+  CONSTRAINT fk_status_transitions_entry
+    FOREIGN KEY (calentian_entries_id) REFERENCES calentian_entries (id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_status_transitions_from
+    FOREIGN KEY (from_status_id) REFERENCES calentian_event_entries_status (id),
+  CONSTRAINT fk_status_transitions_to
+    FOREIGN KEY (to_status_id) REFERENCES calentian_event_entries_status (id)
+);
+
+CREATE TABLE IF NOT EXISTS calentian_event_status_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_event_entries_id INT NOT NULL,
+  from_status_id INT NULL,
+  to_status_id INT NOT NULL,
+  calentian_benutzer_id INT NULL,
+  comment VARCHAR(500) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_event_status_history_event (calentian_event_entries_id, created_at),
+  CONSTRAINT fk_event_status_history_event
+    FOREIGN KEY (calentian_event_entries_id) REFERENCES calentian_event_entries (id)
+    ON DELETE CASCADE
+);
+
+-- Bestehende Events starten mit ihrem aktuellen Status
+INSERT INTO calentian_event_status_history
+  (calentian_event_entries_id, from_status_id, to_status_id)
+SELECT id, NULL, calentian_event_entries_status_id
+FROM calentian_event_entries
+WHERE calentian_event_entries_status_id IS NOT NULL;
@@ -0,0 +1,26 @@
+-- 015: Optionen mit Ablaufdatum
+-- Eine Option ist ein Event im Options-Status des Entries mit option_until.
+-- Abgelaufene Optionen setzt der option-service auf expired_status_id zurück.
+
+ALTER TABLE calentian_event_entries
+  ADD COLUMN option_until DATE NULL,
+  ADD COLUMN option_reminder_sent_at DATETIME NULL;
+
+CREATE INDEX idx_event_entries_option_until
+  ON calentian_event_entries (option_until);
+
+CREATE TABLE IF NOT EXISTS calentian_entries_option_settings (
+  calentian_entries_id INT NOT NULL PRIMARY KEY,
+  option_status_id INT NOT NULL,
+  expired_status_id INT NOT NULL,
+  default_option_days INT NOT NULL DEFAULT 14,
+  reminder_days_before INT NOT NULL DEFAULT 2,
+  remind_customer TINYINT(1) NOT NULL DEFAULT 1,
+  CONSTRAINT fk_option_settings_entry
+    FOREIGN KEY (calentian_entries_id) REFERENCES calentian_entries (id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_option_settings_option_status
+    FOREIGN KEY (option_status_id) REFERENCES calentian_event_entries_status (id),
+  CONSTRAINT fk_option_settings_expired_status
+    FOREIGN KEY (expired_status_id) REFERENCES calentian_event_entries_status (id)
+);
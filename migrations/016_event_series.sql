@@ -0,0 +1,45 @@
+-- 016: Serientermine
+-- Eine Serie beschreibt die Wiederholung (RRULE) und die Vorlage der Termine.
+-- Die einzelnen Termine werden als calentian_event_entries angelegt und verweisen auf die Serie.
+-- series_detached: Termin wurde einzeln geändert und wird von Serien-Änderungen nicht überschrieben.
+
+CREATE TABLE IF NOT EXISTS calentian_event_series (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_entries_id INT NOT NULL,
+  rrule VARCHAR(500) NOT NULL,
+  dtstart DATE NOT NULL,
+  calentian_kundendaten_id INT NOT NULL,
+  location_id INT NOT NULL,
+  calentian_event_entries_veranstaltungsart_id INT NOT NULL,
+  calentian_event_entries_status_id INT NOT NULL,
+  event_name VARCHAR(255) NULL,
+  start_time TIME NULL,
+  dauer_tage INT NOT NULL DEFAULT 0,
+  guest_counts JSON NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_event_series_entry (calentian_entries_id),
+  CONSTRAINT fk_event_series_entry
+    FOREIGN KEY (calentian_entries_id) REFERENCES calentian_entries (id)
+    ON DELETE CASCADE
+);
+
+-- Ausgelassene Termine (EXDATE)
+CREATE TABLE IF NOT EXISTS calentian_event_series_exceptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  series_id INT NOT NULL,
+  occurrence_date DATE NOT NULL,
+  UNIQUE KEY uq_event_series_exception (series_id, occurrence_date),
+  CONSTRAINT fk_event_series_exceptions_series
+    FOREIGN KEY (series_id) REFERENCES calentian_event_series (id)
+    ON DELETE CASCADE
+);
+
+ALTER TABLE calentian_event_entries
+  ADD COLUMN series_id INT NULL,
+  ADD COLUMN series_occurrence_date DATE NULL,
+  ADD COLUMN series_detached TINYINT(1) NOT NULL DEFAULT 0,
+  ADD KEY idx_event_entries_series (series_id, series_occurrence_date),
+  ADD CONSTRAINT fk_event_entries_series
+    FOREIGN KEY (series_id) REFERENCES calentian_event_series (id)
+    ON DELETE SET NULL;
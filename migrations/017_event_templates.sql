@@ -0,0 +1,46 @@
+-- 017: Event-Vorlagen und Checklisten
+-- Eine Vorlage (z. B. "Hochzeit Komplett") beschreibt Veranstaltungsart, Gästegruppen,
+-- Standard-Angebotsgruppen und Checkliste. Events merken sich die verwendete Vorlage,
+-- damit der Angebotseditor die Angebotsgruppen vorbelegen kann.
+-- guest_groups: [{ guest_group_template_id, guest_count }]
+-- offer_groups: [{ title, type, optional, sort_order, items: [{ title, teaser, description, unit_price, quantity, ... }] }]
+-- checklist:    ["Menü abstimmen", "Sitzplan erhalten", ...]
+
+CREATE TABLE IF NOT EXISTS calentian_event_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_entries_id INT NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  calentian_event_entries_veranstaltungsart_id INT NULL,
+  event_name VARCHAR(255) NULL,
+  start_time TIME NULL,
+  dauer_tage INT NOT NULL DEFAULT 0,
+  guest_groups JSON NULL,
+  offer_groups JSON NULL,
+  checklist JSON NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_event_templates_name (calentian_entries_id, name),
+  CONSTRAINT fk_event_templates_entry
+    FOREIGN KEY (calentian_entries_id) REFERENCES calentian_entries (id)
+    ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS calentian_event_checklist_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_event_entries_id INT NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  done_at DATETIME NULL,
+  done_by INT NULL,
+  KEY idx_event_checklist_event (calentian_event_entries_id, sort_order),
+  CONSTRAINT fk_event_checklist_event
+    FOREIGN KEY (calentian_event_entries_id) REFERENCES calentian_event_entries (id)
+    ON DELETE CASCADE
+);
+
+ALTER TABLE calentian_event_entries
+  ADD COLUMN calentian_event_templates_id INT NULL,
+  ADD CONSTRAINT fk_event_entries_template
+    FOREIGN KEY (calentian_event_templates_id) REFERENCES calentian_event_templates (id)
+    ON DELETE SET NULL;
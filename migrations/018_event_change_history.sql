@@ -0,0 +1,23 @@
+-- 018: Feldgenaue Änderungshistorie für Events
+-- Jede schreibende Route speichert die geänderten Felder von calentian_event_entries
+-- und calentian_event_guest_count (je Gästegruppe) mit altem und neuem Wert.
+-- Zeilen einer Änderung teilen sich dieselbe change_set-ID.
+-- calentian_benutzer_id NULL = System (z. B. option-service, öffentliches Formular).
+-- Kein Fremdschlüssel auf das Event, damit die Historie gelöschter Events erhalten bleibt.
+
+CREATE TABLE IF NOT EXISTS calentian_event_change_history (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  calentian_event_entries_id INT NOT NULL,
+  calentian_entries_id INT NOT NULL,
+  calentian_benutzer_id INT NULL,
+  change_set CHAR(36) NOT NULL,
+  source VARCHAR(50) NOT NULL,
+  table_name VARCHAR(64) NOT NULL,
+  field_name VARCHAR(64) NOT NULL,
+  guest_group_template_id INT NULL,
+  old_value TEXT NULL,
+  new_value TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_event_change_history_event (calentian_event_entries_id, created_at),
+  KEY idx_event_change_history_entry (calentian_entries_id, created_at)
+);
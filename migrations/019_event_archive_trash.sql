@@ -0,0 +1,19 @@
+-- 019: Archiv und Papierkorb für Events
+-- archived_at: abgeschlossenes Event, schreibgeschützt und aus der Eventliste ausgeblendet,
+--              bleibt im Kalender und per ID abrufbar.
+-- deleted_at:  Event liegt im Papierkorb. Event, Notizen, Angebote und E-Mails sind
+--              überall ausgeblendet, der Termin blockiert keine Location mehr.
+--              Bis purge_after wiederherstellbar, danach löscht der trash-service endgültig.
+
+ALTER TABLE calentian_event_entries
+  ADD COLUMN archived_at DATETIME NULL,
+  ADD COLUMN archived_by INT NULL,
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD COLUMN deleted_by INT NULL,
+  ADD COLUMN purge_after DATETIME NULL;
+
+CREATE INDEX idx_event_entries_deleted
+  ON calentian_event_entries (calentian_entries_id, deleted_at);
+
+CREATE INDEX idx_event_entries_purge_after
+  ON calentian_event_entries (purge_after);
@@ -0,0 +1,28 @@
+-- 020: Indizes für die serverseitige Eventsuche (/database/events/search)
+-- Sortierung/Keyset-Pagination über (datum, id) bzw. (event_name, id) je Entry,
+-- Filter nach Status, Location und Veranstaltungsart,
+-- Volltextsuche über Eventname und Kundendaten.
+
+CREATE INDEX idx_event_entries_search_datum
+  ON calentian_event_entries (calentian_entries_id, datum, id);
+
+CREATE INDEX idx_event_entries_search_name
+  ON calentian_event_entries (calentian_entries_id, event_name, id);
+
+CREATE INDEX idx_event_entries_search_status
+  ON calentian_event_entries (calentian_entries_id, calentian_event_entries_status_id, datum);
+
+CREATE INDEX idx_event_entries_search_art
+  ON calentian_event_entries (calentian_entries_id, calentian_event_entries_veranstaltungsart_id, datum);
+
+CREATE INDEX idx_event_entries_search_customer
+  ON calentian_event_entries (calentian_kundendaten_id, datum);
+
+CREATE FULLTEXT INDEX ft_event_entries_event_name
+  ON calentian_event_entries (event_name);
+
+CREATE FULLTEXT INDEX ft_kundendaten_name
+  ON calentian_kundendaten (vorname, nachname, firma);
+
+CREATE INDEX idx_event_guest_count_event
+  ON calentian_event_guest_count (calentian_event_entries_id);
@@ -0,0 +1,12 @@
+-- 021: Zeitraum und Location für Termine (calentian_appointments)
+-- Grundlage für die zeitraumbezogenen Kalenderdaten (/database/calendar-data?from=&to=).
+-- Termine ohne start_at (Altbestand) werden weiterhin in jedem Zeitraum ausgeliefert.
+-- location_id NULL = Termin gilt für alle Locations des Entries.
+
+ALTER TABLE calentian_appointments
+  ADD COLUMN start_at DATETIME NULL,
+  ADD COLUMN end_at DATETIME NULL,
+  ADD COLUMN location_id INT NULL;
+
+CREATE INDEX idx_appointments_range
+  ON calentian_appointments (calentian_entries_id, start_at, end_at);
@@ -0,0 +1,24 @@
+-- 022: iCalendar-Abos (ICS-Feeds) je Benutzer und optional je Location
+-- Der Feed-Token steht nur in der Abo-URL; gespeichert wird ausschließlich der SHA-256-Hash.
+-- Ein widerrufener Token (revoked_at) liefert 404.
+
+CREATE TABLE IF NOT EXISTS calentian_calendar_feeds (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_benutzer_id INT NOT NULL,
+  calentian_entries_id INT NOT NULL,
+  location_id INT NULL,
+  name VARCHAR(100) NOT NULL,
+  token_prefix VARCHAR(16) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  last_accessed_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_calendar_feeds_token_hash (token_hash),
+  KEY idx_calendar_feeds_benutzer (calentian_benutzer_id),
+  CONSTRAINT fk_calendar_feeds_benutzer
+    FOREIGN KEY (calentian_benutzer_id) REFERENCES calentian_benutzer (id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_calendar_feeds_location
+    FOREIGN KEY (location_id) REFERENCES calentian_entries_location (id)
+    ON DELETE CASCADE
+);
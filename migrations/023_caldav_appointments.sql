@@ -0,0 +1,26 @@
+-- 023: CalDAV-Synchronisation für Termine (calentian_appointments)
+-- Termine erhalten Titel, Beschreibung und Ganztags-Kennzeichen. Per CalDAV
+-- angelegte Termine behalten UID und Ressourcennamen des Clients (ical_uid,
+-- caldav_resource); ohne diese gilt "appointment-<id>.ics" bzw. die UID aus ical.js.
+-- calentian_appointment_changes protokolliert jede Änderung je Location
+-- (location_id NULL = alle Locations); die höchste id ist das Sync-Token.
+
+ALTER TABLE calentian_appointments
+  ADD COLUMN title VARCHAR(255) NULL,
+  ADD COLUMN description TEXT NULL,
+  ADD COLUMN all_day TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN ical_uid VARCHAR(255) NULL,
+  ADD COLUMN caldav_resource VARCHAR(255) NULL,
+  ADD COLUMN updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  ADD UNIQUE KEY uq_appointments_ical_uid (calentian_entries_id, ical_uid),
+  ADD UNIQUE KEY uq_appointments_caldav_resource (calentian_entries_id, caldav_resource);
+
+CREATE TABLE IF NOT EXISTS calentian_appointment_changes (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  calentian_entries_id INT NOT NULL,
+  calentian_appointments_id INT NOT NULL,
+  location_id INT NULL,
+  resource VARCHAR(255) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_appointment_changes_entry (calentian_entries_id, id)
+);
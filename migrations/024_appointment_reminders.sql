@@ -0,0 +1,47 @@
+-- 024: Termine mit Event-Verknüpfung, Mitarbeiterzuordnung und Erinnerungen
+-- Erinnerungs-Offsets sind Minuten vor start_at (z. B. [1440, 60] = 1 Tag und
+-- 1 Stunde vorher). Je Termin überschreibt reminder_offsets die Vorgabe des
+-- Entries; [] = keine Erinnerung. Versandte Erinnerungen werden je start_at
+-- vermerkt, damit ein verschobener Termin erneut erinnert wird.
+
+ALTER TABLE calentian_appointments
+  ADD COLUMN calentian_event_entries_id INT NULL,
+  ADD COLUMN reminder_offsets JSON NULL,
+  ADD COLUMN created_by INT NULL,
+  ADD CONSTRAINT fk_appointments_event
+    FOREIGN KEY (calentian_event_entries_id) REFERENCES calentian_event_entries (id)
+    ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS calentian_appointment_staff (
+  calentian_appointments_id INT NOT NULL,
+  calentian_benutzer_id INT NOT NULL,
+  PRIMARY KEY (calentian_appointments_id, calentian_benutzer_id),
+  KEY idx_appointment_staff_benutzer (calentian_benutzer_id),
+  CONSTRAINT fk_appointment_staff_appointment
+    FOREIGN KEY (calentian_appointments_id) REFERENCES calentian_appointments (id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_appointment_staff_benutzer
+    FOREIGN KEY (calentian_benutzer_id) REFERENCES calentian_benutzer (id)
+    ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS calentian_entries_appointment_settings (
+  calentian_entries_id INT NOT NULL PRIMARY KEY,
+  default_duration_minutes INT NOT NULL DEFAULT 60,
+  reminder_offsets JSON NOT NULL,
+  CONSTRAINT fk_appointment_settings_entry
+    FOREIGN KEY (calentian_entries_id) REFERENCES calentian_entries (id)
+    ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS calentian_appointment_reminders (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  calentian_appointments_id INT NOT NULL,
+  offset_minutes INT NOT NULL,
+  start_at DATETIME NOT NULL,
+  sent_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_appointment_reminders (calentian_appointments_id, offset_minutes, start_at),
+  CONSTRAINT fk_appointment_reminders_appointment
+    FOREIGN KEY (calentian_appointments_id) REFERENCES calentian_appointments (id)
+    ON DELETE CASCADE
+);
@@ -0,0 +1,7 @@
+-- 025: Gelöschte Serien
+-- Werden alle Termine einer Serie gelöscht, bleibt die Serie mit deleted_at erhalten,
+-- damit Termine im Papierkorb ihre Serie behalten und wiederhergestellt werden können.
+-- Der trash-service entfernt die Serie, sobald kein Termin mehr auf sie verweist.
+
+ALTER TABLE calentian_event_series
+  ADD COLUMN deleted_at DATETIME NULL;
@@ -9,7 +9,12 @@ import * as dotenv from "dotenv";
 import initVault from "./vault-init.js";
 import express from "express";
 import mysql from "mysql2/promise";
-import jwt from "jsonwebtoken";
+import {
+  getRequestToken,
+  logImpersonatedRequest,
+  verifyAccessToken,
+} from "./token-auth.js";
+import { denyImpersonatedWrites, requirePermission } from "./permissions.js";
 import cors from "cors";
 import helmet from "helmet";
 import cookieParser from "cookie-parser";
@@ -38,13 +43,16 @@ async function initDB() {
 
 // 2) Auth-Middleware
 function authenticateToken(req, res, next) {
-  const token = req.cookies["access_token"];
+  const token = getRequestToken(req);
   if (!token) return res.status(401).json({ error: "Kein Token vorhanden." });
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: "Token ungültig." });
-    req.user = user;
-    next();
-  });
+  verifyAccessToken(token, dbPool).then(
+    (user) => {
+      req.user = user;
+      logImpersonatedRequest(req, user);
+      next();
+    },
+    () => res.status(403).json({ error: "Token ungültig." })
+  );
 }
 
 // 3) Middleware
@@ -77,97 +85,123 @@ app.use((req, res, next) => {
 
 // 4) Endpunkte
 // GET /notes-service/notes?eventId=
-app.get("/notes-service/notes", authenticateToken, async (req, res) => {
-  const eventId = req.query.eventId;
-  if (!eventId) return res.status(400).json({ error: "Event-ID fehlt." });
-  try {
-    const sql = `
+app.get(
+  "/notes-service/notes",
+  authenticateToken,
+  requirePermission("notes:read"),
+  async (req, res) => {
+    const eventId = req.query.eventId;
+    if (!eventId) return res.status(400).json({ error: "Event-ID fehlt." });
+    try {
+      const sql = `
       SELECT n.id, n.time, n.note, n.calentian_event_entries_id AS event_id, n.calentian_benutzer_id AS user_id,
              b.benutzername, b.email
       FROM calentian_notes n
+      JOIN calentian_event_entries e ON n.calentian_event_entries_id = e.id
       LEFT JOIN calentian_benutzer b ON n.calentian_benutzer_id = b.id
-      WHERE n.calentian_event_entries_id = ?
+      WHERE n.calentian_event_entries_id = ? AND e.deleted_at IS NULL
       ORDER BY n.time DESC
     `;
-    const [rows] = await dbPool.execute(sql, [eventId]);
-    res.json(rows);
-  } catch (err) {
-    console.error("❌ Fehler beim Abrufen der Notizen:", err);
-    res.status(500).json({ error: "Fehler beim Abrufen der Notizen" });
+      const [rows] = await dbPool.execute(sql, [eventId]);
+      res.json(rows);
+    } catch (err) {
+      console.error("❌ Fehler beim Abrufen der Notizen:", err);
+      res.status(500).json({ error: "Fehler beim Abrufen der Notizen" });
+    }
   }
-});
+);
 
 // POST /notes-service/notes
-app.post("/notes-service/notes", authenticateToken, async (req, res) => {
-  const { note, calentian_event_entries_id } = req.body;
-  const userId = req.user.id;
-  const entryId = calentian_event_entries_id || req.user.calentian_entries_id;
-  if (!note) return res.status(400).json({ error: "Notiz fehlt." });
-  try {
-    const insertSql = `
+app.post(
+  "/notes-service/notes",
+  authenticateToken,
+  requirePermission("notes:write"),
+  denyImpersonatedWrites,
+  async (req, res) => {
+    const { note, calentian_event_entries_id } = req.body;
+    const userId = req.user.id;
+    const entryId = calentian_event_entries_id || req.user.calentian_entries_id;
+    if (!note) return res.status(400).json({ error: "Notiz fehlt." });
+    try {
+      const insertSql = `
       INSERT INTO calentian_notes (note, calentian_event_entries_id, calentian_benutzer_id)
       VALUES (?, ?, ?)
     `;
-    const [result] = await dbPool.execute(insertSql, [note, entryId, userId]);
-    const [[row]] = await dbPool.execute(
-      "SELECT * FROM calentian_notes WHERE id = ?",
-      [result.insertId]
-    );
-    res.status(201).json(row);
-  } catch (err) {
-    console.error("❌ Fehler beim Anlegen der Notiz:", err);
-    res.status(500).json({ error: "Fehler beim Anlegen der Notiz" });
+      const [result] = await dbPool.execute(insertSql, [note, entryId, userId]);
+      const [[row]] = await dbPool.execute(
+        "SELECT * FROM calentian_notes WHERE id = ?",
+        [result.insertId]
+      );
+      res.status(201).json(row);
+    } catch (err) {
+      console.error("❌ Fehler beim Anlegen der Notiz:", err);
+      res.status(500).json({ error: "Fehler beim Anlegen der Notiz" });
+    }
   }
-});
+);
 
 // PUT /notes-service/notes/:id
-app.put("/notes-service/notes/:id", authenticateToken, async (req, res) => {
-  const noteId = req.params.id;
-  const { note } = req.body;
-  if (!note) return res.status(400).json({ error: "Notiz fehlt." });
-  try {
-    const [[existing]] = await dbPool.execute(
-      "SELECT * FROM calentian_notes WHERE id = ?",
-      [noteId]
-    );
-    if (!existing)
-      return res.status(404).json({ error: "Notiz nicht gefunden." });
-    if (existing.calentian_benutzer_id !== req.user.id)
-      return res.status(403).json({ error: "Nicht berechtigt." });
-    await dbPool.execute("UPDATE calentian_notes SET note = ? WHERE id = ?", [
-      note,
-      noteId,
-    ]);
-    const [[row]] = await dbPool.execute(
-      "SELECT * FROM calentian_notes WHERE id = ?",
-      [noteId]
-    );
-    res.json(row);
-  } catch (err) {
-    console.error("❌ Fehler beim Aktualisieren der Notiz:", err);
-    res.status(500).json({ error: "Fehler beim Aktualisieren der Notiz" });
+app.put(
+  "/notes-service/notes/:id",
+  authenticateToken,
+  requirePermission("notes:write"),
+  denyImpersonatedWrites,
+  async (req, res) => {
+    const noteId = req.params.id;
+    const { note } = req.body;
+    if (!note) return res.status(400).json({ error: "Notiz fehlt." });
+    try {
+      const [[existing]] = await dbPool.execute(
+        "SELECT * FROM calentian_notes WHERE id = ?",
+        [noteId]
+      );
+      if (!existing)
+        return res.status(404).json({ error: "Notiz nicht gefunden." });
+      if (existing.calentian_benutzer_id !== req.user.id)
+        return res.status(403).json({ error: "Nicht berechtigt." });
+      await dbPool.execute("UPDATE calentian_notes SET note = ? WHERE id = ?", [
+        note,
+        noteId,
+      ]);
+      const [[row]] = await dbPool.execute(
+        "SELECT * FROM calentian_notes WHERE id = ?",
+        [noteId]
+      );
+      res.json(row);
+    } catch (err) {
+      console.error("❌ Fehler beim Aktualisieren der Notiz:", err);
+      res.status(500).json({ error: "Fehler beim Aktualisieren der Notiz" });
+    }
   }
-});
+);
 
 // DELETE /notes-service/notes/:id
-app.delete("/notes-service/notes/:id", authenticateToken, async (req, res) => {
-  const noteId = req.params.id;
-  try {
-    const [[existing]] = await dbPool.execute(
-      "SELECT * FROM calentian_notes WHERE id = ?",
-      [noteId]
-    );
-    if (!existing)
-      return res.status(404).json({ error: "Notiz nicht gefunden." });
-    if (existing.calentian_benutzer_id !== req.user.id)
-      return res.status(403).json({ error: "Nicht berechtigt." });
-    await dbPool.execute("DELETE FROM calentian_notes WHERE id = ?", [noteId]);
-    res.json({ message: "Notiz gelöscht." });
-  } catch (err) {
-    console.error("❌ Fehler beim Löschen der Notiz:", err);
-    res.status(500).json({ error: "Fehler beim Löschen der Notiz" });
+app.delete(
+  "/notes-service/notes/:id",
+  authenticateToken,
+  requirePermission("notes:write"),
+  denyImpersonatedWrites,
+  async (req, res) => {
+    const noteId = req.params.id;
+    try {
+      const [[existing]] = await dbPool.execute(
+        "SELECT * FROM calentian_notes WHERE id = ?",
+        [noteId]
+      );
+      if (!existing)
+        return res.status(404).json({ error: "Notiz nicht gefunden." });
+      if (existing.calentian_benutzer_id !== req.user.id)
+        return res.status(403).json({ error: "Nicht berechtigt." });
+      await dbPool.execute("DELETE FROM calentian_notes WHERE id = ?", [
+        noteId,
+      ]);
+      res.json({ message: "Notiz gelöscht." });
+    } catch (err) {
+      console.error("❌ Fehler beim Löschen der Notiz:", err);
+      res.status(500).json({ error: "Fehler beim Löschen der Notiz" });
+    }
   }
-});
+);
 
 // 5) Bootstrap: Vault → DB → Server
 async function bootstrap() {
@@ -0,0 +1,225 @@
+/***********************************************************************
+ * Option-Service (Express, MySQL, Vault, Cron)
+ *
+ * Verwaltet Optionen (vorläufige Reservierungen) auf Events:
+ * erinnert Kunde und Venue vor Ablauf der Option und setzt abgelaufene
+ * Optionen per node-cron auf den konfigurierten Status zurück.
+ ***********************************************************************/
+
+import * as dotenv from "dotenv";
+import initVault from "./vault-init.js";
+import express from "express";
+import axios from "axios";
+import mysql from "mysql2/promise";
+import cron from "node-cron";
+import { recordStatusChange } from "./event-status.js";
+import { trackEventChanges } from "./event-history.js";
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+
+let db;
+let running = false;
+
+const SMTP_SERVICE_URL =
+  process.env.SMTP_SERVICE_URL || "http://smtp-service:5000";
+
+// 1) DB-Verbindung initialisieren
+async function initDB() {
+  db = mysql.createPool({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    waitForConnections: true,
+    connectionLimit: 5,
+  });
+  await db.query("SELECT 1");
+  console.log("✅ Mit der MySQL-Datenbank verbunden");
+}
+
+function internalPost(path, body) {
+  return axios.post(`${SMTP_SERVICE_URL}${path}`, body, {
+    headers: { "X-Internal-Token": process.env.INTERNAL_API_TOKEN },
+  });
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("de-DE");
+}
+
+// 2) Erinnerungen vor Ablauf einer Option
+async function sendOptionReminders() {
+  const [options] = await db.query(
+    `SELECT e.id, e.event_name, e.datum, e.option_until,
+            e.calentian_entries_id, e.calentian_kundendaten_id, s.remind_customer,
+            (SELECT a.email FROM calentian_kunden_emails_addresses a
+             WHERE a.calentian_kundendaten_id = e.calentian_kundendaten_id
+             ORDER BY a.is_primary DESC, a.id LIMIT 1) AS customer_email
+     FROM calentian_event_entries e
+     JOIN calentian_entries_option_settings s
+       ON s.calentian_entries_id = e.calentian_entries_id
+     WHERE e.calentian_event_entries_status_id = s.option_status_id
+       AND e.deleted_at IS NULL
+       AND e.option_until IS NOT NULL
+       AND e.option_reminder_sent_at IS NULL
+       AND e.option_until >= CURDATE()
+       AND e.option_until <= DATE_ADD(CURDATE(), INTERVAL s.reminder_days_before DAY)`
+  );
+
+  for (const option of options) {
+    const datum = formatDate(option.datum);
+    const optionUntil = formatDate(option.option_until);
+
+    try {
+      if (option.remind_customer && option.customer_email) {
+        await internalPost("/smtp-service/internal/send-entry-email", {
+          entry_id: option.calentian_entries_id,
+          event_id: option.id,
+          calentian_kundendaten_id: option.calentian_kundendaten_id,
+          to: option.customer_email,
+          subject: `Ihre Option für den ${datum} läuft am ${optionUntil} ab`,
+          text:
+            `Guten Tag,\n\nIhre Option für „${option.event_name}“ am ${datum} ist noch bis zum ${optionUntil} reserviert.\n` +
+            `Bitte melden Sie sich bis dahin bei uns, wenn Sie den Termin verbindlich buchen möchten. ` +
+            `Danach wird der Termin wieder freigegeben.`,
+        });
+      }
+
+      const [team] = await db.query(
+        `SELECT email FROM calentian_benutzer
+         WHERE calentian_entries_id = ? AND is_active = 1
+           AND role IN ('owner', 'manager')`,
+        [option.calentian_entries_id]
+      );
+      for (const { email } of team) {
+        await internalPost("/smtp-service/internal/send-system-email", {
+          to: email,
+          subject: `Calentian: Option „${option.event_name}“ läuft am ${optionUntil} ab`,
+          text:
+            `Hallo,\n\ndie Option für „${option.event_name}“ am ${datum} läuft am ${optionUntil} ab. ` +
+            `Wird sie bis dahin nicht bestätigt oder verlängert, gibt Calentian den Termin automatisch frei.`,
+        });
+      }
+
+      await db.query(
+        "UPDATE calentian_event_entries SET option_reminder_sent_at = NOW() WHERE id = ?",
+        [option.id]
+      );
+    } catch (err) {
+      console.error(
+        `❌ Erinnerung für Option ${option.id} fehlgeschlagen:`,
+        err.response?.data || err.message
+      );
+    }
+  }
+
+  return options.length;
+}
+
+// 3) Abgelaufene Optionen freigeben
+async function releaseExpiredOptions() {
+  const [options] = await db.query(
+    `SELECT e.id, s.option_status_id, s.expired_status_id
+     FROM calentian_event_entries e
+     JOIN calentian_entries_option_settings s
+       ON s.calentian_entries_id = e.calentian_entries_id
+     WHERE e.calentian_event_entries_status_id = s.option_status_id
+       AND e.deleted_at IS NULL
+       AND e.option_until IS NOT NULL
+       AND e.option_until < CURDATE()`
+  );
+
+  let released = 0;
+  for (const option of options) {
+    try {
+      // Status nur ändern, wenn das Event nicht inzwischen bearbeitet wurde
+      const [result] = await trackEventChanges(
+        db,
+        [option.id],
+        { benutzerId: null, source: "option-service" },
+        () =>
+          db.query(
+            `UPDATE calentian_event_entries
+             SET calentian_event_entries_status_id = ?
+             WHERE id = ? AND calentian_event_entries_status_id = ?`,
+            [option.expired_status_id, option.id, option.option_status_id]
+          )
+      );
+      if (result.affectedRows === 0) continue;
+
+      await recordStatusChange(db, {
+        eventId: option.id,
+        fromStatusId: option.option_status_id,
+        toStatusId: option.expired_status_id,
+        benutzerId: null,
+        comment: "Option abgelaufen",
+      });
+      released++;
+    } catch (err) {
+      console.error(`❌ Freigabe von Option ${option.id} fehlgeschlagen:`, err);
+    }
+  }
+
+  return released;
+}
+
+async function runOptionJob() {
+  if (running) return null;
+  running = true;
+  try {
+    const reminded = await sendOptionReminders();
+    const released = await releaseExpiredOptions();
+    console.log(
+      `✅ Optionen geprüft: ${reminded} Erinnerung(en), ${released} freigegeben`
+    );
+    return { reminded, released };
+  } finally {
+    running = false;
+  }
+}
+
+// 4) HTTP-Endpoint zum manuellen Lauf
+app.post("/internal/options/run", async (req, res) => {
+  try {
+    const result = await runOptionJob();
+    if (!result) {
+      return res.status(409).json({ error: "Lauf bereits aktiv" });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("Fehler beim Options-Lauf:", err);
+    res.status(500).json({ error: "Fehler beim Options-Lauf" });
+  }
+});
+
+// 5) Bootstrap: Vault → DB → Cron
+async function bootstrap() {
+  try {
+    // Vault-Login und Secrets laden
+    await initVault();
+
+    // DB initialisieren
+    await initDB();
+
+    // Cron-Job: stündlich zur vollen Stunde
+    cron.schedule(process.env.OPTION_CRON || "0 * * * *", async () => {
+      try {
+        await runOptionJob();
+      } catch (err) {
+        console.error("❌ Fehler beim Options-Lauf:", err);
+      }
+    });
+
+    // HTTP-Server starten
+    const PORT = process.env.PORT || 6700;
+    app.listen(PORT, () => console.log(`🚀 Option-Service auf Port ${PORT}`));
+  } catch (err) {
+    console.error("Startup-Error:", err);
+    process.exit(1);
+  }
+}
+
+bootstrap();
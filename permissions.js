@@ -0,0 +1,57 @@
+// permissions.js
+
+// Rollen eines calentian_benutzer innerhalb seines Entries, aufsteigend nach Rechten
+export const ROLES = ["read_only", "staff", "manager", "owner"];
+
+// Mindestrolle je Berechtigung
+export const PERMISSIONS = {
+  "events:read": "read_only",
+  "events:write": "staff",
+  "events:delete": "manager",
+  "customers:read": "read_only",
+  "customers:write": "staff",
+  "customers:delete": "manager",
+  "forms:read": "read_only",
+  "forms:write": "manager",
+  "notes:read": "read_only",
+  "notes:write": "staff",
+  "mail:read": "read_only",
+  "mail:write": "staff",
+  "mail:send": "staff",
+  "settings:write": "manager",
+  "users:manage": "owner",
+};
+
+export function hasPermission(role, permission) {
+  const required = PERMISSIONS[permission];
+  if (!required || !ROLES.includes(role)) return false;
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Express-Middleware, erwartet req.user aus der jeweiligen Auth-Middleware.
+// Bei API-Keys muss die Berechtigung zusätzlich in den scopes des Keys stehen.
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    const scopes = req.user?.scopes;
+    if (
+      !hasPermission(req.user?.role, permission) ||
+      (scopes && !scopes.includes(permission))
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Keine Berechtigung für diese Aktion." });
+    }
+    next();
+  };
+}
+
+// Schreibzugriffe während einer Support-Impersonation nur mit ausdrücklicher
+// Freigabe (impersonation_allow_writes beim Start der Impersonation)
+export function denyImpersonatedWrites(req, res, next) {
+  if (req.user?.impersonated_by && !req.user.impersonation_allow_writes) {
+    return res.status(403).json({
+      message: "Schreibzugriff während einer Impersonation nicht freigegeben.",
+    });
+  }
+  next();
+}
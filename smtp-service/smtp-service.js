@@ -11,7 +11,12 @@ import express from "express";
 import cors from "cors";
 import axios from "axios";
 import mysql from "mysql2/promise";
-import jwt from "jsonwebtoken";
+import {
+  getRequestToken,
+  logImpersonatedRequest,
+  verifyAccessToken,
+} from "./token-auth.js";
+import { requirePermission } from "./permissions.js";
 
 // Lade ENV und Vault-Settings
 dotenv.config();
@@ -31,18 +36,30 @@ async function initDB() {
 }
 
 // 2) Auth-Middleware
-function checkJwt(req, res, next) {
-  const auth = req.headers["authorization"];
-  if (!auth?.startsWith("Bearer ")) {
+async function checkJwt(req, res, next) {
+  const token = getRequestToken(req);
+  if (!token) {
     return res.status(403).json({ message: "Kein Token, Zugriff verweigert" });
   }
-  const token = auth.split(" ")[1];
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
-    next();
+    req.user = await verifyAccessToken(token, db);
+    logImpersonatedRequest(req, req.user);
   } catch {
     return res.status(403).json({ message: "Ungültiges Token" });
   }
+  next();
+}
+
+// Interne Aufrufe anderer Services (z.B. login-service) ohne Benutzer-JWT
+function checkInternalToken(req, res, next) {
+  const token = req.headers["x-internal-token"];
+  if (
+    !process.env.INTERNAL_API_TOKEN ||
+    token !== process.env.INTERNAL_API_TOKEN
+  ) {
+    return res.status(403).json({ message: "Zugriff verweigert" });
+  }
+  next();
 }
 
 // 3) Middleware
@@ -68,94 +85,190 @@ if (!BREVO_API_KEY) {
   process.exit(1);
 }
 
+// E-Mail im Namen eines Entries versenden und in calentian_kunden_emails speichern.
+// Liefert die Brevo-Antwort oder null, wenn der Entry nicht existiert.
+async function sendEntryEmail(
+  entryId,
+  { event_id, calentian_kundendaten_id, to, subject, text, htmlBody }
+) {
+  // Entry-Daten
+  const [rows] = await db.execute(
+    `SELECT calentian_entries_name AS name,
+          calentian_entries_zusatz AS zusatz,
+          calentian_entries_zusatz_davor AS zusatzDavor,
+          calentian_mail AS fromEmail
+   FROM calentian_entries
+   WHERE id = ? LIMIT 1`,
+    [entryId]
+  );
+  if (!rows.length) return null;
+  const { name, zusatz, zusatzDavor, fromEmail } = rows[0];
+  if (!fromEmail) {
+    throw new Error(`Keine Absenderadresse für Entry ${entryId} hinterlegt`);
+  }
+
+  // From-Name; die From-E-Mail (calentian_mail) ordnet email-zuordnung
+  // Antworten dem Entry zu
+  const fromName = zusatz
+    ? zusatzDavor === 1
+      ? `${zusatz} ${name}`
+      : `${name} ${zusatz}`
+    : name;
+
+  // Brevo-Payload
+  const brevoPayload = {
+    sender: { name: fromName, email: fromEmail },
+    to: [{ email: to }],
+    subject,
+    textContent: text,
+    htmlContent: htmlBody || text,
+    headers: { "X-MailC-alentian-Entry": String(entryId) },
+  };
+
+  // Senden
+  const brevoRes = await axios.post(BREVO_API_URL, brevoPayload, {
+    headers: {
+      "Content-Type": "application/json",
+      "api-key": BREVO_API_KEY,
+    },
+  });
+
+  // Speichern
+  const now = new Date().toISOString().slice(0, 19).replace("T", " ");
+  await db.execute(
+    `INSERT INTO calentian_kunden_emails
+     (subject, body, htmlBody, timestamp,
+      sender, receiver,
+      calentian_kundendaten_id,
+      calentian_event_entries_id,
+      attachments, status,
+      calentian_entries_id, message_ingoing)
+   VALUES (?, ?, ?, ?, ?, ?, ?, ?, null, 0, ?, 0)`,
+    [
+      subject,
+      text,
+      htmlBody || text,
+      now,
+      fromEmail,
+      to,
+      calentian_kundendaten_id || null,
+      event_id || null,
+      entryId,
+    ]
+  );
+
+  return brevoRes.data;
+}
+
 // 5) Route: E-Mail versenden
-app.post("/smtp-service/send-email", checkJwt, async (req, res) => {
-  try {
-    const { event_id, calentian_kundendaten_id, to, subject, text, htmlBody } =
-      req.body;
-    if (!to || !subject || !text) {
-      return res.status(400).json({ message: "Erforderliche Felder fehlen." });
+app.post(
+  "/smtp-service/send-email",
+  checkJwt,
+  requirePermission("mail:send"),
+  async (req, res) => {
+    try {
+      const { to, subject, text } = req.body;
+      if (!to || !subject || !text) {
+        return res
+          .status(400)
+          .json({ message: "Erforderliche Felder fehlen." });
+      }
+
+      const entryId = req.user.calentian_entries_id;
+      if (!entryId) {
+        return res.status(400).json({ message: "Keine entryId im Token." });
+      }
+
+      const brevoInfo = await sendEntryEmail(entryId, req.body);
+      if (!brevoInfo) {
+        return res.status(404).json({ message: "Entry nicht gefunden." });
+      }
+
+      res.json({
+        message: "E-Mail versendet & gespeichert",
+        brevoInfo,
+      });
+    } catch (err) {
+      console.error("Fehler in send-email:", err.response?.data || err.message);
+      res.status(500).json({ message: "E-Mail-Versand fehlgeschlagen." });
     }
+  }
+);
+
+// 6) Route: System-E-Mail versenden (Passwort-Reset etc.)
+// Absender ist Calentian selbst, daher keine Speicherung in calentian_kunden_emails.
+app.post(
+  "/smtp-service/internal/send-system-email",
+  checkInternalToken,
+  async (req, res) => {
+    try {
+      const { to, subject, text, htmlBody } = req.body;
+      if (!to || !subject || !text) {
+        return res
+          .status(400)
+          .json({ message: "Erforderliche Felder fehlen." });
+      }
+
+      const brevoPayload = {
+        sender: {
+          name: process.env.SYSTEM_MAIL_FROM_NAME || "Calentian",
+          email: process.env.SYSTEM_MAIL_FROM || "no-reply@mail-calentian.de",
+        },
+        to: [{ email: to }],
+        subject,
+        textContent: text,
+        htmlContent: htmlBody || text,
+      };
 
-    const entryId = req.user.calentian_entries_id;
-    if (!entryId) {
-      return res.status(400).json({ message: "Keine entryId im Token." });
+      const brevoRes = await axios.post(BREVO_API_URL, brevoPayload, {
+        headers: {
+          "Content-Type": "application/json",
+          "api-key": BREVO_API_KEY,
+        },
+      });
+
+      res.json({ message: "E-Mail versendet", brevoInfo: brevoRes.data });
+    } catch (err) {
+      console.error(
+        "Fehler in send-system-email:",
+        err.response?.data || err.message
+      );
+      res.status(500).json({ message: "E-Mail-Versand fehlgeschlagen." });
     }
+  }
+);
+
+// 7) Route: E-Mail im Namen eines Entries versenden (z.B. Options-Erinnerungen
+// des option-service); wird wie send-email beim Kunden gespeichert
+app.post(
+  "/smtp-service/internal/send-entry-email",
+  checkInternalToken,
+  async (req, res) => {
+    try {
+      const { entry_id, to, subject, text } = req.body;
+      if (!entry_id || !to || !subject || !text) {
+        return res
+          .status(400)
+          .json({ message: "Erforderliche Felder fehlen." });
+      }
+
+      const brevoInfo = await sendEntryEmail(entry_id, req.body);
+      if (!brevoInfo) {
+        return res.status(404).json({ message: "Entry nicht gefunden." });
+      }
 
-    // Entry-Daten
-    const [rows] = await db.execute(
-      `SELECT calentian_entries_name AS name,
-              calentian_entries_zusatz AS zusatz,
-              calentian_entries_zusatz_davor AS zusatzDavor
-       FROM calentian_entries
-       WHERE id = ? LIMIT 1`,
-      [entryId]
-    );
-    if (!rows.length) {
-      return res.status(404).json({ message: "Entry nicht gefunden." });
+      res.json({ message: "E-Mail versendet & gespeichert", brevoInfo });
+    } catch (err) {
+      console.error(
+        "Fehler in send-entry-email:",
+        err.response?.data || err.message
+      );
+      res.status(500).json({ message: "E-Mail-Versand fehlgeschlagen." });
     }
-    const { name, zusatz, zusatzDavor } = rows[0];
-
-    // From-Name und From-E-Mail
-    const fromName = zusatz
-      ? zusatzDavor === 1
-        ? `${zusatz} ${name}`
-        : `${name} ${zusatz}`
-      : name;
-    const localPart =
-      `${name}`.toLowerCase().replace(/[^a-z0-9]+/g, "-") + `-${entryId}`;
-    const fromEmail = `${localPart}@mail-calentian.de`;
-
-    // Brevo-Payload
-    const brevoPayload = {
-      sender: { name: fromName, email: fromEmail },
-      to: [{ email: to }],
-      subject,
-      textContent: text,
-      htmlContent: htmlBody || text,
-      headers: { "X-MailC-alentian-Entry": String(entryId) },
-    };
-
-    // Senden
-    const brevoRes = await axios.post(BREVO_API_URL, brevoPayload, {
-      headers: { "Content-Type": "application/json", "api-key": BREVO_API_KEY },
-    });
-
-    // Speichern
-    const now = new Date().toISOString().slice(0, 19).replace("T", " ");
-    await db.execute(
-      `INSERT INTO calentian_kunden_emails
-         (subject, body, htmlBody, timestamp,
-          sender, receiver,
-          calentian_kundendaten_id,
-          calentian_event_entries_id,
-          attachments, status,
-          calentian_entries_id, message_ingoing)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, null, 0, ?, 0)`,
-      [
-        subject,
-        text,
-        htmlBody || text,
-        now,
-        fromEmail,
-        to,
-        calentian_kundendaten_id || null,
-        event_id || null,
-        entryId,
-      ]
-    );
-
-    res.json({
-      message: "E-Mail versendet & gespeichert",
-      brevoInfo: brevoRes.data,
-    });
-  } catch (err) {
-    console.error("Fehler in send-email:", err.response?.data || err.message);
-    res.status(500).json({ message: "E-Mail-Versand fehlgeschlagen." });
   }
-});
+);
 
-// 6) Bootstrap: Vault → DB → Server starten
+// 8) Bootstrap: Vault → DB → Server starten
 async function bootstrap() {
   try {
     await initVault();
@@ -0,0 +1,172 @@
+// token-auth.js
+import crypto from "crypto";
+import axios from "axios";
+import jwt from "jsonwebtoken";
+
+// Access-Tokens werden vom login-service mit RS256 signiert (Header "kid").
+// Alle anderen Services prüfen nur mit den öffentlichen Schlüsseln aus dem JWKS.
+// Schlüsselrotation: login-service veröffentlicht neuen und alten Schlüssel
+// parallel, bis alle mit dem alten Schlüssel signierten Tokens abgelaufen sind.
+const JWKS_URL =
+  process.env.JWKS_URL ||
+  "http://login-service:3000/login-service/.well-known/jwks.json";
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+const JWKS_MIN_REFETCH_MS = 30 * 1000;
+
+// Persönliche API-Keys ("cal_<secret>") werden überall dort akzeptiert, wo
+// sonst das Access-Token steht. Services ohne eigene DB prüfen sie über den
+// login-service.
+export const API_KEY_PREFIX = "cal_";
+const API_KEY_VERIFY_URL =
+  process.env.API_KEY_VERIFY_URL ||
+  "http://login-service:3000/login-service/internal/api-keys/verify";
+
+// Widerruf von Sessions prüfen Services ohne eigene DB ebenfalls über den
+// login-service.
+const SESSION_CHECK_URL =
+  process.env.SESSION_CHECK_URL ||
+  "http://login-service:3000/login-service/internal/sessions/check";
+
+const publicKeys = new Map();
+let lastJwksFetch = 0;
+let useLocalKeys = false;
+
+function importJwks(jwks) {
+  publicKeys.clear();
+  for (const jwk of jwks.keys || []) {
+    publicKeys.set(
+      jwk.kid,
+      crypto.createPublicKey({ key: jwk, format: "jwk" })
+    );
+  }
+}
+
+// Für den login-service selbst: eigene Schlüssel direkt setzen statt JWKS abzurufen
+export function setVerificationKeys(jwks) {
+  importJwks(jwks);
+  useLocalKeys = true;
+}
+
+async function getPublicKey(kid) {
+  const age = Date.now() - lastJwksFetch;
+  const shouldFetch =
+    age > JWKS_CACHE_TTL_MS ||
+    (!publicKeys.has(kid) && age > JWKS_MIN_REFETCH_MS);
+
+  if (!useLocalKeys && shouldFetch) {
+    lastJwksFetch = Date.now();
+    const res = await axios.get(JWKS_URL);
+    importJwks(res.data);
+  }
+
+  const key = publicKeys.get(kid);
+  if (!key) throw new Error(`Unbekannter Schlüssel (kid: ${kid})`);
+  return key;
+}
+
+// Access-Tokens des login-service tragen die Session-ID im Claim "sid".
+// Eine Session gilt als widerrufen, wenn sie nicht (mehr) existiert,
+// revoked_at gesetzt ist oder sie abgelaufen ist.
+export async function isSessionRevoked(db, sessionId) {
+  if (!sessionId) return true;
+  if (!db) {
+    const res = await axios.post(
+      SESSION_CHECK_URL,
+      { sid: sessionId },
+      { headers: { "X-Internal-Token": process.env.INTERNAL_API_TOKEN } }
+    );
+    return !res.data.active;
+  }
+  const [rows] = await db.query(
+    `SELECT id FROM calentian_benutzer_sessions
+     WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId]
+  );
+  return rows.length === 0;
+}
+
+// Token aus "Authorization: Bearer ..." oder dem access_token-Cookie
+export function getRequestToken(req) {
+  const auth = req.headers.authorization;
+  if (auth?.startsWith("Bearer ")) return auth.slice(7);
+  return req.cookies?.access_token;
+}
+
+// Prüft einen API-Key und liefert einen Payload im Format des Access-Tokens,
+// ergänzt um die erlaubten scopes (siehe requirePermission in permissions.js)
+export async function verifyApiKey(key, db) {
+  if (!db) {
+    const res = await axios.post(
+      API_KEY_VERIFY_URL,
+      { key },
+      { headers: { "X-Internal-Token": process.env.INTERNAL_API_TOKEN } }
+    );
+    return res.data;
+  }
+
+  const keyHash = crypto.createHash("sha256").update(key).digest("hex");
+  const [rows] = await db.query(
+    `SELECT k.id, k.scopes, k.last_used_at, b.id AS benutzer_id, b.email,
+            b.calentian_entries_id, b.role
+     FROM calentian_benutzer_api_keys k
+     JOIN calentian_benutzer b ON k.calentian_benutzer_id = b.id
+     WHERE k.key_hash = ? AND k.revoked_at IS NULL AND k.expires_at > NOW()
+       AND b.is_active = 1 AND b.calentian_entries_id = k.calentian_entries_id`,
+    [keyHash]
+  );
+  if (rows.length === 0) throw new Error("API-Key ungültig");
+  const apiKey = rows[0];
+
+  // last_used_at höchstens einmal pro Minute schreiben
+  if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at > 60 * 1000) {
+    await db.query(
+      "UPDATE calentian_benutzer_api_keys SET last_used_at = NOW() WHERE id = ?",
+      [apiKey.id]
+    );
+  }
+
+  return {
+    calentian_benutzer_email: apiKey.email,
+    calentian_entries_id: apiKey.calentian_entries_id,
+    calentian_benutzer_id: apiKey.benutzer_id,
+    role: apiKey.role,
+    scopes:
+      typeof apiKey.scopes === "string"
+        ? JSON.parse(apiKey.scopes)
+        : apiKey.scopes,
+    api_key_id: apiKey.id,
+  };
+}
+
+// Requests mit Impersonation-Token (Claim impersonated_by) protokolliert jeder
+// Service, damit Support-Zugriffe nachvollziehbar bleiben
+export function logImpersonatedRequest(req, user) {
+  if (!user?.impersonated_by) return;
+  console.log(
+    `🕵️ Impersonation durch ${user.impersonated_by.email} (ID ${user.impersonated_by.calentian_benutzer_id}) ` +
+      `als Benutzer ${user.calentian_benutzer_id}, Entry ${user.calentian_entries_id}: ${req.method} ${req.originalUrl}`
+  );
+}
+
+// Prüft Signatur und Ablauf des Access-Tokens sowie den serverseitigen
+// Widerruf der Session (ohne DB-Verbindung über den login-service).
+// checkRevocation: false nur für Routen, die eine Session gerade beenden.
+// API-Keys werden an verifyApiKey weitergereicht.
+// Liefert den Token-Payload oder wirft einen Fehler.
+export async function verifyAccessToken(
+  token,
+  db,
+  { checkRevocation = true, ...options } = {}
+) {
+  if (token.startsWith(API_KEY_PREFIX)) return verifyApiKey(token, db);
+
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded?.header?.kid) throw new Error("Token ohne kid");
+
+  const key = await getPublicKey(decoded.header.kid);
+  const payload = jwt.verify(token, key, { ...options, algorithms: ["RS256"] });
+  if (checkRevocation && (await isSessionRevoked(db, payload.sid))) {
+    throw new Error("Session wurde widerrufen");
+  }
+  return payload;
+}
@@ -0,0 +1,190 @@
+/***********************************************************************
+ * Trash-Service (Express, MySQL, Vault, Cron)
+ *
+ * Leert den Papierkorb: Events, deren Wiederherstellungsfrist (purge_after)
+ * abgelaufen ist, werden per node-cron endgültig gelöscht – zusammen mit
+ * Gästegruppen, Notizen und Angeboten. E-Mails bleiben beim Kunden erhalten
+ * und verlieren nur die Zuordnung zum Event.
+ ***********************************************************************/
+
+import * as dotenv from "dotenv";
+import initVault from "./vault-init.js";
+import express from "express";
+import mysql from "mysql2/promise";
+import cron from "node-cron";
+import { loadEventSnapshot, recordEventChanges } from "./event-history.js";
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+
+let db;
+let running = false;
+
+// 1) DB-Verbindung initialisieren
+async function initDB() {
+  db = mysql.createPool({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    waitForConnections: true,
+    connectionLimit: 5,
+  });
+  await db.query("SELECT 1");
+  console.log("✅ Mit der MySQL-Datenbank verbunden");
+}
+
+// 2) Ein Event samt abhängiger Daten endgültig löschen
+async function purgeEvent(eventId) {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Nur löschen, wenn das Event nicht inzwischen wiederhergestellt wurde
+    const [[event]] = await connection.query(
+      `SELECT id FROM calentian_event_entries
+       WHERE id = ? AND deleted_at IS NOT NULL AND purge_after <= NOW()
+       FOR UPDATE`,
+      [eventId]
+    );
+    if (!event) {
+      await connection.rollback();
+      return false;
+    }
+    const before = await loadEventSnapshot(connection, eventId);
+
+    const [offers] = await connection.query(
+      "SELECT id FROM calentian_offer WHERE calentian_event_entries_id = ?",
+      [eventId]
+    );
+    const offerIds = offers.map((offer) => offer.id);
+    if (offerIds.length > 0) {
+      await connection.query(
+        "DELETE FROM calentian_offer_item WHERE offer_id IN (?)",
+        [offerIds]
+      );
+      await connection.query(
+        "DELETE FROM calentian_offer_item_group WHERE offer_id IN (?)",
+        [offerIds]
+      );
+      await connection.query("DELETE FROM calentian_offer WHERE id IN (?)", [
+        offerIds,
+      ]);
+    }
+
+    await connection.query(
+      "DELETE FROM calentian_notes WHERE calentian_event_entries_id = ?",
+      [eventId]
+    );
+    await connection.query(
+      "UPDATE calentian_kunden_emails SET calentian_event_entries_id = NULL WHERE calentian_event_entries_id = ?",
+      [eventId]
+    );
+    await connection.query(
+      "DELETE FROM calentian_event_guest_count WHERE calentian_event_entries_id = ?",
+      [eventId]
+    );
+    // Checkliste, Status-Verlauf und Konflikt-Overrides per ON DELETE CASCADE
+    await connection.query("DELETE FROM calentian_event_entries WHERE id = ?", [
+      eventId,
+    ]);
+
+    await recordEventChanges(connection, {
+      eventId,
+      benutzerId: null,
+      source: "trash-service",
+      before,
+      after: null,
+    });
+
+    await connection.commit();
+    return true;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// 3) Alle abgelaufenen Events im Papierkorb löschen
+async function purgeExpiredEvents() {
+  const [events] = await db.query(
+    `SELECT id FROM calentian_event_entries
+     WHERE deleted_at IS NOT NULL AND purge_after <= NOW()`
+  );
+
+  let purged = 0;
+  for (const event of events) {
+    try {
+      if (await purgeEvent(event.id)) purged++;
+    } catch (err) {
+      console.error(`❌ Löschen von Event ${event.id} fehlgeschlagen:`, err);
+    }
+  }
+
+  // Gelöschte Serien entfernen, sobald kein Termin mehr auf sie verweist
+  await db.query(
+    `DELETE s FROM calentian_event_series s
+     WHERE s.deleted_at IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM calentian_event_entries e WHERE e.series_id = s.id)`
+  );
+  return purged;
+}
+
+async function runTrashJob() {
+  if (running) return null;
+  running = true;
+  try {
+    const purged = await purgeExpiredEvents();
+    console.log(`✅ Papierkorb geleert: ${purged} Event(s) endgültig gelöscht`);
+    return { purged };
+  } finally {
+    running = false;
+  }
+}
+
+// 4) HTTP-Endpoint zum manuellen Lauf
+app.post("/internal/trash/run", async (req, res) => {
+  try {
+    const result = await runTrashJob();
+    if (!result) {
+      return res.status(409).json({ error: "Lauf bereits aktiv" });
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("Fehler beim Leeren des Papierkorbs:", err);
+    res.status(500).json({ error: "Fehler beim Leeren des Papierkorbs" });
+  }
+});
+
+// 5) Bootstrap: Vault → DB → Cron
+async function bootstrap() {
+  try {
+    // Vault-Login und Secrets laden
+    await initVault();
+
+    // DB initialisieren
+    await initDB();
+
+    // Cron-Job: täglich um 03:30 Uhr
+    cron.schedule(process.env.TRASH_CRON || "30 3 * * *", async () => {
+      try {
+        await runTrashJob();
+      } catch (err) {
+        console.error("❌ Fehler beim Leeren des Papierkorbs:", err);
+      }
+    });
+
+    // HTTP-Server starten
+    const PORT = process.env.PORT || 6800;
+    app.listen(PORT, () => console.log(`🚀 Trash-Service auf Port ${PORT}`));
+  } catch (err) {
+    console.error("Startup-Error:", err);
+    process.exit(1);
+  }
+}
+
+bootstrap();